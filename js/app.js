@@ -5,6 +5,12 @@ Ultra-modern Single Page Application controller
 ===============================================
 */
 
+import { profile, projects, experience, skills, getSkillLevel, contactTransport, contactValidation, callSchedule } from './data/content.js';
+import { contactForm } from './data/forms.js';
+import { routes, notFoundRoute, redirects, locales, defaultLocale, getStaticRoutes } from './routes.js';
+import { i18n } from './utils/i18n.js';
+import { renderContentBlock } from './utils/content-render.js';
+
 /**
  * Main Application Class
  * Manages the entire SPA lifecycle and coordination
@@ -25,6 +31,10 @@ class PortfolioApp {
         this.scrollManager = null;
         this.formManager = null;
         this.modalManager = null;
+        this.languageButton = null;
+        
+        // Section components, mounted lazily from their route module
+        this.components = {};
         
         // Performance tracking
         this.performanceMetrics = {
@@ -38,6 +48,9 @@ class PortfolioApp {
         this.handleScroll = this.handleScroll.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
+        this.handleLanguageToggle = this.handleLanguageToggle.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
     }
 
     /**
@@ -120,6 +133,24 @@ class PortfolioApp {
         
         // Check for browser support
         this.checkBrowserSupport();
+        
+        // Render content before components look up cards and timeline items
+        this.renderContent();
+    }
+
+    /**
+     * Fill `data-content` containers from js/data/content.js
+     * Prerendered pages already have the markup; rendering again keeps it in sync
+     */
+    renderContent() {
+        const content = { projects, experience, skills };
+        
+        document.querySelectorAll('[data-content]').forEach(container => {
+            const html = renderContentBlock(container.getAttribute('data-content'), content, key => i18n.t(key));
+            if (html !== null) {
+                container.innerHTML = html;
+            }
+        });
     }
 
     /**
@@ -147,17 +178,11 @@ class PortfolioApp {
         // Initialize navigation
         this.initializeNavigation();
         
-        // Initialize hero section
-        this.initializeHero();
-        
-        // Initialize portfolio
-        this.initializePortfolio();
-        
         // Initialize skills
         this.initializeSkills();
         
-        // Initialize contact form
-        this.initializeContact();
+        // Hero, about, portfolio and contact are mounted by their routes
+        // (see mountSection), so first paint only loads the section in view
         
         // Initialize cursor effect (desktop only)
         if (!this.isMobile) {
@@ -173,18 +198,207 @@ class PortfolioApp {
         
         // Dynamic import of router
         const { Router } = await import('./router.js');
-        this.router = new Router();
         
-        // Setup routes
-        this.router.addRoute('home', () => this.navigateToSection('home'));
-        this.router.addRoute('about', () => this.navigateToSection('about'));
-        this.router.addRoute('skills', () => this.navigateToSection('skills'));
-        this.router.addRoute('portfolio', () => this.navigateToSection('portfolio'));
-        this.router.addRoute('experience', () => this.navigateToSection('experience'));
-        this.router.addRoute('contact', () => this.navigateToSection('contact'));
+        // Clean URLs (/en/portfolio/slug); the <base href> in index.html is the site root
+        this.router = new Router({
+            mode: 'history',
+            base: new URL(document.baseURI).pathname,
+            locales,
+            defaultLocale,
+            notFoundRoute: notFoundRoute.path,
+            // Project pages are worth suggesting for mistyped slugs
+            suggestionPaths: getStaticRoutes().map(route => route.path)
+        });
+        
+        // Setup routes from the shared route table (also used by scripts/prerender.mjs)
+        const handlers = this.getRouteHandlers();
+        
+        [...routes, notFoundRoute].forEach(({ path, children = [], ...options }) => {
+            this.router.addRoute(path, handlers[path], {
+                ...options,
+                children: children.map(child => ({
+                    ...child,
+                    handler: handlers[`${path}/${child.path}`]
+                }))
+            });
+        });
+        
+        // Legacy URLs
+        redirects.forEach(({ from, to }) => this.router.addRedirect(from, to));
+        
+        // The URL's locale drives the interface language, starting with the first route
+        document.addEventListener('router:locale-changed', this.handleLocaleChange);
         
         // Initialize router
         this.router.init();
+        
+        // Navbar language switcher
+        this.setupLanguageToggle();
+        
+        // Mount the remaining sections as they approach the viewport
+        this.setupLazySections();
+    }
+
+    /**
+     * Route handlers keyed by route path
+     * Handlers receive the route module resolved by the router's `load` factory,
+     * a `scrollPosition` on back/forward, which the router restores itself,
+     * and `notFound` details when rendering the not-found route
+     */
+    getRouteHandlers() {
+        const sectionRoute = (sectionId) => ({ module, scrollPosition }) => {
+            this.mountSection(sectionId, module);
+            
+            if (scrollPosition) {
+                this.currentSection = sectionId;
+            } else {
+                this.showSection(sectionId);
+            }
+        };
+        
+        return {
+            home: sectionRoute('home'),
+            about: sectionRoute('about'),
+            skills: sectionRoute('skills'),
+            portfolio: ({ module, query, scrollPosition }) => {
+                const portfolio = this.mountSection('portfolio', module);
+                const leavingProject = portfolio?.isShowingProject();
+                
+                // Close the modal inside the router's view transition
+                portfolio?.syncWithRoute({ section: 'portfolio', params: {} });
+                
+                // Leaving a project detail only closes the modal
+                if (!leavingProject && !scrollPosition) {
+                    this.showSection('portfolio');
+                }
+                
+                // Filtered views are linkable: /portfolio?filter=web
+                if (query.filter) {
+                    portfolio?.setFilter(query.filter);
+                }
+            },
+            'portfolio/:slug': ({ module, params, scrollPosition, data, error }) => {
+                return this.openProjectFromRoute(params.slug, module, {
+                    restoringScroll: Boolean(scrollPosition),
+                    project: data.project,
+                    error
+                });
+            },
+            experience: sectionRoute('experience'),
+            contact: sectionRoute('contact'),
+            'not-found': ({ module, notFound }) => {
+                this.mountSection('not-found', module)?.show(notFound);
+                this.showSection('not-found');
+            }
+        };
+    }
+
+    /**
+     * Component factories for sections whose route declares a `load` module
+     */
+    getSectionFactories() {
+        return {
+            home: ({ HeroComponent }) => new HeroComponent(),
+            about: ({ AboutComponent }) => new AboutComponent(),
+            portfolio: ({ PortfolioComponent }) => new PortfolioComponent({
+                router: this.router,
+                enableMasonry: false
+            }),
+            // The contact form runs on the shared form engine (see FormManager)
+            contact: ({ ContactComponent }) => this.formManager.register(
+                new ContactComponent({
+                    transport: {
+                        ...contactTransport,
+                        // Translated when each message is sent, in the language shown then
+                        subject: () => i18n.t(contactTransport.subject, { site: profile.url })
+                    },
+                    remoteValidation: contactValidation,
+                    scheduler: callSchedule,
+                    schema: contactForm,
+                    wizard: true
+                })
+            ),
+            'not-found': ({ NotFoundComponent }) => new NotFoundComponent({ router: this.router })
+        };
+    }
+
+    /**
+     * Create and initialize a section component once its module is loaded
+     * @param {string} sectionId - Section / route id
+     * @param {?Object} module - Module resolved by the route's `load` factory
+     * @returns {?Object} - The section component
+     */
+    mountSection(sectionId, module) {
+        if (this.components[sectionId]) {
+            return this.components[sectionId];
+        }
+        
+        const factory = this.getSectionFactories()[sectionId];
+        if (!factory || !module) return null;
+        
+        const component = factory(module);
+        component.init();
+        this.components[sectionId] = component;
+        
+        console.log(`🧩 Section mounted: ${sectionId}`);
+        this.dispatchEvent('section:mounted', { section: sectionId, component });
+        
+        return component;
+    }
+
+    /**
+     * Load and mount lazy sections shortly before they scroll into view
+     */
+    setupLazySections() {
+        const lazyRoutes = routes.filter(route => route.load);
+        
+        this.lazySectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                
+                const sectionId = entry.target.id;
+                this.lazySectionObserver.unobserve(entry.target);
+                
+                this.router.loadRoute(sectionId).then(module => {
+                    this.mountSection(sectionId, module);
+                });
+            });
+        }, { rootMargin: '200px 0px' });
+        
+        lazyRoutes.forEach(route => {
+            const section = document.getElementById(route.section || route.path);
+            if (section && !this.components[section.id]) {
+                this.lazySectionObserver.observe(section);
+            }
+        });
+    }
+
+    /**
+     * Show the portfolio section and project modal for a `portfolio/:slug` route
+     * The route's guard already sent unknown slugs to the not-found view
+     * @param {Object} options - `{ restoringScroll, project, error }`, the case study
+     *                           or load error come from the route's resolver
+     * @returns {Promise|undefined} - Resolves when the modal is ready to paint
+     */
+    openProjectFromRoute(slug, module, options = {}) {
+        const portfolio = this.mountSection('portfolio', module);
+        
+        // Cold loads land on the portfolio section behind the modal
+        if (this.currentSection !== 'portfolio' && !options.restoringScroll) {
+            const section = document.getElementById('portfolio');
+            if (section) {
+                this.scrollToElement(section);
+                this.currentSection = 'portfolio';
+            }
+        }
+        
+        // Opened inside the router's view transition so the card morphs into the modal
+        return portfolio?.syncWithRoute({
+            section: 'portfolio',
+            params: { slug },
+            project: options.project,
+            error: options.error
+        });
     }
 
     /**
@@ -197,7 +411,7 @@ class PortfolioApp {
         window.addEventListener('resize', this.handleResize, { passive: true });
         window.addEventListener('scroll', this.handleScroll, { passive: true });
         window.addEventListener('orientationchange', this.handleOrientationChange.bind(this));
-        window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+        window.addEventListener('pagehide', this.handlePageHide);
         
         // Document events
         document.addEventListener('visibilitychange', this.handleVisibilityChange);
@@ -229,20 +443,22 @@ class PortfolioApp {
             });
         }
         
-        // Navigation links
+        // Navigation links: the router handles the click itself, one navigation per click
         navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
+            link.addEventListener('click', () => {
                 const section = link.getAttribute('data-section');
-                if (section) {
-                    this.navigateToSection(section);
-                    
-                    // Close mobile menu
-                    if (navToggle) {
-                        navToggle.classList.remove('active');
-                        navMenu.classList.remove('active');
-                        document.body.classList.remove('nav-open');
-                    }
+                if (!section) return;
+                
+                // Already on that route: the router skips it, so just scroll back
+                if (this.router?.isCurrentPath(section)) {
+                    this.showSection(section);
+                }
+                
+                // Close mobile menu
+                if (navToggle) {
+                    navToggle.classList.remove('active');
+                    navMenu.classList.remove('active');
+                    document.body.classList.remove('nav-open');
                 }
             });
         });
@@ -265,155 +481,16 @@ class PortfolioApp {
     }
 
     /**
-     * Initialize hero section
-     */
-    initializeHero() {
-        console.log('🌟 Initializing hero section...');
-        
-        // Typed text effect
-        this.initializeTypedText();
-        
-        // Particle system
-        this.initializeParticles();
-        
-        // Scroll indicator
-        const scrollIndicator = document.querySelector('.scroll-indicator');
-        if (scrollIndicator) {
-            scrollIndicator.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.navigateToSection('about');
-            });
-        }
-        
-        // Avatar hover effect
-        const avatar = document.querySelector('.hero-avatar');
-        if (avatar) {
-            avatar.addEventListener('mouseenter', () => {
-                avatar.style.transform = 'scale(1.05) rotate(2deg)';
-            });
-            
-            avatar.addEventListener('mouseleave', () => {
-                avatar.style.transform = 'scale(1) rotate(0deg)';
-            });
-        }
-    }
-
-    /**
-     * Initialize typed text effect
-     */
-    initializeTypedText() {
-        const typedElement = document.getElementById('typed-text');
-        if (!typedElement) return;
-        
-        const texts = [
-            'Desarrollador Full Stack',
-            'Frontend Developer',
-            'Backend Developer',
-            'UI/UX Enthusiast',
-            'Problem Solver'
-        ];
-        
-        let textIndex = 0;
-        let charIndex = 0;
-        let isDeleting = false;
-        let typingSpeed = 100;
-        
-        const typeText = () => {
-            const currentText = texts[textIndex];
-            
-            if (isDeleting) {
-                typedElement.textContent = currentText.substring(0, charIndex - 1);
-                charIndex--;
-                typingSpeed = 50;
-            } else {
-                typedElement.textContent = currentText.substring(0, charIndex + 1);
-                charIndex++;
-                typingSpeed = 100;
-            }
-            
-            if (!isDeleting && charIndex === currentText.length) {
-                isDeleting = true;
-                typingSpeed = 2000; // Pause before deleting
-            } else if (isDeleting && charIndex === 0) {
-                isDeleting = false;
-                textIndex = (textIndex + 1) % texts.length;
-            }
-            
-            setTimeout(typeText, typingSpeed);
-        };
-        
-        // Start typing effect
-        setTimeout(typeText, 1000);
-    }
-
-    /**
-     * Initialize particle system
-     */
-    initializeParticles() {
-        const particlesContainer = document.getElementById('particles');
-        if (!particlesContainer) return;
-        
-        const particleCount = this.isMobile ? 30 : 50;
-        
-        for (let i = 0; i < particleCount; i++) {
-            const particle = document.createElement('div');
-            particle.className = 'particle';
-            particle.style.cssText = `
-                position: absolute;
-                width: ${Math.random() * 4 + 2}px;
-                height: ${Math.random() * 4 + 2}px;
-                background: rgba(102, 126, 234, ${Math.random() * 0.5 + 0.2});
-                border-radius: 50%;
-                left: ${Math.random() * 100}%;
-                top: ${Math.random() * 100}%;
-                animation: particleFloat ${Math.random() * 3 + 3}s ease-in-out infinite;
-                animation-delay: ${Math.random() * 2}s;
-            `;
-            particlesContainer.appendChild(particle);
-        }
-    }
-
-    /**
-     * Initialize portfolio section
+     * Setup the navbar language toggle
+     * Switching goes through the router so the URL prefix, <html lang> and
+     * the remembered locale stay in sync with the interface
      */
-    initializePortfolio() {
-        console.log('🎨 Initializing portfolio...');
-        
-        const filterButtons = document.querySelectorAll('.filter-btn');
-        const portfolioItems = document.querySelectorAll('.portfolio-item');
-        
-        // Filter functionality
-        filterButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const filter = button.getAttribute('data-filter');
-                
-                // Update active button
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
-                
-                // Filter items
-                portfolioItems.forEach(item => {
-                    const category = item.getAttribute('data-category');
-                    if (filter === 'all' || category === filter) {
-                        item.style.display = 'block';
-                        item.style.animation = 'fadeIn 0.5s ease forwards';
-                    } else {
-                        item.style.display = 'none';
-                    }
-                });
-            });
-        });
+    setupLanguageToggle() {
+        this.languageButton = document.getElementById('lang-btn');
+        if (!this.languageButton) return;
         
-        // Portfolio item click handlers
-        portfolioItems.forEach(item => {
-            const viewButton = item.querySelector('[data-action="view"]');
-            if (viewButton) {
-                viewButton.addEventListener('click', () => {
-                    const projectId = viewButton.getAttribute('data-project');
-                    this.modalManager.openPortfolioModal(projectId);
-                });
-            }
-        });
+        this.languageButton.hidden = locales.length < 2;
+        this.languageButton.addEventListener('click', this.handleLanguageToggle);
     }
 
     /**
@@ -427,7 +504,8 @@ class PortfolioApp {
         // Animate skill bars when in view
         const animateSkills = () => {
             skillBars.forEach(bar => {
-                const width = bar.getAttribute('data-width');
+                const name = bar.closest('.skill-item')?.querySelector('.skill-name')?.textContent.trim();
+                const width = getSkillLevel(name) ?? bar.getAttribute('data-width');
                 if (width) {
                     bar.style.width = width + '%';
                 }
@@ -450,76 +528,6 @@ class PortfolioApp {
         }
     }
 
-    /**
-     * Initialize contact form
-     */
-    initializeContact() {
-        console.log('📧 Initializing contact form...');
-        
-        const contactForm = document.getElementById('contact-form');
-        if (contactForm) {
-            this.formManager.setupForm(contactForm, {
-                onSubmit: this.handleContactSubmit.bind(this),
-                onValidate: this.validateContactForm.bind(this)
-            });
-        }
-    }
-
-    /**
-     * Handle contact form submission
-     */
-    async handleContactSubmit(formData) {
-        try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Show success message
-            this.showNotification('¡Mensaje enviado correctamente! Te responderé pronto.', 'success');
-            
-            // Reset form
-            document.getElementById('contact-form').reset();
-            
-            return true;
-        } catch (error) {
-            console.error('Error sending message:', error);
-            this.showNotification('Error al enviar el mensaje. Inténtalo de nuevo.', 'error');
-            return false;
-        }
-    }
-
-    /**
-     * Validate contact form
-     */
-    validateContactForm(formData) {
-        const errors = {};
-        
-        if (!formData.name || formData.name.length < 2) {
-            errors.name = 'El nombre debe tener al menos 2 caracteres';
-        }
-        
-        if (!formData.email || !this.isValidEmail(formData.email)) {
-            errors.email = 'Por favor, introduce un email válido';
-        }
-        
-        if (!formData.message || formData.message.length < 10) {
-            errors.message = 'El mensaje debe tener al menos 10 caracteres';
-        }
-        
-        if (!formData.privacy) {
-            errors.privacy = 'Debes aceptar la política de privacidad';
-        }
-        
-        return Object.keys(errors).length === 0 ? null : errors;
-    }
-
-    /**
-     * Validate email format
-     */
-    isValidEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
     /**
      * Initialize cursor effect (desktop only)
      */
@@ -627,14 +635,24 @@ class PortfolioApp {
      * Navigate to section
      */
     navigateToSection(sectionId) {
-        const section = document.getElementById(sectionId);
-        if (!section) return;
+        if (!document.getElementById(sectionId)) return;
         
         // Update URL
         if (this.router) {
             this.router.navigate(sectionId);
         }
         
+        this.showSection(sectionId);
+    }
+
+    /**
+     * Scroll to a section and mark it current without touching the URL
+     * Used by route handlers, which run inside the router's navigation
+     */
+    showSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        if (!section) return;
+        
         // Smooth scroll to section
         this.scrollToElement(section);
         
@@ -711,18 +729,24 @@ class PortfolioApp {
 
     /**
      * Show notification
+     * @param {string} message - Catalog key or plain text
+     * @param {string} type - info, success or error
+     * @param {Object} params - Message placeholder values
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', params = {}) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <div class="notification-content">
-                <span class="notification-message">${message}</span>
+                <span class="notification-message"></span>
                 <button class="notification-close">&times;</button>
             </div>
         `;
         
+        // Interpolated values are user-facing text, never markup
+        notification.querySelector('.notification-message').textContent = i18n.t(message, params);
+        
         // Add styles
         notification.style.cssText = `
             position: fixed;
@@ -847,8 +871,11 @@ class PortfolioApp {
         }, 100);
     }
 
-    handleBeforeUnload() {
-        // Cleanup before page unload
+    handlePageHide(event) {
+        // Not beforeunload: opening a mailto: link fires it while the page stays open.
+        // A page kept in the back/forward cache (persisted) may come back as it was
+        if (event.persisted) return;
+        
         this.cleanup();
     }
 
@@ -865,6 +892,21 @@ class PortfolioApp {
         console.log('Theme changed to:', e.detail.theme);
     }
 
+    handleLocaleChange(e) {
+        const { locale, previous } = e.detail;
+        
+        if (i18n.setLocale(locale) && previous) {
+            this.showNotification('language.changed', 'info', { language: i18n.t('language.name') });
+        }
+    }
+
+    handleLanguageToggle() {
+        const current = this.router.getLocale();
+        const next = locales[(locales.indexOf(current) + 1) % locales.length];
+        
+        this.router.changeLocale(next);
+    }
+
     handleInitError(error) {
         // Show error message to user
         document.body.innerHTML = `
@@ -997,16 +1039,25 @@ class PortfolioApp {
         window.removeEventListener('resize', this.handleResize);
         window.removeEventListener('scroll', this.handleScroll);
         window.removeEventListener('orientationchange', this.handleOrientationChange);
-        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        window.removeEventListener('pagehide', this.handlePageHide);
         
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
         document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('router:locale-changed', this.handleLocaleChange);
+        
+        if (this.languageButton) {
+            this.languageButton.removeEventListener('click', this.handleLanguageToggle);
+        }
         
         // Cleanup observers
         if (this.sectionObserver) {
             this.sectionObserver.disconnect();
         }
         
+        if (this.lazySectionObserver) {
+            this.lazySectionObserver.disconnect();
+        }
+        
         // Cleanup components
         if (this.router) this.router.cleanup();
         if (this.themeManager) this.themeManager.cleanup();
@@ -1014,6 +1065,9 @@ class PortfolioApp {
         if (this.scrollManager) this.scrollManager.cleanup();
         if (this.formManager) this.formManager.cleanup();
         if (this.modalManager) this.modalManager.cleanup();
+        
+        Object.values(this.components).forEach(component => component.destroy());
+        this.components = {};
     }
 }
 
@@ -1254,178 +1308,87 @@ class ScrollManager {
 
 /**
  * Form Manager Class
- * Handles form validation and submission
+ * Registry of the site's forms. Every form runs on the contact form engine
+ * (ContactComponent), so they share one validation rule set and the `contact:*`
+ * events, whose detail carries the form's `formId`:
+ *
+ *   const form = await app.formManager.setupForm(element, { schema, transport });
+ *   document.addEventListener('contact:form-submitted', e => e.detail.formId);
  */
 class FormManager {
     constructor() {
-        this.forms = new Map();
+        this.forms = new Set();
+        // Engines created here (the contact section's belongs to its route)
+        this.ownedForms = new Set();
     }
 
     init() {
-        // Forms will be registered individually
+        // Forms are registered individually (see register / setupForm)
     }
 
-    setupForm(formElement, options = {}) {
-        const formId = formElement.id || 'form-' + Date.now();
-        
-        const formConfig = {
-            element: formElement,
-            onSubmit: options.onSubmit || this.defaultSubmitHandler,
-            onValidate: options.onValidate || this.defaultValidateHandler,
-            realTimeValidation: options.realTimeValidation !== false
-        };
-
-        this.forms.set(formId, formConfig);
-        this.setupFormEventListeners(formConfig);
-        
-        return formId;
+    register(engine) {
+        this.forms.add(engine);
+        return engine;
     }
 
-    setupFormEventListeners(config) {
-        const form = config.element;
+    unregister(formId) {
+        const engine = this.get(formId);
         
-        // Form submission
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const formData = new FormData(form);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Validate
-            const errors = config.onValidate(data);
-            if (errors) {
-                this.displayErrors(form, errors);
-                return;
-            }
-            
-            // Clear previous errors
-            this.clearErrors(form);
-            
-            // Show loading state
-            this.setFormLoading(form, true);
-            
-            try {
-                const success = await config.onSubmit(data);
-                if (success) {
-                    this.setFormSuccess(form);
-                }
-            } catch (error) {
-                this.setFormError(form, error.message);
-            } finally {
-                this.setFormLoading(form, false);
-            }
-        });
-
-        // Real-time validation
-        if (config.realTimeValidation) {
-            const inputs = form.querySelectorAll('input, textarea, select');
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => {
-                    this.validateField(input, config.onValidate);
-                });
-                
-                input.addEventListener('input', () => {
-                    this.clearFieldError(input);
-                });
-            });
+        if (engine) {
+            this.forms.delete(engine);
+            this.ownedForms.delete(engine);
         }
-    }
-
-    validateField(field, validateFunction) {
-        const formData = new FormData(field.form);
-        const data = Object.fromEntries(formData.entries());
-        const errors = validateFunction(data);
         
-        if (errors && errors[field.name]) {
-            this.displayFieldError(field, errors[field.name]);
-        } else {
-            this.clearFieldError(field);
-        }
-    }
-
-    displayErrors(form, errors) {
-        Object.keys(errors).forEach(fieldName => {
-            const field = form.querySelector(`[name="${fieldName}"]`);
-            if (field) {
-                this.displayFieldError(field, errors[fieldName]);
-            }
-        });
+        return engine;
     }
 
-    displayFieldError(field, message) {
-        field.classList.add('error');
+    async setupForm(formElement, options = {}) {
+        const formId = formElement.id || `form-${Date.now()}`;
+        formElement.id = formId;
         
-        const errorElement = document.getElementById(`${field.name}-error`);
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.style.display = 'block';
-        }
-    }
-
-    clearFieldError(field) {
-        field.classList.remove('error');
+        // One engine per form, so submit never fires twice
+        const existing = this.get(formId);
+        if (existing) return existing;
         
-        const errorElement = document.getElementById(`${field.name}-error`);
-        if (errorElement) {
-            errorElement.textContent = '';
-            errorElement.style.display = 'none';
-        }
-    }
-
-    clearErrors(form) {
-        const errorElements = form.querySelectorAll('.form-error');
-        errorElements.forEach(element => {
-            element.textContent = '';
-            element.style.display = 'none';
+        const { ContactComponent } = await import('./components/contact.js');
+        const engine = new ContactComponent({
+            form: formElement,
+            storageKey: formId,
+            ...options
         });
         
-        const inputs = form.querySelectorAll('.error');
-        inputs.forEach(input => {
-            input.classList.remove('error');
-        });
-    }
-
-    setFormLoading(form, isLoading) {
-        const submitButton = form.querySelector('[type="submit"]');
-        if (submitButton) {
-            if (isLoading) {
-                submitButton.classList.add('loading');
-                submitButton.disabled = true;
-            } else {
-                submitButton.classList.remove('loading');
-                submitButton.disabled = false;
-            }
-        }
+        engine.init();
+        this.ownedForms.add(engine);
+        
+        return this.register(engine);
     }
 
-    setFormSuccess(form) {
-        const statusElement = form.querySelector('.form-status');
-        if (statusElement) {
-            statusElement.className = 'form-status success';
-            statusElement.textContent = '¡Mensaje enviado correctamente!';
-            statusElement.style.display = 'block';
+    get(formId) {
+        for (const engine of this.forms) {
+            if (engine.formId === formId) return engine;
         }
+        
+        return null;
     }
 
-    setFormError(form, message) {
-        const statusElement = form.querySelector('.form-status');
-        if (statusElement) {
-            statusElement.className = 'form-status error';
-            statusElement.textContent = message || 'Error al enviar el formulario';
-            statusElement.style.display = 'block';
-        }
+    async validate(formId) {
+        return (await this.get(formId)?.validateAllFieldsAsync()) ?? false;
     }
 
-    defaultSubmitHandler(data) {
-        console.log('Form submitted:', data);
-        return Promise.resolve(true);
+    async submit(formId) {
+        const engine = this.get(formId);
+        if (!engine) throw new Error(`Unknown form: ${formId}`);
+        
+        return engine.submitFormProgrammatically();
     }
 
-    defaultValidateHandler(data) {
-        return null; // No errors
+    reset(formId) {
+        this.get(formId)?.clearForm();
     }
 
     cleanup() {
+        this.ownedForms.forEach(engine => engine.destroy());
+        this.ownedForms.clear();
         this.forms.clear();
     }
 }
@@ -1437,7 +1400,7 @@ class FormManager {
 class ModalManager {
     constructor() {
         this.activeModals = new Set();
-        this.portfolioData = this.getPortfolioData();
+        this.returnFocus = null;
     }
 
     init() {
@@ -1467,77 +1430,9 @@ class ModalManager {
         });
     }
 
-    openPortfolioModal(projectId) {
-        const modal = document.getElementById('portfolio-modal');
-        if (!modal) return;
-
-        const project = this.portfolioData[projectId];
-        if (!project) return;
-
-        // Populate modal content
-        this.populatePortfolioModal(modal, project);
-        
-        // Show modal
-        this.showModal(modal);
-    }
-
-    populatePortfolioModal(modal, project) {
-        // Update title
-        const title = modal.querySelector('#modal-title');
-        if (title) title.textContent = project.title;
-
-        // Update image
-        const image = modal.querySelector('#modal-image');
-        if (image) {
-            image.src = project.image;
-            image.alt = project.title;
-        }
-
-        // Update description
-        const description = modal.querySelector('#modal-description');
-        if (description) description.textContent = project.description;
-
-        // Update details
-        const client = modal.querySelector('#modal-client');
-        if (client) client.textContent = project.client;
-
-        const duration = modal.querySelector('#modal-duration');
-        if (duration) duration.textContent = project.duration;
-
-        const year = modal.querySelector('#modal-year');
-        if (year) year.textContent = project.year;
-
-        // Update tech list
-        const techList = modal.querySelector('#modal-tech-list');
-        if (techList) {
-            techList.innerHTML = project.technologies.map(tech => 
-                `<span class="tech-tag">${tech}</span>`
-            ).join('');
-        }
-
-        // Update features list
-        const featuresList = modal.querySelector('#modal-features-list');
-        if (featuresList) {
-            featuresList.innerHTML = project.features.map(feature => 
-                `<li>${feature}</li>`
-            ).join('');
-        }
-
-        // Update action buttons
-        const demoButton = modal.querySelector('#modal-demo');
-        if (demoButton) {
-            demoButton.href = project.demoUrl || '#';
-            demoButton.style.display = project.demoUrl ? 'inline-flex' : 'none';
-        }
-
-        const codeButton = modal.querySelector('#modal-code');
-        if (codeButton) {
-            codeButton.href = project.codeUrl || '#';
-            codeButton.style.display = project.codeUrl ? 'inline-flex' : 'none';
-        }
-    }
-
     showModal(modal) {
+        this.returnFocus = document.activeElement;
+        
         modal.classList.add('active');
         this.activeModals.add(modal);
         document.body.style.overflow = 'hidden';
@@ -1550,7 +1445,8 @@ class ModalManager {
     }
 
     closeModal(modal) {
-        if (!modal) return;
+        // Modals opened by components (e.g. the portfolio modal) manage themselves
+        if (!modal || !this.activeModals.has(modal)) return;
         
         modal.classList.remove('active');
         this.activeModals.delete(modal);
@@ -1558,6 +1454,12 @@ class ModalManager {
         if (this.activeModals.size === 0) {
             document.body.style.overflow = '';
         }
+        
+        // Return focus to the element that opened the modal
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
     }
 
     closeAll() {
@@ -1566,87 +1468,6 @@ class ModalManager {
         });
     }
 
-    getPortfolioData() {
-        return {
-            '1': {
-                title: 'E-commerce Platform',
-                image: 'assets/images/project1.jpg',
-                description: 'Plataforma completa de comercio electrónico con panel administrativo, gestión de inventario, procesamiento de pagos y analytics en tiempo real.',
-                client: 'TechCorp Solutions',
-                duration: '4 meses',
-                year: '2024',
-                technologies: ['React', 'Node.js', 'MongoDB', 'Stripe', 'Redis'],
-                features: [
-                    'Sistema de autenticación y autorización',
-                    'Carrito de compras con persistencia',
-                    'Procesamiento de pagos con Stripe',
-                    'Panel administrativo completo',
-                    'Analytics y reportes en tiempo real',
-                    'Responsive design mobile-first'
-                ],
-                demoUrl: 'https://demo.example.com',
-                codeUrl: 'https://github.com/mariofca/ecommerce'
-            },
-            '2': {
-                title: 'Task Management App',
-                image: 'assets/images/project2.jpg',
-                description: 'Aplicación de gestión de tareas con colaboración en tiempo real, notificaciones push y sincronización multiplataforma.',
-                client: 'StartUp Innovate',
-                duration: '3 meses',
-                year: '2024',
-                technologies: ['Vue.js', 'Socket.io', 'Express', 'PostgreSQL', 'PWA'],
-                features: [
-                    'Colaboración en tiempo real',
-                    'Notificaciones push',
-                    'Drag & drop interface',
-                    'Offline functionality',
-                    'Team management',
-                    'Time tracking'
-                ],
-                demoUrl: 'https://tasks.example.com',
-                codeUrl: 'https://github.com/mariofca/taskmanager'
-            },
-            '3': {
-                title: 'Weather App',
-                image: 'assets/images/project3.jpg',
-                description: 'Aplicación del clima con geolocalización, pronósticos detallados, mapas interactivos y notificaciones de clima severo.',
-                client: 'Personal Project',
-                duration: '2 meses',
-                year: '2023',
-                technologies: ['React Native', 'OpenWeather API', 'MapBox', 'AsyncStorage'],
-                features: [
-                    'Geolocalización automática',
-                    'Pronósticos de 7 días',
-                    'Mapas interactivos',
-                    'Notificaciones clima severo',
-                    'Múltiples ubicaciones',
-                    'Widgets personalizables'
-                ],
-                demoUrl: 'https://weather.example.com',
-                codeUrl: 'https://github.com/mariofca/weather-app'
-            },
-            '4': {
-                title: 'Brand Identity',
-                image: 'assets/images/project4.jpg',
-                description: 'Identidad visual completa para startup tecnológica incluyendo logo, paleta de colores, tipografías y guidelines.',
-                client: 'TechStart Inc.',
-                duration: '6 semanas',
-                year: '2023',
-                technologies: ['Figma', 'Adobe Illustrator', 'Adobe Photoshop', 'Principle'],
-                features: [
-                    'Investigación de mercado',
-                    'Desarrollo de logo',
-                    'Paleta de colores',
-                    'Selección tipográfica',
-                    'Brand guidelines',
-                    'Aplicaciones de marca'
-                ],
-                demoUrl: 'https://brand.example.com',
-                codeUrl: null
-            }
-        };
-    }
-
     cleanup() {
         this.closeAll();
     }
@@ -1663,13 +1484,18 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = { PortfolioApp, ThemeManager, AnimationManager, ScrollManager, FormManager, ModalManager };
 }
 
+// Export for ES6 modules
+export { PortfolioApp, ThemeManager, AnimationManager, ScrollManager, FormManager, ModalManager };
+
 /*
 ===============================================
 END APP.JS
 Complete SPA application with all features:
 - Theme management
+- Language switching
 - Smooth animations  
-- Form handling
+- Portfolio cards, timeline and tools rendered from content.js
+- Form registry on the shared contact form engine
 - Modal system
 - Router integration
 - Performance monitoring
@@ -5,6 +5,9 @@ Interactive about section with animated counters, cards, and reveal effects
 ===============================================
 */
 
+import { counters } from '../data/content.js';
+import { domUtils } from '../utils/dom.js';
+
 /**
  * About Component Class
  * Manages about section with animated statistics, info cards, and scroll reveals
@@ -43,17 +46,14 @@ class AboutComponent {
         this.parallaxElements = [];
         
         // Counter data
-        this.counterData = [
-            { target: 50, suffix: '+', label: 'Proyectos Completados' },
-            { target: 3, suffix: '+', label: 'Años de Experiencia' },
-            { target: 100, suffix: '%', label: 'Satisfacción Cliente' }
-        ];
+        this.counterData = counters;
         
         // Event handlers
         this.handleScroll = this.handleScroll.bind(this);
         this.handleResize = this.handleResize.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         this.handleCardHover = this.handleCardHover.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
         
         // Throttled functions
         this.throttledScroll = this.throttle(this.handleScroll, 16);
@@ -257,6 +257,7 @@ class AboutComponent {
         
         // Custom events
         document.addEventListener('theme:change', this.handleThemeChange.bind(this));
+        document.addEventListener('i18n:change', this.handleLocaleChange);
     }
 
     /**
@@ -330,7 +331,7 @@ class AboutComponent {
         console.log('📊 Starting counter animations');
         
         this.counters.forEach((counter, index) => {
-            const targetValue = parseInt(counter.getAttribute('data-target')) || this.counterData[index]?.target || 0;
+            const targetValue = this.counterData[index]?.target ?? (parseInt(counter.getAttribute('data-target')) || 0);
             const suffix = this.counterData[index]?.suffix || '';
             
             this.animateCounter(counter, targetValue, suffix, index * 200);
@@ -357,13 +358,13 @@ class AboutComponent {
                 const easedProgress = this.easeOutQuart(progress);
                 const currentValue = Math.floor(startValue + (target - startValue) * easedProgress);
                 
-                element.textContent = currentValue + suffix;
+                element.textContent = this.formatCounter(currentValue, suffix);
                 
                 if (progress < 1) {
                     const frameId = requestAnimationFrame(updateCounter);
                     this.animationFrames.add(frameId);
                 } else {
-                    element.textContent = target + suffix;
+                    element.textContent = this.formatCounter(target, suffix);
                     
                     // Add completion effect
                     this.addCounterCompletionEffect(element);
@@ -375,6 +376,13 @@ class AboutComponent {
         }, delay);
     }
 
+    /**
+     * Format a counter value in the active language (1.500 / 1,500)
+     */
+    formatCounter(value, suffix = '') {
+        return domUtils.formatNumber(value, { maximumFractionDigits: 0 }) + suffix;
+    }
+
     /**
      * Add counter completion effect
      */
@@ -617,6 +625,18 @@ class AboutComponent {
         }
     }
 
+    /**
+     * Re-render finished counters with the new language's number format
+     */
+    handleLocaleChange() {
+        if (!this.countersAnimated) return;
+        
+        this.counters.forEach((counter, index) => {
+            const target = this.counterData[index]?.target ?? (parseInt(counter.getAttribute('data-target')) || 0);
+            counter.textContent = this.formatCounter(target, this.counterData[index]?.suffix || '');
+        });
+    }
+
     /**
      * Handle theme change
      */
@@ -768,6 +788,7 @@ class AboutComponent {
             window.removeEventListener('scroll', this.throttledScroll);
         }
         window.removeEventListener('resize', this.throttledResize);
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
         
         // Reset card styles
         this.infoCards.forEach(card => {
@@ -793,6 +814,7 @@ export { AboutComponent };
 END ABOUT.JS
 Complete about component with:
 - Animated counters with easing
+- Locale-aware number formatting
 - Interactive info cards
 - Staggered reveal animations
 - Parallax effects
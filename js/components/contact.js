@@ -5,23 +5,52 @@ Advanced contact form with validation, animations, and interactive effects
 ===============================================
 */
 
+import { i18n } from '../utils/i18n.js';
+import { domUtils } from '../utils/dom.js';
+import { createTransport } from '../utils/transport.js';
+import { Outbox } from '../utils/outbox.js';
+import { SpamGuard } from '../utils/spam-guard.js';
+import { verifyFileType } from '../utils/file-type.js';
+import { DraftStore } from '../utils/draft-store.js';
+import { CallScheduler } from './scheduler.js';
+import { renderFormFields, renderFormSteps, compileFieldConfig, isFieldVisible } from '../utils/form-schema.js';
+
 /**
  * Contact Component Class
- * Manages contact section with form validation, submission, and visual effects
+ * Manages contact section with form validation, submission, and visual effects.
+ * It is also the site's form engine: FormManager (js/app.js) runs every other
+ * form on it through the `form` and `storageKey` options
  */
 class ContactComponent {
     constructor(options = {}) {
         this.options = {
+            form: '#contact-form', // Selector or element of the form to drive
+            storageKey: 'contact', // Namespaces the draft, outbox and rate limit of this form
+            schema: null, // FormSchema (js/data/forms.js) rendered into the form's [data-form-schema] container
+            wizard: false, // Split the schema's steps into pages with a review screen
             enableRealTimeValidation: true,
             enableSubmitValidation: true,
             enableVisualFeedback: true,
             animationDuration: 300,
             debounceDelay: 300,
-            maxFileSize: 5 * 1024 * 1024, // 5MB
-            allowedFileTypes: ['pdf', 'doc', 'docx', 'txt'],
+            maxFileSize: 5 * 1024 * 1024, // 5MB per file
+            maxFiles: 5,
+            allowedFileTypes: ['pdf', 'doc', 'docx', 'txt'], // Checked against the name and the content
+            attachmentField: 'attachments', // Payload field that carries the files
+            scheduler: null, // WeeklySchedule (js/data/content.js callSchedule) for the [data-scheduler] slot picker
             autoSave: true,
             autoSaveInterval: 30000, // 30 seconds
-            submitTimeout: 10000, // 10 seconds
+            draftRetention: 7 * 24 * 60 * 60 * 1000, // Encrypted drafts are kept 7 days after their last save
+            maxDrafts: 3, // Unsent drafts kept per form
+            submitTimeout: 10000, // 10 seconds, applied to every transport
+            transport: null, // TransportConfig (`json`, `form`, `mailto`) or a Transport instance
+            enableOutbox: true, // Queue failed submissions in IndexedDB and retry them
+            outboxRetryDelay: 5000, // First retry delay, doubled after every failure
+            outboxMaxAttempts: 10, // Queued submissions go back to the visitor after this many failures...
+            outboxRetention: 3 * 24 * 60 * 60 * 1000, // ...or once queued this long (3 days)
+            spamProtection: {}, // SpamGuard options (honeypot, timing, rate limit, proof of work), false disables it
+            remoteValidation: null, // { endpoint, timeout } server checks for fields with a `remote` rule
+            mapServerErrors: null, // (TransportError) => { field: message }, reads the body's `errors` otherwise
             enableTypingIndicator: true,
             enableCharacterCount: true,
             enableSubmitAnimation: true,
@@ -29,6 +58,7 @@ class ContactComponent {
         };
         
         // Component state
+        this.formId = null;
         this.isInitialized = false;
         this.isVisible = false;
         this.isSubmitting = false;
@@ -36,12 +66,14 @@ class ContactComponent {
         this.formData = {};
         this.validationErrors = {};
         this.isDirty = false;
+        this.isValidating = false;
         
         // Form state
         this.hasInteracted = false;
         this.submitAttempted = false;
         this.lastAutoSave = null;
         this.typingTimer = null;
+        this.autoSaveTimer = null;
         
         // Animation tracking
         this.animationFrames = new Set();
@@ -55,53 +87,49 @@ class ContactComponent {
         this.statusElement = null;
         this.progressBar = null;
         this.contactInfo = null;
-        
-        // Field configurations
-        this.fieldConfig = {
-            name: {
-                required: true,
-                minLength: 2,
-                maxLength: 50,
-                pattern: /^[a-zA-ZáéíóúüñÁÉÍÓÚÜÑ\s]+$/,
-                errorMessages: {
-                    required: 'El nombre es obligatorio',
-                    minLength: 'El nombre debe tener al menos 2 caracteres',
-                    maxLength: 'El nombre no puede superar 50 caracteres',
-                    pattern: 'El nombre solo puede contener letras y espacios'
-                }
-            },
-            email: {
-                required: true,
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                errorMessages: {
-                    required: 'El email es obligatorio',
-                    pattern: 'Por favor, introduce un email válido'
-                }
-            },
-            subject: {
-                required: false,
-                maxLength: 100,
-                errorMessages: {
-                    maxLength: 'El asunto no puede superar 100 caracteres'
-                }
-            },
-            message: {
-                required: true,
-                minLength: 10,
-                maxLength: 1000,
-                errorMessages: {
-                    required: 'El mensaje es obligatorio',
-                    minLength: 'El mensaje debe tener al menos 10 caracteres',
-                    maxLength: 'El mensaje no puede superar 1000 caracteres'
-                }
-            },
-            privacy: {
-                required: true,
-                errorMessages: {
-                    required: 'Debes aceptar la política de privacidad'
-                }
-            }
-        };
+        this.fileInput = null;
+        this.dropZone = null;
+        this.fileList = null;
+        this.fileLimits = null;
+        
+        // Attached files by id: { id, file, mime, progress, element }
+        this.attachments = new Map();
+        
+        // Call slot picker, created from `options.scheduler` on init
+        this.scheduler = null;
+        this.schedulerContainer = null;
+        
+        // Wizard mode: { id, title, section, fields } per step, review last
+        this.steps = [];
+        this.currentStep = 0;
+        this.stepIndicator = null;
+        this.backButton = null;
+        this.nextButton = null;
+        
+        // Encrypted drafts; `draftId` is the one this visit writes to
+        this.drafts = null;
+        this.draftId = null;
+        this.draftPrompt = null;
+        this.discardDraftButton = null;
+        
+        // Delivers submissions, created from `options.transport` on init
+        this.transport = null;
+        
+        // Submissions waiting for the connection to come back
+        this.outbox = null;
+        this.statusTimer = null;
+        
+        // Bot checks run before anything is sent
+        this.spamGuard = this.options.spamProtection ? new SpamGuard({
+            storageKey: `${this.options.storageKey}-submissions`,
+            ...this.options.spamProtection
+        }) : null;
+        
+        // Character count renderers, re-run when the language changes
+        this.characterCounters = new Map();
+        
+        // Validation config per field, compiled from `options.schema`
+        this.fieldConfig = {};
         
         // Event handlers
         this.handleFieldInput = this.handleFieldInput.bind(this);
@@ -109,7 +137,18 @@ class ContactComponent {
         this.handleFieldFocus = this.handleFieldFocus.bind(this);
         this.handleFormSubmit = this.handleFormSubmit.bind(this);
         this.handleFileInput = this.handleFileInput.bind(this);
+        this.handleDragOver = this.handleDragOver.bind(this);
+        this.handleDragLeave = this.handleDragLeave.bind(this);
+        this.handleFileDrop = this.handleFileDrop.bind(this);
+        this.handleFileListClick = this.handleFileListClick.bind(this);
+        this.handleUploadProgress = this.handleUploadProgress.bind(this);
+        this.handleNextStep = this.handleNextStep.bind(this);
+        this.handleBackStep = this.handleBackStep.bind(this);
+        this.handleSummaryClick = this.handleSummaryClick.bind(this);
+        this.handleDraftPromptClick = this.handleDraftPromptClick.bind(this);
+        this.handleDiscardDraft = this.handleDiscardDraft.bind(this);
         this.handleContactInfoClick = this.handleContactInfoClick.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
         
         // Debounced functions
         this.debouncedValidation = this.debounce(this.validateField.bind(this), this.options.debounceDelay);
@@ -126,15 +165,30 @@ class ContactComponent {
             // Find DOM elements
             this.findElements();
             
+            // Setup server-side field checks
+            this.setupRemoteValidation();
+            
+            // Setup submission transport
+            this.setupTransport();
+            
             // Setup intersection observer
             this.setupVisibilityObserver();
             
             // Setup event listeners
             this.setupEventListeners();
             
+            // Setup file attachments
+            this.setupAttachments();
+            
+            // Setup call slot picker
+            this.setupScheduler();
+            
             // Setup form validation
             this.setupFormValidation();
             
+            // Setup wizard steps (schema steps + wizard option)
+            this.setupWizard();
+            
             // Setup contact info interactions
             this.setupContactInfoInteractions();
             
@@ -143,8 +197,11 @@ class ContactComponent {
                 this.setupAutoSave();
             }
             
-            // Load saved form data
-            this.loadSavedFormData();
+            // Setup encrypted drafts and offer to restore unsent ones
+            this.setupDrafts();
+            
+            // Setup offline outbox (encrypted with the draft key)
+            this.setupOutbox();
             
             // Setup visual enhancements
             this.setupVisualEnhancements();
@@ -154,7 +211,7 @@ class ContactComponent {
             
             // Dispatch ready event
             this.dispatchEvent('contact:ready');
-            
+        
         } catch (error) {
             console.error('❌ Failed to initialize Contact:', error);
         }
@@ -164,41 +221,318 @@ class ContactComponent {
      * Find and cache DOM elements
      */
     findElements() {
-        this.contactSection = document.getElementById('contact') || document.querySelector('.contact-section');
+        const { form } = this.options;
+        this.contactForm = typeof form === 'string' ? document.querySelector(form) : form;
         
-        if (!this.contactSection) {
-            throw new Error('Contact section not found');
+        if (!this.contactForm) {
+            throw new Error(`Form not found: ${form}`);
         }
         
+        // The surrounding section holds the contact info and drives visibility
+        this.contactSection = this.contactForm.closest('section') || this.contactForm;
+        this.formId = this.contactForm.id || this.options.storageKey;
+        
         // Find form elements
-        this.contactForm = this.contactSection.querySelector('#contact-form');
         this.submitButton = this.contactForm?.querySelector('[type="submit"]');
         this.statusElement = this.contactForm?.querySelector('.form-status');
         this.progressBar = this.contactForm?.querySelector('.form-progress');
         
+        // Find attachment elements
+        this.fileInput = this.contactForm?.querySelector('input[type="file"]');
+        this.dropZone = this.contactForm?.querySelector('.file-dropzone');
+        this.fileList = this.contactForm?.querySelector('.file-list');
+        this.fileLimits = this.contactForm?.querySelector('.file-dropzone-limits');
+        this.schedulerContainer = this.contactForm?.querySelector('[data-scheduler]');
+        
+        // Render schema-driven fields before caching them
+        if (this.options.schema) {
+            this.renderSchema();
+        }
+        
         // Find contact info
         this.contactInfo = this.contactSection.querySelector('.contact-info');
         
-        // Cache form fields
+        // Cache form fields (the honeypot and file picker stay out of validation and drafts)
         if (this.contactForm) {
+            const honeypotField = this.spamGuard?.options.honeypotField;
             const fieldElements = this.contactForm.querySelectorAll('input, textarea, select');
             fieldElements.forEach(field => {
                 const name = field.name || field.id;
-                if (name) {
-                    this.formFields.set(name, {
-                        element: field,
-                        errorElement: document.getElementById(`${name}-error`),
-                        config: this.fieldConfig[name] || {},
-                        isValid: false,
-                        value: field.value || ''
-                    });
+                if (!name || name === honeypotField || field.type === 'file') return;
+                
+                // Radio buttons share a name: one entry per group
+                const existing = this.formFields.get(name);
+                if (existing) {
+                    existing.elements.push(field);
+                    return;
                 }
+                
+                const group = field.closest('.form-group');
+                
+                this.formFields.set(name, {
+                    element: field,
+                    elements: [field],
+                    group,
+                    errorElement: group?.querySelector('.form-error') || document.getElementById(`${name}-error`),
+                    config: this.fieldConfig[name] || {},
+                    isValid: false,
+                    isHidden: false,
+                    isPending: false, // Async custom validation running
+                    asyncCheck: null,
+                    customResult: null,
+                    value: ''
+                });
+            });
+            
+            this.formFields.forEach(fieldData => {
+                fieldData.value = this.getFieldValue(fieldData);
             });
         }
         
         console.log(`📧 Found ${this.formFields.size} form fields`);
     }
 
+    /**
+     * Render the schema's fields and compile their validation config
+     */
+    renderSchema() {
+        const container = this.contactForm?.querySelector('[data-form-schema]');
+        if (!container) return;
+        
+        const { schema } = this.options;
+        const isWizard = this.options.wizard && schema.steps?.length > 0;
+        
+        this.fieldConfig = compileFieldConfig(schema);
+        container.innerHTML = isWizard
+            ? renderFormSteps(schema, key => i18n.t(key))
+            : renderFormFields(schema, key => i18n.t(key));
+        
+        // The rendered sections are the source of truth (leftover fields join the last step)
+        if (isWizard) {
+            this.steps = Array.from(container.querySelectorAll('.form-step'), section => ({
+                id: section.dataset.step,
+                title: section.querySelector('.form-step-title').dataset.i18n,
+                section,
+                fields: Array.from(section.querySelectorAll('[data-field]'), group => group.dataset.field)
+            }));
+        }
+        
+        console.log(`📧 Rendered ${schema.fields.length} fields from the "${schema.id}" schema${isWizard ? ` in ${schema.steps.length} steps` : ''}`);
+    }
+
+    /**
+     * Create the transport that delivers submissions
+     */
+    setupTransport() {
+        if (!this.options.transport) {
+            console.warn('📧 No contact transport configured, submissions will fail');
+            return;
+        }
+        
+        this.transport = createTransport(this.options.transport);
+        console.log(`📧 Contact transport: ${this.transport.config.type || this.transport.constructor.name}`);
+    }
+
+    /**
+     * Check fields with a `remote` schema rule against the configured endpoint
+     */
+    setupRemoteValidation() {
+        if (!this.options.remoteValidation?.endpoint) return;
+        
+        this.formFields.forEach((fieldData, fieldName) => {
+            if (!fieldData.config.remote) return;
+            
+            this.addCustomValidation(
+                fieldName,
+                (value, { signal }) => this.checkRemoteValue(fieldName, value, signal),
+                fieldData.config.errorMessages.remote || 'validation.invalid'
+            );
+        });
+    }
+
+    /**
+     * Ask the validation endpoint about a value
+     * @param {string} fieldName - Field being checked
+     * @param {string} value - Trimmed value
+     * @param {AbortSignal} signal - Aborted when a newer value replaces this one
+     * @returns {Promise<boolean|string>} - true, or false / the server's message
+     */
+    async checkRemoteValue(fieldName, value, signal) {
+        const { endpoint, timeout = 5000 } = this.options.remoteValidation;
+        const url = new URL(endpoint, window.location.href);
+        url.searchParams.set('field', fieldName);
+        url.searchParams.set('value', value);
+        
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        const timer = setTimeout(abort, timeout);
+        signal.addEventListener('abort', abort, { once: true });
+        
+        try {
+            const response = await fetch(url, {
+                signal: controller.signal,
+                headers: { Accept: 'application/json' }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Validation endpoint answered ${response.status}`);
+            }
+            
+            const { valid, message } = await response.json();
+            return valid === false ? message || false : true;
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Setup the outbox that retries failed submissions
+     * mailto: never fails in a retryable way, so it gets no outbox
+     */
+    setupOutbox() {
+        if (!this.options.enableOutbox || !this.transport || this.transport.config.type === 'mailto') return;
+        
+        this.outbox = new Outbox({
+            dbName: `${this.options.storageKey}-outbox`,
+            send: (payload) => this.deliverSubmission(payload),
+            isRetryable: (error) => this.isRetryableError(error),
+            baseDelay: this.options.outboxRetryDelay,
+            maxAttempts: this.options.outboxMaxAttempts,
+            maxAge: this.options.outboxRetention,
+            cipher: this.drafts, // Queued messages are stored encrypted, like drafts
+            onSent: (entry, result) => this.handleQueuedSubmissionSent(entry, result),
+            onRetry: (entry, error) => {
+                console.warn(`📮 Queued submission #${entry.id} failed (attempt ${entry.attempts}):`, error.message);
+            },
+            onFailed: (entry, error, reason) => this.handleQueuedSubmissionFailed(entry, error, reason)
+        });
+        
+        this.outbox.init().catch(error => {
+            console.error('Outbox unavailable:', error);
+            this.outbox = null;
+        });
+    }
+
+    /**
+     * Setup the attachment picker and drop zone
+     * Hidden when the transport can't carry files (mailto:, JSON)
+     */
+    setupAttachments() {
+        if (!this.fileInput) return;
+        
+        const group = this.fileInput.closest('.form-group');
+        
+        if (!this.transport?.supportsFiles) {
+            if (group) group.hidden = true;
+            return;
+        }
+        
+        if (group) group.hidden = false;
+        this.fileInput.accept = this.options.allowedFileTypes.map(type => `.${type}`).join(',');
+        this.fileInput.addEventListener('change', this.handleFileInput);
+        
+        if (this.dropZone) {
+            this.dropZone.addEventListener('dragenter', this.handleDragOver);
+            this.dropZone.addEventListener('dragover', this.handleDragOver);
+            this.dropZone.addEventListener('dragleave', this.handleDragLeave);
+            this.dropZone.addEventListener('drop', this.handleFileDrop);
+        }
+        
+        this.fileList?.addEventListener('click', this.handleFileListClick);
+        
+        this.renderFileLimits();
+    }
+
+    /**
+     * Setup the call slot picker from the weekly schedule
+     * Stays hidden without a `scheduler` option
+     */
+    setupScheduler() {
+        if (!this.schedulerContainer || !this.options.scheduler) return;
+        
+        this.scheduler = new CallScheduler(this.schedulerContainer, {
+            schedule: this.options.scheduler,
+            getAttendee: () => ({
+                name: this.formFields.get('name')?.value || '',
+                email: this.formFields.get('email')?.value || ''
+            }),
+            onChange: slot => {
+                this.dispatchEvent('contact:slot-selected', {
+                    start: slot?.start || null,
+                    end: slot?.end || null
+                });
+            }
+        });
+        
+        this.scheduler.init();
+        this.schedulerContainer.hidden = false;
+    }
+
+    /**
+     * Setup wizard mode: step indicator, back/next buttons and the first step
+     */
+    setupWizard() {
+        if (this.steps.length === 0) return;
+        
+        this.contactForm.classList.add('is-wizard');
+        
+        // Step indicator
+        this.stepIndicator = document.createElement('div');
+        this.stepIndicator.className = 'form-steps';
+        this.stepIndicator.innerHTML = `
+            <p class="form-steps-counter" aria-live="polite"></p>
+            <ol class="form-steps-list">
+                ${this.steps.map(step => `
+                    <li class="form-steps-item" data-step="${step.id}">
+                        <span class="form-steps-number"></span>
+                        <span class="form-steps-label" data-i18n="${step.title}">${i18n.t(step.title)}</span>
+                    </li>
+                `).join('')}
+            </ol>
+            <div class="form-steps-progress"><span class="form-steps-progress-bar"></span></div>
+        `;
+        this.contactForm.prepend(this.stepIndicator);
+        
+        // Attachments and the call slot belong with the details, on the last step before review
+        const detailsSection = this.steps[this.steps.length - 2].section;
+        const attachmentsGroup = this.fileInput?.closest('.form-group');
+        if (attachmentsGroup) {
+            detailsSection.appendChild(attachmentsGroup);
+        }
+        if (this.schedulerContainer) {
+            detailsSection.appendChild(this.schedulerContainer);
+        }
+        
+        // Back / next sit next to the submit button, which only shows on review
+        const actions = this.submitButton?.parentElement || this.contactForm;
+        this.backButton = this.createWizardButton('back', 'btn-secondary');
+        this.nextButton = this.createWizardButton('next', 'btn-primary');
+        actions.insertBefore(this.backButton, this.submitButton);
+        actions.insertBefore(this.nextButton, this.submitButton);
+        
+        this.backButton.addEventListener('click', this.handleBackStep);
+        this.nextButton.addEventListener('click', this.handleNextStep);
+        this.getReviewSection()?.addEventListener('click', this.handleSummaryClick);
+        
+        this.goToStep(0, { save: false });
+        
+        console.log(`🧭 Wizard mode: ${this.steps.length} steps`);
+    }
+
+    /**
+     * Create a back/next button
+     */
+    createWizardButton(action, variant) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${variant} btn-wizard-${action}`;
+        button.dataset.i18n = `contact.wizard.${action}`;
+        button.textContent = i18n.t(`contact.wizard.${action}`);
+        
+        return button;
+    }
+
     /**
      * Setup visibility observer
      */
@@ -232,19 +566,15 @@ class ContactComponent {
         
         // Field events
         this.formFields.forEach((fieldData, fieldName) => {
-            const field = fieldData.element;
-            
-            // Input events
-            field.addEventListener('input', (e) => this.handleFieldInput(e, fieldName));
-            field.addEventListener('blur', (e) => this.handleFieldBlur(e, fieldName));
-            field.addEventListener('focus', (e) => this.handleFieldFocus(e, fieldName));
-            
-            // Special handling for file inputs
-            if (field.type === 'file') {
-                field.addEventListener('change', this.handleFileInput);
-            }
+            // Input events (every button of a radio group)
+            fieldData.elements.forEach(field => {
+                field.addEventListener('input', (e) => this.handleFieldInput(e, fieldName));
+                field.addEventListener('blur', (e) => this.handleFieldBlur(e, fieldName));
+                field.addEventListener('focus', (e) => this.handleFieldFocus(e, fieldName));
+            });
             
             // Character count for textareas
+            const field = fieldData.element;
             if (field.tagName === 'TEXTAREA' && this.options.enableCharacterCount) {
                 this.setupCharacterCount(field, fieldName);
             }
@@ -260,13 +590,15 @@ class ContactComponent {
         
         // Custom events
         document.addEventListener('theme:change', this.handleThemeChange.bind(this));
+        document.addEventListener('i18n:change', this.handleLocaleChange);
     }
 
     /**
      * Setup form validation
      */
     setupFormValidation() {
-        // Initial validation state
+        // Hide conditional fields, then compute the initial validation state
+        this.updateFieldVisibility();
         this.updateFormValidity();
         
         console.log('✅ Form validation system initialized');
@@ -303,13 +635,51 @@ class ContactComponent {
      * Setup auto-save functionality
      */
     setupAutoSave() {
-        setInterval(() => {
+        clearInterval(this.autoSaveTimer);
+        
+        this.autoSaveTimer = setInterval(() => {
             if (this.isDirty && this.hasInteracted) {
                 this.autoSaveForm();
             }
         }, this.options.autoSaveInterval);
     }
 
+    /**
+     * Setup encrypted drafts: the discard action and the restore prompt
+     * Without WebCrypto/IndexedDB nothing is saved
+     */
+    setupDrafts() {
+        // Drafts used to be stored in plaintext: the store encrypts and removes that one
+        const drafts = new DraftStore({
+            storageKey: `${this.options.storageKey}-drafts`,
+            dbName: `${this.options.storageKey}-drafts`,
+            retention: this.options.draftRetention,
+            maxDrafts: this.options.maxDrafts,
+            legacyKey: `${this.options.storageKey}-form-draft`
+        });
+        
+        if (!drafts.isSupported) {
+            console.warn('🔐 Encrypted drafts unavailable, auto-save disabled');
+            return;
+        }
+        
+        this.drafts = drafts;
+        
+        // "Discard draft" sits first among the form actions, shown once a draft exists
+        const actions = this.submitButton?.parentElement || this.contactForm;
+        this.discardDraftButton = document.createElement('button');
+        this.discardDraftButton.type = 'button';
+        this.discardDraftButton.className = 'btn btn-ghost btn-sm form-discard-draft';
+        this.discardDraftButton.dataset.i18n = 'contact.drafts.discardCurrent';
+        this.discardDraftButton.textContent = i18n.t('contact.drafts.discardCurrent');
+        this.discardDraftButton.hidden = true;
+        this.discardDraftButton.addEventListener('click', this.handleDiscardDraft);
+        actions.prepend(this.discardDraftButton);
+        
+        // Offered once the old plaintext draft is encrypted
+        drafts.migration.then(() => this.renderDraftPrompt());
+    }
+
     /**
      * Setup character count for textareas
      */
@@ -336,7 +706,10 @@ class ContactComponent {
             const currentLength = field.value.length;
             const remaining = maxLength - currentLength;
             
-            countElement.textContent = `${currentLength}/${maxLength}`;
+            countElement.textContent = i18n.t('contact.characterCount', {
+                current: domUtils.formatNumber(currentLength),
+                max: domUtils.formatNumber(maxLength)
+            });
             
             if (remaining < 50) {
                 countElement.style.color = 'var(--color-warning)';
@@ -348,6 +721,7 @@ class ContactComponent {
         };
         
         field.addEventListener('input', updateCount);
+        this.characterCounters.set(fieldName, updateCount);
         updateCount(); // Initial count
     }
 
@@ -446,17 +820,22 @@ class ContactComponent {
      * Handle field input
      */
     handleFieldInput(event, fieldName) {
-        const field = event.target;
         const fieldData = this.formFields.get(fieldName);
         
         if (!fieldData) return;
         
         // Update field data
-        fieldData.value = field.value;
-        this.formData[fieldName] = field.value;
+        fieldData.value = this.getFieldValue(fieldData);
+        this.formData[fieldName] = fieldData.value;
+        
+        // A check for the previous value is stale now
+        this.cancelCustomValidation(fieldName);
         this.isDirty = true;
         this.hasInteracted = true;
         
+        // Fields shown or hidden by this value
+        this.updateFieldVisibility();
+        
         // Real-time validation
         if (this.options.enableRealTimeValidation && this.hasInteracted) {
             this.debouncedValidation(fieldName);
@@ -473,7 +852,7 @@ class ContactComponent {
         }
         
         // Dispatch event
-        this.dispatchEvent('contact:field-changed', { fieldName, value: field.value });
+        this.dispatchEvent('contact:field-changed', { fieldName, value: fieldData.value });
     }
 
     /**
@@ -506,6 +885,9 @@ class ContactComponent {
         // Mark as interacted
         this.hasInteracted = true;
         
+        // Time-to-submit is measured from the first focus
+        this.spamGuard?.markStart();
+        
         // Clear previous errors on focus
         if (this.validationErrors[fieldName]) {
             this.clearFieldError(fieldName);
@@ -523,46 +905,37 @@ class ContactComponent {
      */
     validateField(fieldName) {
         const fieldData = this.formFields.get(fieldName);
-        const config = fieldData?.config;
         
-        if (!fieldData || !config) return true;
+        if (!fieldData) return true;
         
-        const value = fieldData.value.trim();
-        const errors = [];
-        
-        // Required validation
-        if (config.required && !value) {
-            errors.push(config.errorMessages.required);
-        }
+        const config = fieldData.config;
+        let errors = this.getFieldErrors(fieldName);
         
-        // Only validate other rules if field has value
-        if (value) {
-            // Pattern validation
-            if (config.pattern && !config.pattern.test(value)) {
-                errors.push(config.errorMessages.pattern);
-            }
+        // The built-in rules pass: the custom validator has the last word
+        if (errors.length === 0 && this.needsCustomValidation(fieldName)) {
+            this.runCustomValidation(fieldName);
             
-            // Length validations
-            if (config.minLength && value.length < config.minLength) {
-                errors.push(config.errorMessages.minLength);
+            // Asynchronous: not valid until it answers, then validated again
+            if (fieldData.isPending) {
+                fieldData.isValid = false;
+                delete this.validationErrors[fieldName];
+                this.updateFormValidity();
+                return false;
             }
             
-            if (config.maxLength && value.length > config.maxLength) {
-                errors.push(config.errorMessages.maxLength);
-            }
-        }
-        
-        // Special validation for checkbox (privacy)
-        if (fieldData.element.type === 'checkbox' && config.required && !fieldData.element.checked) {
-            errors.push(config.errorMessages.required);
+            errors = this.getFieldErrors(fieldName);
         }
         
         // Update field validation state
         fieldData.isValid = errors.length === 0;
+        fieldData.errorRule = errors[0] || null;
         
         if (errors.length > 0) {
-            this.showFieldError(fieldName, errors[0]);
-            this.validationErrors[fieldName] = errors[0];
+            const message = errors[0] === 'custom'
+                ? i18n.t(fieldData.customResult.error)
+                : this.getErrorMessage(config, errors[0]);
+            this.showFieldError(fieldName, message);
+            this.validationErrors[fieldName] = message;
         } else {
             this.clearFieldError(fieldName);
             delete this.validationErrors[fieldName];
@@ -575,135 +948,460 @@ class ContactComponent {
     }
 
     /**
-     * Show field error
+     * List the rules a field currently fails, without touching the UI
+     * Hidden fields always pass
+     * @param {string} fieldName - Field to check
+     * @returns {string[]} - Failed rule names (`required`, `pattern`...)
      */
-    showFieldError(fieldName, message) {
+    getFieldErrors(fieldName) {
         const fieldData = this.formFields.get(fieldName);
-        if (!fieldData) return;
+        const config = fieldData?.config;
         
-        const field = fieldData.element;
-        const errorElement = fieldData.errorElement;
+        if (!fieldData || !config || fieldData.isHidden) return [];
         
-        // Add error class to field
-        field.classList.add('error');
+        const value = fieldData.value.trim();
+        const errors = [];
         
-        // Show error message
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.style.display = 'block';
-            errorElement.style.opacity = '1';
+        // Required validation (unchecked boxes and radio groups have no value)
+        if (config.required && !value) {
+            errors.push('required');
         }
         
-        // Add shake animation
-        field.style.animation = 'shake 0.5s ease-in-out';
-        setTimeout(() => {
-            field.style.animation = '';
-        }, 500);
+        // Only validate other rules if field has value
+        if (value) {
+            // Pattern validation
+            if (config.pattern && !config.pattern.test(value)) {
+                errors.push('pattern');
+            }
+            
+            // Length validations
+            if (config.minLength && value.length < config.minLength) {
+                errors.push('minLength');
+            }
+            
+            if (config.maxLength && value.length > config.maxLength) {
+                errors.push('maxLength');
+            }
+            
+            // Custom validator verdict for this exact value (see runCustomValidation)
+            if (errors.length === 0 && fieldData.customResult?.value === value && fieldData.customResult.error) {
+                errors.push('custom');
+            }
+        }
+        
+        return errors;
     }
 
     /**
-     * Clear field error
+     * Validate a field and wait for its custom validator, when one is running
+     * @param {string} fieldName - Field to validate
+     * @returns {Promise<boolean>}
      */
-    clearFieldError(fieldName) {
+    async validateFieldAsync(fieldName) {
         const fieldData = this.formFields.get(fieldName);
-        if (!fieldData) return;
         
-        const field = fieldData.element;
-        const errorElement = fieldData.errorElement;
-        
-        // Remove error class
-        field.classList.remove('error');
+        this.validateField(fieldName);
         
-        // Hide error message
-        if (errorElement) {
-            errorElement.textContent = '';
-            errorElement.style.display = 'none';
-            errorElement.style.opacity = '0';
+        // A newer check may replace the one awaited (the visitor kept typing)
+        while (fieldData?.asyncCheck) {
+            await fieldData.asyncCheck.promise;
         }
+        
+        return fieldData ? fieldData.isValid : true;
     }
 
     /**
-     * Update overall form validity
+     * Whether a field's custom validator still has to judge its current value
      */
-    updateFormValidity() {
-        const allValid = Array.from(this.formFields.values()).every(fieldData => fieldData.isValid);
-        this.isValid = allValid;
+    needsCustomValidation(fieldName) {
+        const fieldData = this.formFields.get(fieldName);
+        const value = fieldData?.value.trim();
         
-        // Update submit button state
-        if (this.submitButton) {
-            this.submitButton.disabled = !allValid || this.isSubmitting;
-            
-            if (allValid) {
-                this.submitButton.classList.add('ready');
-            } else {
-                this.submitButton.classList.remove('ready');
-            }
-        }
+        return Boolean(fieldData?.customValidator && !fieldData.isHidden && value && fieldData.customResult?.value !== value);
     }
 
     /**
-     * Handle form submission
+     * Run a field's custom validator on its current value
+     * Synchronous verdicts are stored at once; promises put the field in a pending
+     * state and get an AbortSignal, aborted when the value changes. A validator that
+     * fails (endpoint down, timeout) lets the value through rather than block the visitor
+     * @param {string} fieldName - Field to check
      */
-    async handleFormSubmit(event) {
-        event.preventDefault();
+    runCustomValidation(fieldName) {
+        const fieldData = this.formFields.get(fieldName);
+        const value = fieldData.value.trim();
         
-        if (this.isSubmitting) return;
+        // Already checking this value
+        if (fieldData.asyncCheck?.value === value) return;
         
-        this.submitAttempted = true;
+        this.cancelCustomValidation(fieldName);
         
-        // Validate all fields
-        const isFormValid = this.validateAllFields();
+        const controller = new AbortController();
+        let verdict;
         
-        if (!isFormValid) {
-            this.showFormError('Por favor, corrige los errores antes de enviar');
-            this.focusFirstError();
+        try {
+            verdict = fieldData.customValidator(value, { signal: controller.signal, values: this.getFormData() });
+        } catch (error) {
+            console.warn(`Custom validation of "${fieldName}" failed:`, error);
+            verdict = true;
+        }
+        
+        if (typeof verdict?.then !== 'function') {
+            fieldData.customResult = { value, error: this.getCustomValidationError(fieldData, verdict) };
             return;
         }
         
-        // Start submission
-        await this.submitForm();
+        const promise = Promise.resolve(verdict)
+            .then(result => this.getCustomValidationError(fieldData, result), error => {
+                if (fieldData.asyncCheck?.controller === controller) {
+                    console.warn(`Custom validation of "${fieldName}" failed:`, error);
+                }
+                return null;
+            })
+            .then(error => {
+                if (fieldData.asyncCheck?.controller !== controller) return;
+                
+                fieldData.asyncCheck = null;
+                fieldData.customResult = { value, error };
+                this.setFieldPending(fieldName, false);
+                this.validateField(fieldName);
+            });
+        
+        fieldData.asyncCheck = { value, controller, promise };
+        this.setFieldPending(fieldName, true);
     }
 
     /**
-     * Validate all fields
+     * Abort a field's running custom validation
      */
-    validateAllFields() {
-        let allValid = true;
-        
-        this.formFields.forEach((fieldData, fieldName) => {
-            const isValid = this.validateField(fieldName);
-            if (!isValid) allValid = false;
-        });
+    cancelCustomValidation(fieldName) {
+        const fieldData = this.formFields.get(fieldName);
+        if (!fieldData?.asyncCheck) return;
         
-        return allValid;
+        fieldData.asyncCheck.controller.abort();
+        fieldData.asyncCheck = null;
+        this.setFieldPending(fieldName, false);
     }
 
     /**
-     * Submit form
+     * Turn a validator's verdict into an error (catalog key or text), null when it passes
+     * `true` / nothing passes, a string is the error, `false` uses the registered message
      */
-    async submitForm() {
-        this.isSubmitting = true;
-        this.setSubmitButtonLoading(true);
+    getCustomValidationError(fieldData, verdict) {
+        if (verdict === true || verdict === undefined || verdict === null) return null;
+        if (typeof verdict === 'string') return verdict;
         
-        try {
+        return fieldData.customErrorMessage || 'validation.invalid';
+    }
+
+    /**
+     * Show or clear a field's "checking" state
+     */
+    setFieldPending(fieldName, isPending) {
+        const fieldData = this.formFields.get(fieldName);
+        if (!fieldData) return;
+        
+        const { element, group, errorElement } = fieldData;
+        fieldData.isPending = isPending;
+        
+        group?.classList.toggle('is-validating', isPending);
+        element.toggleAttribute('aria-busy', isPending);
+        
+        if (isPending) {
+            element.classList.remove('error');
+            
+            if (errorElement) {
+                errorElement.textContent = i18n.t('contact.validating');
+                errorElement.classList.add('is-pending');
+                errorElement.style.display = 'block';
+                errorElement.style.opacity = '1';
+            }
+        } else if (errorElement?.classList.contains('is-pending')) {
+            errorElement.classList.remove('is-pending');
+            this.clearFieldError(fieldName);
+        }
+        
+        this.dispatchEvent('contact:field-pending', { fieldName, pending: isPending });
+    }
+
+    /**
+     * Read a field's current value
+     * Checkboxes give their value only when checked, radio groups the checked button's
+     */
+    getFieldValue(fieldData) {
+        const { element, elements } = fieldData;
+        
+        if (element.type === 'radio') {
+            return elements.find(radio => radio.checked)?.value || '';
+        }
+        
+        if (element.type === 'checkbox') {
+            return element.checked ? element.value : '';
+        }
+        
+        return element.value || '';
+    }
+
+    /**
+     * Write a value into a field's control(s)
+     */
+    setFieldValue(fieldData, value) {
+        const { element, elements } = fieldData;
+        
+        if (element.type === 'radio') {
+            elements.forEach(radio => {
+                radio.checked = radio.value === value;
+            });
+        } else if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else {
+            element.value = value;
+        }
+        
+        fieldData.value = this.getFieldValue(fieldData);
+    }
+
+    /**
+     * Show or hide fields whose `visibleWhen` condition depends on other values
+     * Hidden fields are disabled, so they skip validation and stay out of the payload
+     */
+    updateFieldVisibility() {
+        const values = {};
+        
+        this.formFields.forEach((fieldData, fieldName) => {
+            const isHidden = !isFieldVisible(fieldData.config.visibleWhen, values);
+            
+            // Fields further down only see values that are on screen
+            values[fieldName] = isHidden ? '' : fieldData.value;
+            
+            if (isHidden === fieldData.isHidden) return;
+            
+            fieldData.isHidden = isHidden;
+            if (fieldData.group) {
+                fieldData.group.hidden = isHidden;
+            }
+            fieldData.elements.forEach(element => {
+                element.disabled = isHidden;
+            });
+            
+            if (isHidden) {
+                this.cancelCustomValidation(fieldName);
+                this.clearFieldError(fieldName);
+                delete this.validationErrors[fieldName];
+                fieldData.isValid = true;
+            } else {
+                // Judge the revealed field quietly; errors show once it is touched
+                fieldData.isValid = this.getFieldErrors(fieldName).length === 0;
+            }
+            
+            this.dispatchEvent('contact:field-visibility', { fieldName, visible: !isHidden });
+        });
+        
+        this.updateFormValidity();
+    }
+
+    /**
+     * Translate the message for a failed rule in the active language
+     * @param {Object} config - Field configuration
+     * @param {string} rule - Failed rule (`required`, `pattern`, `minLength`, `maxLength`)
+     * @returns {string}
+     */
+    getErrorMessage(config, rule) {
+        const key = config.errorMessages?.[rule] || `validation.${rule}`;
+        const count = typeof config[rule] === 'number' ? config[rule] : undefined;
+        
+        return i18n.t(key, { count });
+    }
+
+    /**
+     * Show field error
+     */
+    showFieldError(fieldName, message) {
+        const fieldData = this.formFields.get(fieldName);
+        if (!fieldData) return;
+        
+        const field = fieldData.element;
+        const errorElement = fieldData.errorElement;
+        
+        // Add error class to field
+        field.classList.add('error');
+        
+        // Show error message
+        if (errorElement) {
+            errorElement.classList.remove('is-pending');
+            errorElement.textContent = message;
+            errorElement.style.display = 'block';
+            errorElement.style.opacity = '1';
+        }
+        
+        // Add shake animation
+        field.style.animation = 'shake 0.5s ease-in-out';
+        setTimeout(() => {
+            field.style.animation = '';
+        }, 500);
+    }
+
+    /**
+     * Clear field error
+     */
+    clearFieldError(fieldName) {
+        const fieldData = this.formFields.get(fieldName);
+        if (!fieldData) return;
+        
+        const field = fieldData.element;
+        const errorElement = fieldData.errorElement;
+        
+        // Remove error class
+        field.classList.remove('error');
+        
+        // Hide error message
+        if (errorElement) {
+            errorElement.textContent = '';
+            errorElement.style.display = 'none';
+            errorElement.style.opacity = '0';
+        }
+    }
+
+    /**
+     * Update overall form validity
+     */
+    updateFormValidity() {
+        const allValid = Array.from(this.formFields.values()).every(fieldData => fieldData.isValid);
+        this.isValid = allValid;
+        
+        // Update submit button state
+        if (this.submitButton) {
+            this.submitButton.disabled = !allValid || this.isSubmitting;
+            
+            if (allValid) {
+                this.submitButton.classList.add('ready');
+            } else {
+                this.submitButton.classList.remove('ready');
+            }
+        }
+        
+        this.updateStepIndicator();
+    }
+
+    /**
+     * Handle form submission
+     */
+    async handleFormSubmit(event) {
+        event.preventDefault();
+        
+        if (this.isSubmitting || this.isValidating) return;
+        
+        // Wizard: Enter and the submit button move forward until the review step
+        if (this.steps.length > 0 && !this.isReviewStep()) {
+            await this.nextStep();
+            return;
+        }
+        
+        this.submitAttempted = true;
+        
+        // Validate all fields, waiting for asynchronous checks
+        this.isValidating = true;
+        let isFormValid;
+        
+        try {
+            isFormValid = await this.validateAllFieldsAsync();
+        } finally {
+            this.isValidating = false;
+        }
+        
+        if (!isFormValid) {
+            const count = Object.keys(this.validationErrors).length;
+            this.showFormError(i18n.t('contact.fixErrors', { count }));
+            this.focusFirstError();
+            return;
+        }
+        
+        // Start submission
+        await this.submitForm();
+    }
+
+    /**
+     * Validate all fields
+     */
+    validateAllFields() {
+        let allValid = true;
+        
+        this.formFields.forEach((fieldData, fieldName) => {
+            const isValid = this.validateField(fieldName);
+            if (!isValid) allValid = false;
+        });
+        
+        return allValid;
+    }
+
+    /**
+     * Validate all fields, waiting for asynchronous checks
+     * @returns {Promise<boolean>}
+     */
+    async validateAllFieldsAsync() {
+        const results = await Promise.all(
+            Array.from(this.formFields.keys(), fieldName => this.validateFieldAsync(fieldName))
+        );
+        
+        return results.every(Boolean);
+    }
+
+    /**
+     * Submit form
+     */
+    async submitForm() {
+        this.isSubmitting = true;
+        this.setSubmitButtonLoading(true);
+        
+        try {
             console.log('📧 Submitting contact form...');
             
             // Collect form data
             const formData = new FormData(this.contactForm);
             const data = Object.fromEntries(formData.entries());
             
+            // Files travel as File values; the picker itself has no name
+            if (this.attachments.size > 0) {
+                data[this.options.attachmentField] = Array.from(this.attachments.values(), entry => entry.file);
+            }
+            
+            // Proposed call slot (callSlot, callSlotEnd, callTimeZone)
+            Object.assign(data, this.scheduler?.getPayload());
+            
+            // Bots get the same response as everyone else, so they learn nothing
+            const spamReason = this.spamGuard?.check(data);
+            if (spamReason) {
+                this.handleSpamRejection(spamReason);
+                return;
+            }
+            
             // Show progress
             this.showSubmissionProgress();
             
-            // Simulate API call (replace with actual endpoint)
-            await this.simulateFormSubmission(data);
+            // Offline: straight to the outbox, it sends when the connection is back
+            if (this.outbox && navigator.onLine === false) {
+                await this.queueSubmission(data);
+                return;
+            }
             
-            // Success
-            this.handleSubmissionSuccess();
+            try {
+                // Deliver through the configured transport
+                const onProgress = this.attachments.size > 0 ? this.handleUploadProgress : undefined;
+                const result = await this.deliverSubmission(data, { onProgress });
+                
+                // Success
+                this.handleSubmissionSuccess(result);
+            } catch (error) {
+                if (!this.outbox || !this.isRetryableError(error)) throw error;
+                
+                console.warn('Submission failed, queuing for retry:', error.message);
+                await this.queueSubmission(data, error);
+                return;
+            }
             
             // Clear saved form data
             this.clearSavedFormData();
-            
+        
         } catch (error) {
             console.error('Submission error:', error);
             this.handleSubmissionError(error);
@@ -711,30 +1409,160 @@ class ContactComponent {
             this.isSubmitting = false;
             this.setSubmitButtonLoading(false);
             this.hideSubmissionProgress();
+            
+            // Files still listed were not sent
+            this.attachments.forEach(entry => this.setAttachmentProgress(entry, 0));
         }
     }
 
     /**
-     * Simulate form submission
+     * Send form data through the transport
+     * Queued submissions come through here too, so the proof of work is
+     * computed at send time and only delivered messages count against the rate limit
+     * @param {Object} data - Field values keyed by name
+     * @param {Object} options - `{ onProgress }` upload progress callback
+     * @returns {Promise<import('../utils/transport.js').TransportResult>}
      */
-    async simulateFormSubmission(data) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simulate random success/failure for demo
-                if (Math.random() > 0.1) { // 90% success rate
-                    resolve(data);
-                } else {
-                    reject(new Error('Error de conexión. Inténtalo de nuevo.'));
-                }
-            }, 2000);
+    async deliverSubmission(data, { onProgress } = {}) {
+        if (!this.transport) {
+            throw new Error('No contact transport configured');
+        }
+        
+        const payload = this.spamGuard ? await this.spamGuard.prepare(data) : data;
+        const result = await this.transport.send(payload, { timeout: this.options.submitTimeout, onProgress });
+        
+        this.spamGuard?.recordSubmission();
+        
+        return result;
+    }
+
+    /**
+     * Whether a failed submission is worth retrying later
+     * Connection problems and server-side errors are; rejected input (4xx) is not
+     */
+    isRetryableError(error) {
+        if (['network', 'timeout'].includes(error?.code)) return true;
+        
+        return error?.code === 'http' && (error.status >= 500 || error.status === 429 || error.status === 408);
+    }
+
+    /**
+     * Store a submission in the outbox and tell the visitor it will be sent later
+     * @param {Object} data - Field values keyed by name
+     * @param {?Error} error - Failure that caused the queueing, null when offline
+     */
+    async queueSubmission(data, error = null) {
+        const entry = await this.outbox.add(data, error);
+        
+        this.showFormStatus(i18n.t('contact.queued'), 'queued', 0);
+        
+        // The message is safe in the outbox, so the form and draft can go
+        this.contactForm.reset();
+        this.resetFormState();
+        this.clearSavedFormData();
+        
+        this.dispatchEvent('contact:queued', {
+            id: entry.id,
+            queuedAt: entry.createdAt,
+            reason: error ? error.code || 'error' : 'offline'
         });
+        
+        console.log(`📮 Submission #${entry.id} queued`);
+    }
+
+    /**
+     * A queued submission went through on a later attempt
+     */
+    handleQueuedSubmissionSent(entry, result) {
+        this.showFormSuccess(i18n.t('contact.queuedSent'));
+        
+        this.dispatchEvent('contact:form-submitted', { result, queued: true, id: entry.id });
+    }
+
+    /**
+     * A queued submission was dropped: rejected by the server, out of attempts or expired
+     * It goes back to the visitor, with the server's field errors when there are any
+     * @param {import('../utils/outbox.js').OutboxEntry} entry - Dropped entry
+     * @param {?Error} error - Last failure, null when it expired unsent
+     * @param {string} reason - `rejected`, `max-attempts`, `expired` or `unreadable`
+     */
+    async handleQueuedSubmissionFailed(entry, error, reason) {
+        const returnedTo = reason === 'unreadable' ? null : await this.returnQueuedSubmission(entry.payload);
+        const fieldErrors = returnedTo === 'form' ? this.getServerFieldErrors(error) : {};
+        const count = this.showServerFieldErrors(fieldErrors);
+        
+        this.showFormError(i18n.t(`contact.queuedFailed.${returnedTo || 'lost'}`));
+        if (count > 0) this.focusFirstError();
+        
+        this.dispatchEvent('contact:queue-failed', { id: entry.id, reason, error, fieldErrors, returnedTo });
+    }
+
+    /**
+     * Put a dropped submission back where the visitor can fix and resend it:
+     * the form when it is untouched, a new draft otherwise
+     * @param {Object} payload - Submitted field values
+     * @returns {Promise<?string>} - `form`, `draft` or null when it could not be kept
+     */
+    async returnQueuedSubmission(payload) {
+        const { [this.options.attachmentField]: files, ...data } = payload;
+        
+        if (!this.isDirty) {
+            this.applyDraft({ data });
+            
+            if (files && this.transport?.supportsFiles) {
+                await this.addFiles([].concat(files));
+            }
+            
+            return 'form';
+        }
+        
+        if (!this.drafts) return null;
+        
+        try {
+            await this.drafts.save(domUtils.generateId('draft'), { data });
+        } catch (error) {
+            console.warn('💾 Returned submission could not be saved as a draft:', error);
+            return null;
+        }
+        
+        this.renderDraftPrompt();
+        return 'draft';
+    }
+
+    /**
+     * Handle a submission that failed the spam checks
+     * Honeypot hits and scripts that never touched a field get a fake success, so bots
+     * learn nothing. A visitor who used the form keeps it and is told to retry
+     * @param {string} reason - `honeypot`, `too-fast` or `rate-limited`
+     */
+    handleSpamRejection(reason) {
+        console.warn(`🛡️ Submission blocked: ${reason}`);
+        
+        this.dispatchEvent('contact:spam-blocked', { reason });
+        
+        if (reason === 'honeypot' || !this.hasInteracted) {
+            this.showFormSuccess(i18n.t('contact.success'));
+            this.contactForm.reset();
+            this.resetFormState();
+            return;
+        }
+        
+        if (reason === 'rate-limited') {
+            this.showFormError(i18n.t('contact.rateLimited'));
+            return;
+        }
+        
+        // The clock may have been reset by an earlier send, so a retry in a few seconds passes
+        this.spamGuard?.markStart();
+        this.showFormError(i18n.t('contact.tooFast', { seconds: Math.ceil(this.spamGuard.options.minSubmitTime / 1000) }));
     }
 
     /**
      * Handle submission success
      */
-    handleSubmissionSuccess() {
-        this.showFormSuccess('¡Mensaje enviado correctamente! Te responderé pronto.');
+    handleSubmissionSuccess(result = {}) {
+        // mailto: only opens the visitor's mail client, nothing is sent yet
+        this.showFormSuccess(i18n.t(result.transport === 'mailto' ? 'contact.mailtoOpened' : 'contact.success'));
         
         // Reset form
         this.contactForm.reset();
@@ -744,7 +1572,7 @@ class ContactComponent {
         this.addSuccessAnimation();
         
         // Dispatch event
-        this.dispatchEvent('contact:form-submitted');
+        this.dispatchEvent('contact:form-submitted', { result });
         
         console.log('✅ Form submitted successfully');
     }
@@ -753,11 +1581,86 @@ class ContactComponent {
      * Handle submission error
      */
     handleSubmissionError(error) {
-        const message = error.message || 'Error al enviar el mensaje. Inténtalo de nuevo.';
-        this.showFormError(message);
+        // Rejected fields are shown where they belong
+        const fieldErrors = this.getServerFieldErrors(error);
+        const count = this.showServerFieldErrors(fieldErrors);
+        
+        if (count > 0) {
+            this.showFormError(i18n.t('contact.fixErrors', { count }));
+            this.focusFirstError();
+        } else {
+            this.showFormError(this.getSubmissionErrorMessage(error));
+        }
         
         // Dispatch event
-        this.dispatchEvent('contact:form-error', { error });
+        this.dispatchEvent('contact:form-error', { error, fieldErrors });
+    }
+
+    /**
+     * Read per-field errors from a rejected submission
+     * The response body's `errors` may be `{ field: message | [messages] }` or
+     * `[{ field, message }]`; `options.mapServerErrors` handles other shapes
+     * @param {Error} error - Transport failure
+     * @returns {Object<string, string>} - Message (catalog key or text) per field
+     */
+    getServerFieldErrors(error) {
+        if (error?.code !== 'http' || !error.data) return {};
+        
+        if (this.options.mapServerErrors) {
+            return this.options.mapServerErrors(error) || {};
+        }
+        
+        const { errors } = error.data;
+        
+        if (Array.isArray(errors)) {
+            return Object.fromEntries(errors.filter(item => item?.field).map(item => [item.field, item.message]));
+        }
+        
+        if (errors && typeof errors === 'object') {
+            return Object.fromEntries(Object.entries(errors).map(([field, messages]) => [field, [].concat(messages)[0]]));
+        }
+        
+        return {};
+    }
+
+    /**
+     * Show server-returned errors on their fields
+     * They hold until the field is edited and validated again
+     * @param {Object<string, string>} fieldErrors - Message per field
+     * @returns {number} - Fields that got an error
+     */
+    showServerFieldErrors(fieldErrors) {
+        const fieldNames = Object.keys(fieldErrors).filter(fieldName => (
+            this.formFields.has(fieldName) && !this.formFields.get(fieldName).isHidden
+        ));
+        
+        fieldNames.forEach(fieldName => {
+            const message = i18n.t(String(fieldErrors[fieldName] || 'validation.invalid'));
+            
+            this.formFields.get(fieldName).isValid = false;
+            this.validationErrors[fieldName] = message;
+            this.showFieldError(fieldName, message);
+        });
+        
+        if (fieldNames.length > 0) {
+            this.updateFormValidity();
+        }
+        
+        return fieldNames.length;
+    }
+
+    /**
+     * Translate a transport failure for the visitor
+     */
+    getSubmissionErrorMessage(error) {
+        switch (error?.code) {
+            case 'timeout':
+                return i18n.t('contact.timeout');
+            case 'network':
+                return i18n.t('contact.connectionError');
+            default:
+                return i18n.t('contact.failure');
+        }
     }
 
     /**
@@ -776,7 +1679,7 @@ class ContactComponent {
             
             if (textElement) textElement.style.opacity = '0';
             if (loadingElement) loadingElement.style.display = 'block';
-            
+        
         } else {
             this.submitButton.classList.remove('loading');
             this.submitButton.disabled = !this.isValid;
@@ -830,43 +1733,55 @@ class ContactComponent {
     }
 
     /**
-     * Show form success message
+     * Show a form status message
+     * @param {string} message - Text to show
+     * @param {string} type - success, error or queued
+     * @param {number} duration - Auto-hide delay in ms, 0 keeps it visible
      */
-    showFormSuccess(message) {
+    showFormStatus(message, type, duration = 5000) {
         if (!this.statusElement) return;
         
-        this.statusElement.className = 'form-status success';
+        clearTimeout(this.statusTimer);
+        
+        this.statusElement.className = `form-status ${type}`;
         this.statusElement.textContent = message;
         this.statusElement.style.display = 'block';
         
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            this.statusElement.style.display = 'none';
-        }, 5000);
+        if (duration > 0) {
+            this.statusTimer = setTimeout(() => {
+                this.statusElement.style.display = 'none';
+            }, duration);
+        }
+    }
+
+    /**
+     * Show form success message
+     */
+    showFormSuccess(message) {
+        this.showFormStatus(message, 'success');
     }
 
     /**
      * Show form error message
      */
     showFormError(message) {
-        if (!this.statusElement) return;
-        
-        this.statusElement.className = 'form-status error';
-        this.statusElement.textContent = message;
-        this.statusElement.style.display = 'block';
-        
-        // Auto-hide after 5 seconds
-        setTimeout(() => {
-            this.statusElement.style.display = 'none';
-        }, 5000);
+        this.showFormStatus(message, 'error');
     }
 
     /**
      * Focus first error field
      */
-    focusFirstError() {
+    focusFirstError(fieldNames = null) {
         for (const [fieldName, fieldData] of this.formFields) {
+            if (fieldNames && !fieldNames.includes(fieldName)) continue;
+            
             if (!fieldData.isValid) {
+                // In wizard mode the field may sit on another step
+                const stepIndex = this.steps.findIndex(step => step.fields.includes(fieldName));
+                if (stepIndex !== -1 && stepIndex !== this.currentStep) {
+                    this.goToStep(stepIndex);
+                }
+                
                 fieldData.element.focus();
                 break;
             }
@@ -882,20 +1797,38 @@ class ContactComponent {
         this.isDirty = false;
         this.submitAttempted = false;
         
+        // The next submission needs a new first focus
+        this.spamGuard?.reset();
+        
+        // Sent (or queued) files leave the list
+        this.clearAttachments();
+        this.scheduler?.clear();
+        
         // Reset field states
         this.formFields.forEach((fieldData, fieldName) => {
+            this.cancelCustomValidation(fieldName);
+            fieldData.customResult = null;
             fieldData.isValid = false;
             fieldData.value = '';
             this.clearFieldError(fieldName);
         });
         
+        // Conditional fields follow the cleared values
+        this.updateFieldVisibility();
         this.updateFormValidity();
+        
+        // Wizard starts over
+        if (this.steps.length > 0) {
+            this.goToStep(0, { save: false });
+        }
     }
 
     /**
-     * Auto-save form data
+     * Auto-save form data (encrypted, see DraftStore)
      */
-    autoSaveForm() {
+    async autoSaveForm() {
+        if (!this.drafts) return;
+        
         const formData = {};
         
         this.formFields.forEach((fieldData, fieldName) => {
@@ -904,55 +1837,196 @@ class ContactComponent {
             }
         });
         
-        localStorage.setItem('contact-form-draft', JSON.stringify({
-            data: formData,
-            timestamp: Date.now()
-        }));
+        // Nothing typed (or everything erased): nothing worth keeping
+        if (!Object.values(formData).some(Boolean)) return;
+        
+        this.draftId = this.draftId || domUtils.generateId('draft');
+        const draftId = this.draftId;
+        
+        try {
+            await this.drafts.save(draftId, {
+                data: formData,
+                step: this.steps[this.currentStep]?.id || null // Wizard position, restored with the draft
+            });
+        } catch (error) {
+            console.warn('💾 Auto-save failed:', error);
+            return;
+        }
+        
+        // Sent or discarded while encrypting
+        if (this.draftId !== draftId) {
+            this.drafts.remove(draftId);
+            return;
+        }
         
         this.lastAutoSave = Date.now();
-        console.log('💾 Form auto-saved');
+        this.discardDraftButton.hidden = false;
+        console.log('💾 Form auto-saved (encrypted)');
     }
 
     /**
-     * Load saved form data
+     * Show the "restore your unsent message?" prompt for drafts from earlier visits
+     * Nothing is decrypted until the visitor picks a draft
      */
-    loadSavedFormData() {
-        try {
-            const saved = localStorage.getItem('contact-form-draft');
-            if (!saved) return;
-            
-            const { data, timestamp } = JSON.parse(saved);
+    renderDraftPrompt() {
+        const drafts = this.drafts?.list().filter(draft => draft.id !== this.draftId) || [];
+        
+        if (drafts.length === 0) {
+            this.draftPrompt?.remove();
+            this.draftPrompt = null;
+            return;
+        }
+        
+        if (!this.draftPrompt) {
+            this.draftPrompt = document.createElement('div');
+            this.draftPrompt.className = 'form-draft-prompt';
+            this.draftPrompt.setAttribute('role', 'region');
+            this.draftPrompt.addEventListener('click', this.handleDraftPromptClick);
             
-            // Don't load if older than 24 hours
-            if (Date.now() - timestamp > 24 * 60 * 60 * 1000) {
-                localStorage.removeItem('contact-form-draft');
-                return;
-            }
+            // Above the fields, below the wizard's step indicator
+            const anchor = this.stepIndicator?.nextSibling || this.contactForm.firstChild;
+            this.contactForm.insertBefore(this.draftPrompt, anchor);
+        }
+        
+        this.draftPrompt.setAttribute('aria-label', i18n.t('contact.drafts.prompt', { count: drafts.length }));
+        this.draftPrompt.innerHTML = `
+            <p class="form-draft-title"></p>
+            <ul class="form-draft-list"></ul>
+            <p class="form-draft-note"></p>
+        `;
+        
+        this.draftPrompt.querySelector('.form-draft-title').textContent = i18n.t('contact.drafts.prompt', { count: drafts.length });
+        this.draftPrompt.querySelector('.form-draft-note').textContent = i18n.t('contact.drafts.note');
+        
+        const list = this.draftPrompt.querySelector('.form-draft-list');
+        
+        drafts.forEach(draft => {
+            const item = document.createElement('li');
+            item.className = 'form-draft-item';
+            item.dataset.draft = draft.id;
+            item.innerHTML = `
+                <span class="form-draft-time"></span>
+                <button type="button" class="btn btn-secondary btn-sm" data-draft-action="restore"></button>
+                <button type="button" class="btn btn-ghost btn-sm" data-draft-action="discard"></button>
+            `;
             
-            // Restore form data
-            Object.entries(data).forEach(([fieldName, value]) => {
-                const fieldData = this.formFields.get(fieldName);
-                if (fieldData && value) {
-                    fieldData.element.value = value;
-                    fieldData.value = value;
-                    this.formData[fieldName] = value;
-                }
+            item.querySelector('.form-draft-time').textContent = i18n.t('contact.drafts.savedAt', {
+                time: domUtils.getRelativeTime(draft.updatedAt)
             });
+            item.querySelector('[data-draft-action="restore"]').textContent = i18n.t('contact.drafts.restore');
+            item.querySelector('[data-draft-action="discard"]').textContent = i18n.t('contact.drafts.discard');
             
-            this.isDirty = true;
-            console.log('📝 Form data restored from auto-save');
-            
-        } catch (error) {
-            console.error('Error loading saved form data:', error);
-            localStorage.removeItem('contact-form-draft');
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Handle "restore" / "discard" in the draft prompt
+     */
+    handleDraftPromptClick(event) {
+        const button = event.target.closest('[data-draft-action]');
+        const id = button?.closest('[data-draft]')?.dataset.draft;
+        if (!id) return;
+        
+        if (button.dataset.draftAction === 'restore') {
+            this.restoreDraft(id);
+        } else {
+            this.discardDraft(id);
+        }
+    }
+
+    /**
+     * Decrypt a draft into the form; later saves go to the same draft
+     * @param {string} id - Draft id
+     */
+    async restoreDraft(id) {
+        const draft = await this.drafts.load(id);
+        
+        if (!draft) {
+            this.showFormError(i18n.t('contact.drafts.unavailable'));
+            this.renderDraftPrompt();
+            return;
+        }
+        
+        // Start from a clean form (what was typed meanwhile stays in its own draft)
+        this.contactForm.reset();
+        this.resetFormState();
+        
+        // Restoring counts as using the form: the time-to-submit clock starts here
+        this.hasInteracted = true;
+        this.spamGuard?.markStart();
+        
+        this.applyDraft(draft);
+        this.draftId = id;
+        this.discardDraftButton.hidden = false;
+        this.renderDraftPrompt();
+        
+        this.dispatchEvent('contact:draft-restored', { id });
+        console.log('📝 Form data restored from an encrypted draft');
+    }
+
+    /**
+     * Put a decrypted draft's values back in the form
+     * @param {Object} draft - `{ data, step }`
+     */
+    applyDraft({ data = {}, step = null }) {
+        // Restore form data (consent checkboxes are given again)
+        Object.entries(data).forEach(([fieldName, value]) => {
+            const fieldData = this.formFields.get(fieldName);
+            if (fieldData && value && fieldData.element.type !== 'checkbox') {
+                this.setFieldValue(fieldData, value);
+                this.formData[fieldName] = fieldData.value;
+            }
+        });
+        
+        this.updateFieldVisibility();
+        
+        // Back to the wizard step the visitor left from
+        const stepIndex = this.getStepIndex(step);
+        if (stepIndex > 0 && this.isStepAvailable(this.steps[stepIndex])) {
+            this.goToStep(stepIndex, { save: false });
         }
+        
+        this.isDirty = true;
+    }
+
+    /**
+     * Delete a draft from the prompt
+     * @param {string} id - Draft id
+     */
+    discardDraft(id) {
+        this.drafts.remove(id);
+        this.renderDraftPrompt();
+        
+        this.dispatchEvent('contact:draft-discarded', { id });
+    }
+
+    /**
+     * Handle the "discard draft" action: forget the current draft and empty the form
+     */
+    handleDiscardDraft() {
+        const id = this.draftId;
+        
+        this.clearSavedFormData();
+        this.contactForm.reset();
+        this.resetFormState();
+        
+        this.showFormStatus(i18n.t('contact.drafts.discarded'), 'success', 3000);
+        this.dispatchEvent('contact:draft-discarded', { id });
     }
 
     /**
-     * Clear saved form data
+     * Clear saved form data (the current draft; drafts from other visits stay)
      */
     clearSavedFormData() {
-        localStorage.removeItem('contact-form-draft');
+        if (this.draftId) {
+            this.drafts?.remove(this.draftId);
+            this.draftId = null;
+        }
+        
+        if (this.discardDraftButton) {
+            this.discardDraftButton.hidden = true;
+        }
     }
 
     /**
@@ -1072,28 +2146,492 @@ class ContactComponent {
      * Handle file input
      */
     handleFileInput(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = Array.from(event.target.files);
         
-        // Validate file size
-        if (file.size > this.options.maxFileSize) {
-            this.showFormError(`El archivo es demasiado grande. Máximo ${this.options.maxFileSize / 1024 / 1024}MB.`);
-            event.target.value = '';
-            return;
+        // Clear the picker so the same file can be picked again after removing it
+        event.target.value = '';
+        
+        this.addFiles(files);
+    }
+
+    /**
+     * Highlight the drop zone while files are dragged over it
+     */
+    handleDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        this.dropZone.classList.add('is-dragover');
+    }
+
+    /**
+     * Remove the highlight once the drag leaves the drop zone (not just a child)
+     */
+    handleDragLeave(event) {
+        if (!this.dropZone.contains(event.relatedTarget)) {
+            this.dropZone.classList.remove('is-dragover');
+        }
+    }
+
+    /**
+     * Handle files dropped on the drop zone
+     */
+    handleFileDrop(event) {
+        event.preventDefault();
+        this.dropZone.classList.remove('is-dragover');
+        
+        if (this.isSubmitting) return;
+        
+        this.addFiles(Array.from(event.dataTransfer.files));
+    }
+
+    /**
+     * Handle remove buttons in the file list
+     */
+    handleFileListClick(event) {
+        const button = event.target.closest('.file-remove');
+        if (!button || this.isSubmitting) return;
+        
+        this.removeAttachment(button.closest('.file-item').dataset.attachmentId);
+    }
+
+    /**
+     * Validate and attach files
+     * @param {File[]} files - Picked or dropped files
+     */
+    async addFiles(files) {
+        for (const file of files) {
+            const { mime, error } = await this.validateAttachment(file);
+            
+            if (error) {
+                this.showFormError(error);
+                continue;
+            }
+            
+            const id = domUtils.generateId('attachment');
+            this.attachments.set(id, { id, file, mime, progress: 0, element: null });
+            
+            console.log(`📎 File attached: ${file.name} (${file.size} bytes, ${mime})`);
+            this.dispatchEvent('contact:file-attached', { id, file, mime });
         }
         
-        // Validate file type
-        const fileExtension = file.name.split('.').pop().toLowerCase();
-        if (!this.options.allowedFileTypes.includes(fileExtension)) {
-            this.showFormError(`Tipo de archivo no permitido. Formatos válidos: ${this.options.allowedFileTypes.join(', ')}`);
-            event.target.value = '';
-            return;
+        this.renderAttachments();
+    }
+
+    /**
+     * Check a file against the attachment limits
+     * The content is sniffed, so a renamed executable doesn't pass as a PDF
+     * @param {File} file - File to check
+     * @returns {Promise<{mime: ?string, error: ?string}>} - Detected MIME type or a translated error
+     */
+    async validateAttachment(file) {
+        const { maxFiles, maxFileSize, allowedFileTypes } = this.options;
+        const invalid = (key, params) => ({ mime: null, error: i18n.t(key, { name: file.name, ...params }) });
+        
+        if (this.attachments.size >= maxFiles) {
+            return invalid('contact.attachments.tooMany', { count: maxFiles });
         }
         
-        console.log(`📎 File attached: ${file.name} (${file.size} bytes)`);
+        const isDuplicate = Array.from(this.attachments.values()).some(({ file: attached }) => (
+            attached.name === file.name && attached.size === file.size && attached.lastModified === file.lastModified
+        ));
+        if (isDuplicate) {
+            return invalid('contact.attachments.duplicate');
+        }
         
-        // Dispatch event
-        this.dispatchEvent('contact:file-attached', { file });
+        if (file.size > maxFileSize) {
+            return invalid('contact.fileTooLarge', { size: domUtils.formatFileSize(maxFileSize) });
+        }
+        
+        const mime = await verifyFileType(file, allowedFileTypes);
+        if (!mime) {
+            return invalid('contact.fileTypeNotAllowed', { types: allowedFileTypes.join(', ') });
+        }
+        
+        return { mime, error: null };
+    }
+
+    /**
+     * Remove an attached file
+     */
+    removeAttachment(id) {
+        const entry = this.attachments.get(id);
+        if (!entry) return;
+        
+        this.attachments.delete(id);
+        this.renderAttachments();
+        
+        console.log(`📎 File removed: ${entry.file.name}`);
+        this.dispatchEvent('contact:file-removed', { id, file: entry.file });
+    }
+
+    /**
+     * Remove every attached file
+     */
+    clearAttachments() {
+        if (this.attachments.size === 0) return;
+        
+        this.attachments.clear();
+        this.renderAttachments();
+    }
+
+    /**
+     * Render the attached file list
+     */
+    renderAttachments() {
+        if (!this.fileList) return;
+        
+        this.fileList.innerHTML = '';
+        this.attachments.forEach(entry => {
+            this.fileList.appendChild(this.createAttachmentElement(entry));
+        });
+        
+        this.dropZone?.classList.toggle('is-full', this.attachments.size >= this.options.maxFiles);
+    }
+
+    /**
+     * Create the list item for an attached file
+     */
+    createAttachmentElement(entry) {
+        const item = document.createElement('li');
+        item.className = 'file-item';
+        item.dataset.attachmentId = entry.id;
+        item.innerHTML = `
+            <span class="file-name"></span>
+            <span class="file-size"></span>
+            <span class="file-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+                <span class="file-progress-bar"></span>
+            </span>
+            <button type="button" class="file-remove">×</button>
+        `;
+        
+        // File names come from the visitor's disk: text only
+        item.querySelector('.file-name').textContent = entry.file.name;
+        item.querySelector('.file-size').textContent = domUtils.formatFileSize(entry.file.size);
+        item.querySelector('.file-remove').setAttribute('aria-label', i18n.t('contact.attachments.remove', { name: entry.file.name }));
+        
+        entry.element = item;
+        this.setAttachmentProgress(entry, entry.progress);
+        
+        return item;
+    }
+
+    /**
+     * Update a file's upload progress
+     * @param {Object} entry - Attachment entry
+     * @param {number} progress - 0 to 1
+     */
+    setAttachmentProgress(entry, progress) {
+        entry.progress = progress;
+        if (!entry.element) return;
+        
+        const percent = Math.round(progress * 100);
+        const bar = entry.element.querySelector('.file-progress');
+        
+        bar.setAttribute('aria-valuenow', percent);
+        bar.firstElementChild.style.width = `${percent}%`;
+        entry.element.classList.toggle('is-uploading', progress > 0 && progress < 1);
+        entry.element.classList.toggle('is-uploaded', progress >= 1);
+    }
+
+    /**
+     * Spread the request's upload progress over the files
+     * Files go last in the multipart body and in list order, so everything
+     * before them (fields, part headers) is treated as one leading block
+     */
+    handleUploadProgress(loaded, total) {
+        const entries = Array.from(this.attachments.values());
+        const fileBytes = entries.reduce((sum, entry) => sum + entry.file.size, 0);
+        let offset = Math.max(0, total - fileBytes);
+        
+        entries.forEach(entry => {
+            const size = entry.file.size;
+            const progress = size > 0 ? (loaded - offset) / size : Number(loaded >= offset);
+            
+            this.setAttachmentProgress(entry, Math.min(1, Math.max(0, progress)));
+            offset += size;
+        });
+    }
+
+    /**
+     * Show the accepted types and limits under the drop zone
+     */
+    renderFileLimits() {
+        if (!this.fileLimits) return;
+        
+        this.fileLimits.textContent = i18n.t('contact.attachments.limits', {
+            types: this.options.allowedFileTypes.map(type => type.toUpperCase()).join(', '),
+            size: domUtils.formatFileSize(this.options.maxFileSize),
+            count: this.options.maxFiles
+        });
+    }
+    
+    // ==========================================
+    // WIZARD MODE
+    // ==========================================
+
+    /**
+     * Handle the next button
+     */
+    handleNextStep() {
+        this.nextStep();
+    }
+
+    /**
+     * Handle the back button
+     */
+    handleBackStep() {
+        this.previousStep();
+    }
+
+    /**
+     * Handle "edit" buttons in the review summary
+     */
+    handleSummaryClick(event) {
+        const button = event.target.closest('[data-edit-step]');
+        if (!button) return;
+        
+        this.goToStep(this.getStepIndex(button.dataset.editStep), { focus: true });
+    }
+
+    /**
+     * Show a wizard step
+     * @param {number} index - Step index
+     * @param {Object} options - `{ save }` updates the draft, `{ focus }` focuses the first field
+     */
+    goToStep(index, { save = true, focus = false } = {}) {
+        const step = this.steps[index];
+        if (!step) return;
+        
+        const previous = this.steps[this.currentStep];
+        this.currentStep = index;
+        
+        this.steps.forEach((item, itemIndex) => {
+            item.section.hidden = itemIndex !== index;
+        });
+        
+        const isReview = this.isReviewStep();
+        if (isReview) {
+            this.renderSummary();
+        }
+        
+        // Submit only on review
+        this.backButton.hidden = this.getAdjacentStep(-1) === -1;
+        this.nextButton.hidden = isReview;
+        if (this.submitButton) {
+            this.submitButton.hidden = !isReview;
+        }
+        
+        this.updateStepIndicator();
+        
+        if (save && this.options.autoSave && this.hasInteracted) {
+            this.autoSaveForm();
+        }
+        
+        if (focus) {
+            const target = isReview
+                ? this.submitButton
+                : step.section.querySelector('input:not([disabled]), select:not([disabled]), textarea:not([disabled])');
+            target?.focus();
+        }
+        
+        if (previous !== step) {
+            this.dispatchEvent('contact:step-change', { step: step.id, index, previous: previous?.id || null });
+        }
+    }
+
+    /**
+     * Validate the current step and move to the next available one
+     * @returns {Promise<boolean>} - Whether the step was valid
+     */
+    async nextStep() {
+        const step = this.steps[this.currentStep];
+        if (!step) return false;
+        
+        // Validate every field so all of the step's errors show at once
+        const results = await Promise.all(step.fields.map(fieldName => this.validateFieldAsync(fieldName)));
+        const isStepValid = results.every(Boolean);
+        
+        if (!isStepValid) {
+            this.focusFirstError(step.fields);
+            return false;
+        }
+        
+        const next = this.getAdjacentStep(1);
+        if (next !== -1) {
+            this.goToStep(next, { focus: true });
+        }
+        
+        return true;
+    }
+
+    /**
+     * Go back to the previous available step
+     */
+    previousStep() {
+        const previous = this.getAdjacentStep(-1);
+        if (previous !== -1) {
+            this.goToStep(previous, { focus: true });
+        }
+    }
+
+    /**
+     * Find the nearest available step in a direction
+     * @param {number} direction - 1 forward, -1 back
+     * @returns {number} - Step index, -1 when there is none
+     */
+    getAdjacentStep(direction) {
+        for (let index = this.currentStep + direction; index >= 0 && index < this.steps.length; index += direction) {
+            if (this.isStepAvailable(this.steps[index])) return index;
+        }
+        
+        return -1;
+    }
+
+    /**
+     * Steps whose fields are all hidden by their conditions are skipped
+     */
+    isStepAvailable(step) {
+        return step.id === 'review' || step.fields.some(fieldName => !this.formFields.get(fieldName)?.isHidden);
+    }
+
+    /**
+     * Find a step's index by id
+     */
+    getStepIndex(stepId) {
+        return this.steps.findIndex(step => step.id === stepId);
+    }
+
+    /**
+     * Check whether the wizard is on its review step
+     */
+    isReviewStep() {
+        return this.steps[this.currentStep]?.id === 'review';
+    }
+
+    /**
+     * Get the review step's section
+     */
+    getReviewSection() {
+        return this.steps.find(step => step.id === 'review')?.section || null;
+    }
+
+    /**
+     * Update the step counter, the per-step states and the progress bar
+     */
+    updateStepIndicator() {
+        if (!this.stepIndicator) return;
+        
+        const available = this.steps.filter(step => this.isStepAvailable(step));
+        const position = available.indexOf(this.steps[this.currentStep]) + 1;
+        
+        this.stepIndicator.querySelector('.form-steps-counter').textContent = i18n.t('contact.wizard.stepOf', {
+            current: position,
+            total: available.length
+        });
+        
+        this.steps.forEach((step, index) => {
+            const item = this.stepIndicator.querySelector(`[data-step="${step.id}"]`);
+            const { invalidFields } = this.getFormStatistics(step.fields);
+            const isActive = index === this.currentStep;
+            
+            item.hidden = !this.isStepAvailable(step);
+            item.classList.toggle('is-active', isActive);
+            item.classList.toggle('is-complete', index < this.currentStep && invalidFields === 0);
+            
+            if (isActive) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+        
+        const { completionPercentage } = this.getFormStatistics();
+        this.stepIndicator.querySelector('.form-steps-progress-bar').style.width = `${completionPercentage}%`;
+    }
+
+    /**
+     * Render the review summary: the answers of every available step, with edit links
+     */
+    renderSummary() {
+        const summary = this.getReviewSection()?.querySelector('.form-summary');
+        if (!summary) return;
+        
+        summary.innerHTML = '';
+        
+        const detailsStep = this.steps[this.steps.length - 2];
+        
+        this.steps
+            .filter(step => step.id !== 'review' && this.isStepAvailable(step))
+            .forEach(step => {
+                const block = document.createElement('div');
+                block.className = 'form-summary-step';
+                block.innerHTML = `
+                    <div class="form-summary-header">
+                        <h4 class="form-summary-title"></h4>
+                        <button type="button" class="form-summary-edit" data-edit-step="${step.id}"></button>
+                    </div>
+                    <dl class="form-summary-list"></dl>
+                `;
+                
+                block.querySelector('.form-summary-title').textContent = i18n.t(step.title);
+                block.querySelector('.form-summary-edit').textContent = i18n.t('contact.wizard.edit');
+                
+                const list = block.querySelector('.form-summary-list');
+                
+                step.fields.forEach(fieldName => {
+                    const fieldData = this.formFields.get(fieldName);
+                    if (!fieldData || fieldData.isHidden || !fieldData.value) return;
+                    
+                    this.appendSummaryItem(list, this.getFieldLabel(fieldName), this.getDisplayValue(fieldName));
+                });
+                
+                if (step === detailsStep && this.attachments.size > 0) {
+                    const names = Array.from(this.attachments.values(), entry => entry.file.name).join(', ');
+                    this.appendSummaryItem(list, i18n.t('contact.wizard.attachments'), names);
+                }
+                
+                const slot = step === detailsStep ? this.scheduler?.getSelection() : null;
+                if (slot) {
+                    this.appendSummaryItem(list, i18n.t('contact.wizard.call'), this.scheduler.formatSlot(slot));
+                }
+                
+                summary.appendChild(block);
+            });
+    }
+
+    /**
+     * Add a term/value pair to a summary list (visitor input as text only)
+     */
+    appendSummaryItem(list, label, value) {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        
+        term.textContent = label;
+        description.textContent = value;
+        
+        list.append(term, description);
+    }
+
+    /**
+     * Get a field's translated label, without the required marker
+     */
+    getFieldLabel(fieldName) {
+        const field = this.options.schema?.fields.find(item => item.name === fieldName);
+        return field ? i18n.t(field.label).replace(/\s*\*$/, '') : fieldName;
+    }
+
+    /**
+     * Get a field's value as shown to the visitor (option labels, "Yes" for checkboxes)
+     */
+    getDisplayValue(fieldName) {
+        const fieldData = this.formFields.get(fieldName);
+        const field = this.options.schema?.fields.find(item => item.name === fieldName);
+        const option = field?.options?.find(item => item.value === fieldData.value);
+        
+        if (option) return i18n.t(option.label);
+        if (fieldData.element.type === 'checkbox') return i18n.t('contact.wizard.yes');
+        
+        return fieldData.value;
     }
 
     /**
@@ -1130,6 +2668,40 @@ class ContactComponent {
         });
     }
 
+    /**
+     * Re-render visible errors and character counts in the new language
+     */
+    handleLocaleChange() {
+        this.formFields.forEach((fieldData, fieldName) => {
+            if (!fieldData.errorRule || !this.validationErrors[fieldName]) return;
+            
+            const message = this.getErrorMessage(fieldData.config, fieldData.errorRule);
+            this.validationErrors[fieldName] = message;
+            
+            if (fieldData.errorElement) {
+                fieldData.errorElement.textContent = message;
+            }
+        });
+        
+        this.characterCounters.forEach(updateCount => updateCount());
+        
+        // Sizes and labels are formatted for the active language
+        this.renderFileLimits();
+        this.renderAttachments();
+        this.scheduler?.render();
+        
+        // Wizard counter and review summary
+        this.updateStepIndicator();
+        if (this.isReviewStep()) {
+            this.renderSummary();
+        }
+        
+        // Draft prompt times ("5 minutes ago")
+        if (this.draftPrompt) {
+            this.renderDraftPrompt();
+        }
+    }
+
     /**
      * Utility: Debounce function
      */
@@ -1151,8 +2723,9 @@ class ContactComponent {
      * Dispatch custom events
      */
     dispatchEvent(eventName, detail = {}) {
+        // Every form shares the `contact:*` events; `formId` tells them apart
         const event = new CustomEvent(eventName, {
-            detail,
+            detail: { formId: this.formId, ...detail },
             bubbles: true,
             cancelable: true
         });
@@ -1202,17 +2775,13 @@ class ContactComponent {
         Object.entries(data).forEach(([fieldName, value]) => {
             const fieldData = this.formFields.get(fieldName);
             if (fieldData) {
-                if (fieldData.element.type === 'checkbox') {
-                    fieldData.element.checked = Boolean(value);
-                } else {
-                    fieldData.element.value = value;
-                    fieldData.value = value;
-                }
-                
+                this.setFieldValue(fieldData, value);
                 this.formData[fieldName] = value;
             }
         });
         
+        this.updateFieldVisibility();
+        
         // Revalidate all fields
         this.validateAllFields();
     }
@@ -1249,8 +2818,8 @@ class ContactComponent {
     /**
      * Submit form programmatically
      */
-    submitFormProgrammatically() {
-        if (this.validateAllFields()) {
+    async submitFormProgrammatically() {
+        if (await this.validateAllFieldsAsync()) {
             return this.submitForm();
         } else {
             throw new Error('Form validation failed');
@@ -1298,6 +2867,8 @@ class ContactComponent {
         
         if (enabled) {
             this.setupAutoSave();
+        } else {
+            clearInterval(this.autoSaveTimer);
         }
     }
 
@@ -1325,12 +2896,19 @@ class ContactComponent {
 
     /**
      * Add custom validation rule
+     * `validator(value, { signal, values })` runs once the built-in rules pass and
+     * returns (or resolves to) true, false, or an error (catalog key or text)
+     * @param {string} fieldName - Field to check
+     * @param {Function} validator - Sync or async check
+     * @param {string} errorMessage - Catalog key or text used when it returns false
      */
     addCustomValidation(fieldName, validator, errorMessage) {
         const fieldData = this.formFields.get(fieldName);
         if (fieldData) {
+            this.cancelCustomValidation(fieldName);
             fieldData.customValidator = validator;
             fieldData.customErrorMessage = errorMessage;
+            fieldData.customResult = null;
         }
     }
 
@@ -1340,17 +2918,23 @@ class ContactComponent {
     removeCustomValidation(fieldName) {
         const fieldData = this.formFields.get(fieldName);
         if (fieldData) {
+            this.cancelCustomValidation(fieldName);
             delete fieldData.customValidator;
             delete fieldData.customErrorMessage;
+            fieldData.customResult = null;
         }
     }
 
     /**
      * Get form statistics
      */
-    getFormStatistics() {
-        const totalFields = this.formFields.size;
-        const validFields = Array.from(this.formFields.values()).filter(f => f.isValid).length;
+    getFormStatistics(fieldNames = null) {
+        // Hidden conditional fields don't count; `fieldNames` narrows the stats (a wizard step)
+        const visibleFields = Array.from(this.formFields.entries())
+            .filter(([name, f]) => !f.isHidden && (!fieldNames || fieldNames.includes(name)))
+            .map(([, f]) => f);
+        const totalFields = visibleFields.length;
+        const validFields = visibleFields.filter(f => f.isValid).length;
         const completionPercentage = totalFields > 0 ? (validFields / totalFields) * 100 : 0;
         
         return {
@@ -1360,7 +2944,9 @@ class ContactComponent {
             completionPercentage: Math.round(completionPercentage),
             hasInteracted: this.hasInteracted,
             isDirty: this.isDirty,
-            submitAttempted: this.submitAttempted
+            submitAttempted: this.submitAttempted,
+            currentStep: this.steps[this.currentStep]?.id || null,
+            totalSteps: this.steps.length
         };
     }
 
@@ -1407,13 +2993,45 @@ class ContactComponent {
         if (this.typingTimer) {
             clearTimeout(this.typingTimer);
         }
+        clearTimeout(this.statusTimer);
+        clearInterval(this.autoSaveTimer);
+        
+        // Stop retrying queued submissions (they stay stored for the next visit)
+        if (this.outbox) {
+            this.outbox.destroy();
+            this.outbox = null;
+        }
         
         // Remove event listeners
         if (this.contactForm) {
             this.contactForm.removeEventListener('submit', this.handleFormSubmit);
         }
         
-        this.formFields.forEach((fieldData) => {
+        this.draftPrompt?.removeEventListener('click', this.handleDraftPromptClick);
+        this.discardDraftButton?.removeEventListener('click', this.handleDiscardDraft);
+        
+        this.backButton?.removeEventListener('click', this.handleBackStep);
+        this.nextButton?.removeEventListener('click', this.handleNextStep);
+        this.getReviewSection()?.removeEventListener('click', this.handleSummaryClick);
+        
+        this.scheduler?.destroy();
+        this.scheduler = null;
+        
+        this.fileInput?.removeEventListener('change', this.handleFileInput);
+        this.fileList?.removeEventListener('click', this.handleFileListClick);
+        if (this.dropZone) {
+            this.dropZone.removeEventListener('dragenter', this.handleDragOver);
+            this.dropZone.removeEventListener('dragover', this.handleDragOver);
+            this.dropZone.removeEventListener('dragleave', this.handleDragLeave);
+            this.dropZone.removeEventListener('drop', this.handleFileDrop);
+        }
+        
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
+        this.characterCounters.clear();
+        
+        this.formFields.forEach((fieldData, fieldName) => {
+            this.cancelCustomValidation(fieldName);
+            
             const field = fieldData.element;
             field.removeEventListener('input', this.handleFieldInput);
             field.removeEventListener('blur', this.handleFieldBlur);
@@ -1440,11 +3058,19 @@ export { ContactComponent };
 END CONTACT.JS
 Complete contact component with:
 - Advanced form validation
+- Schema-driven fields with conditional visibility
+- Multi-step wizard mode with review summary
+- Localized validation messages
 - Real-time validation
-- Auto-save functionality
+- Async custom validators with cancellation and server-side field errors
+- Encrypted multi-draft auto-save with restore prompt
 - Visual feedback and animations
 - Accessibility support
-- File upload handling
+- Pluggable submission transports
+- Offline outbox with retries, encrypted at rest, handed back to the visitor when it gives up
+- Silent spam protection (honeypot, timing, rate limit, proof of work)
+- Drag-and-drop file attachments with content sniffing and upload progress
+- Book-a-call slot picker with .ics invites
 - Progress indicators
 - Error handling
 - Theme integration
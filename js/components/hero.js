@@ -5,6 +5,8 @@ Ultra-visual hero with particles, typed text, and interactive effects
 ===============================================
 */
 
+import { i18n } from '../utils/i18n.js';
+
 /**
  * Hero Component Class
  * Manages hero section with typed text, particles, and interactive animations
@@ -55,16 +57,8 @@ class HeroComponent {
         this.scrollIndicator = null;
         this.ctaButtons = [];
         
-        // Text arrays
-        this.typeTexts = [
-            'Desarrollador Full Stack',
-            'Frontend Developer',
-            'Backend Developer',
-            'UI/UX Enthusiast',
-            'Problem Solver',
-            'Code Architect',
-            'Tech Innovator'
-        ];
+        // Text arrays (typed phrases in the active language)
+        this.typeTexts = i18n.list('hero.typedPhrases');
         
         // Event handlers
         this.handleMouseMove = this.handleMouseMove.bind(this);
@@ -72,6 +66,7 @@ class HeroComponent {
         this.handleResize = this.handleResize.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         this.handleAvatarInteraction = this.handleAvatarInteraction.bind(this);
+        this.handleLocaleChange = this.handleLocaleChange.bind(this);
         
         // Throttled functions
         this.throttledMouseMove = this.throttle(this.handleMouseMove, 16);
@@ -188,6 +183,7 @@ class HeroComponent {
         
         // Custom events
         document.addEventListener('theme:change', this.handleThemeChange.bind(this));
+        document.addEventListener('i18n:change', this.handleLocaleChange);
     }
 
     /**
@@ -693,6 +689,22 @@ class HeroComponent {
         });
     }
 
+    /**
+     * Swap the typed phrases for the new language and retype the current one
+     */
+    handleLocaleChange() {
+        this.typeTexts = i18n.list('hero.typedPhrases');
+        if (this.typeTexts.length === 0) return;
+        
+        this.currentTextIndex %= this.typeTexts.length;
+        this.currentCharIndex = 0;
+        this.isDeleting = false;
+        
+        if (this.typedTextElement) {
+            this.typedTextElement.textContent = '';
+        }
+    }
+
     /**
      * Stop all animations
      */
@@ -814,6 +826,7 @@ class HeroComponent {
         
         window.removeEventListener('scroll', this.throttledScroll);
         window.removeEventListener('resize', this.throttledResize);
+        document.removeEventListener('i18n:change', this.handleLocaleChange);
         
         // Clear particles
         if (this.particlesContainer) {
@@ -844,6 +857,7 @@ END HERO.JS
 Complete hero component with:
 - Animated particle system
 - Typewriter text effect
+- Typed phrases in the active language
 - Interactive avatar
 - Parallax effects
 - CTA button tracking
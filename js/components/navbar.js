@@ -541,9 +541,9 @@ class NavbarComponent {
      * Handle router navigation events
      */
     handleRouterNavigation(event) {
-        const { to } = event.detail;
-        if (to) {
-            this.setActiveSection(to);
+        const { to, section } = event.detail;
+        if (section || to) {
+            this.setActiveSection(section || to);
         }
     }
 
@@ -0,0 +1,195 @@
+/*
+===============================================
+NOT-FOUND.JS - Not Found Section Component
+Friendly 404 view with "did you mean" suggestions for unknown paths
+===============================================
+*/
+
+/**
+ * Not Found Component Class
+ * Shows the requested path and the router's suggestions, hides itself on the next route
+ */
+class NotFoundComponent {
+    constructor(options = {}) {
+        this.options = {
+            sectionId: 'not-found',
+            router: null, // Builds suggestion hrefs in the router's URL mode
+            ...options
+        };
+        
+        // Component state
+        this.isInitialized = false;
+        this.isVisible = false;
+        this.currentPath = null;
+        
+        // DOM elements
+        this.section = null;
+        this.pathElement = null;
+        this.suggestionsElement = null;
+        this.suggestionsList = null;
+        
+        // Event handlers
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+    }
+
+    /**
+     * Initialize the not found component
+     */
+    init() {
+        console.log('🧭 Initializing Not Found Component...');
+        
+        try {
+            this.findElements();
+            
+            // Hide again as soon as the router lands on a real route
+            document.addEventListener('router:navigated', this.handleRouteChange);
+            
+            this.isInitialized = true;
+            console.log('✅ Not Found Component initialized');
+            
+            this.dispatchEvent('notfound:ready');
+        
+        } catch (error) {
+            console.error('❌ Failed to initialize Not Found:', error);
+        }
+    }
+
+    /**
+     * Find and cache DOM elements
+     */
+    findElements() {
+        this.section = document.getElementById(this.options.sectionId);
+        
+        if (!this.section) {
+            throw new Error('Not found section not found');
+        }
+        
+        this.pathElement = this.section.querySelector('.not-found-path');
+        this.suggestionsElement = this.section.querySelector('.not-found-suggestions');
+        this.suggestionsList = this.section.querySelector('.not-found-list');
+    }
+
+    /**
+     * Show the section for an unknown path
+     * @param {?Object} notFound - `{ path, suggestions }` from the router's route context
+     */
+    show(notFound = null) {
+        if (!this.section) return;
+        
+        const { path = '', suggestions = [] } = notFound || {};
+        
+        this.currentPath = path;
+        if (this.pathElement) {
+            this.pathElement.textContent = `/${path}`;
+        }
+        
+        this.renderSuggestions(suggestions);
+        
+        this.section.hidden = false;
+        this.isVisible = true;
+        
+        this.dispatchEvent('notfound:shown', { path, suggestions });
+    }
+
+    /**
+     * Hide the section
+     */
+    hide() {
+        if (!this.section || !this.isVisible) return;
+        
+        this.section.hidden = true;
+        this.isVisible = false;
+        this.currentPath = null;
+        
+        this.dispatchEvent('notfound:hidden');
+    }
+
+    /**
+     * Render "did you mean" links, best match first
+     * @param {Array<{path: string, title: string}>} suggestions - Suggestions from `Router.getSuggestions`
+     */
+    renderSuggestions(suggestions) {
+        if (!this.suggestionsList) return;
+        
+        const items = suggestions.map(({ path, title }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            const titleElement = document.createElement('span');
+            const pathElement = document.createElement('span');
+            
+            link.className = 'not-found-link';
+            link.href = this.options.router ? this.options.router.buildURL(path) : `#${path}`;
+            
+            titleElement.className = 'not-found-link-title';
+            titleElement.textContent = title;
+            
+            pathElement.className = 'not-found-link-path';
+            pathElement.textContent = `/${path}`;
+            
+            link.append(titleElement, pathElement);
+            item.appendChild(link);
+            
+            return item;
+        });
+        
+        this.suggestionsList.replaceChildren(...items);
+        
+        if (this.suggestionsElement) {
+            this.suggestionsElement.hidden = items.length === 0;
+        }
+    }
+
+    /**
+     * Hide when navigating away from the not-found route
+     */
+    handleRouteChange(event) {
+        if (event.detail.section !== this.options.sectionId) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Dispatch custom events
+     */
+    dispatchEvent(eventName, detail = {}) {
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true,
+            cancelable: true
+        });
+        
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Destroy component and cleanup
+     */
+    destroy() {
+        console.log('🧹 Destroying Not Found component...');
+        
+        document.removeEventListener('router:navigated', this.handleRouteChange);
+        this.hide();
+        
+        this.isInitialized = false;
+        console.log('🧹 Not Found component destroyed');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NotFoundComponent };
+}
+
+// Export for ES6 modules
+export { NotFoundComponent };
+
+/*
+===============================================
+END NOT-FOUND.JS
+Not found component with:
+- Requested path display
+- "Did you mean" suggestion links
+- Router-aware link URLs
+- Auto-hide on the next route
+===============================================
+*/
@@ -5,6 +5,9 @@ Dynamic portfolio with filtering, masonry grid, and interactive modals
 ===============================================
 */
 
+import { projects, getProjectById, getProjectBySlug, localizeProject } from '../data/content.js';
+import { i18n } from '../utils/i18n.js';
+
 /**
  * Portfolio Component Class
  * Manages portfolio section with filtering, animations, and modal interactions
@@ -23,6 +26,7 @@ class PortfolioComponent {
             hoverScale: 1.05,
             modalAnimationDuration: 300,
             enableKeyboardNavigation: true,
+            router: null,
             ...options
         };
         
@@ -49,16 +53,25 @@ class PortfolioComponent {
         this.modal = null;
         this.modalContent = null;
         
-        // Portfolio data (could be loaded from API)
-        this.portfolioData = [];
+        // Routed modal state
+        this.openProjectId = null;
+        this.pushedRouteEntry = false;
+        this.isClosingRoute = false;
+        this.returnFocus = null;
+        
+        // Portfolio data
+        this.portfolioData = projects;
         
         // Event handlers
         this.handleFilterClick = this.handleFilterClick.bind(this);
         this.handleItemClick = this.handleItemClick.bind(this);
         this.handleModalClose = this.handleModalClose.bind(this);
+        this.handleModalRetry = this.handleModalRetry.bind(this);
         this.handleKeydown = this.handleKeydown.bind(this);
         this.handleResize = this.handleResize.bind(this);
         this.handleScroll = this.handleScroll.bind(this);
+        this.handleRouteChange = this.handleRouteChange.bind(this);
+        this.handleViewTransition = this.handleViewTransition.bind(this);
         
         // Throttled functions
         this.throttledResize = this.throttle(this.handleResize, 250);
@@ -147,22 +160,15 @@ class PortfolioComponent {
      * Load portfolio data
      */
     loadPortfolioData() {
-        // Extract data from DOM items
+        // Pair each DOM item with its entry in the content data
         this.allItems = this.portfolioItems.map((item, index) => {
-            const category = item.getAttribute('data-category') || 'all';
-            const title = item.querySelector('.portfolio-title')?.textContent || `Project ${index + 1}`;
-            const description = item.querySelector('.portfolio-description')?.textContent || '';
-            const image = item.querySelector('img')?.src || '';
-            const techTags = Array.from(item.querySelectorAll('.tech-tag')).map(tag => tag.textContent);
+            const projectId = item.querySelector('[data-project]')?.getAttribute('data-project');
+            const project = getProjectById(projectId) || this.portfolioData[index];
             
             return {
-                id: index + 1,
+                ...project,
                 element: item,
-                category,
-                title,
-                description,
-                image,
-                technologies: techTags,
+                category: project?.category || item.getAttribute('data-category') || 'all',
                 visible: true
             };
         });
@@ -226,6 +232,11 @@ class PortfolioComponent {
             if (overlay) {
                 overlay.addEventListener('click', this.handleModalClose);
             }
+            
+            const retryButton = this.modal.querySelector('#modal-retry');
+            if (retryButton) {
+                retryButton.addEventListener('click', this.handleModalRetry);
+            }
         }
         
         // Keyboard events
@@ -248,6 +259,12 @@ class PortfolioComponent {
         
         // Custom events
         document.addEventListener('theme:change', this.handleThemeChange.bind(this));
+        
+        // Keep the modal in sync with `portfolio/:slug` routes
+        if (this.options.router) {
+            document.addEventListener('router:navigated', this.handleRouteChange);
+            document.addEventListener('router:view-transition', this.handleViewTransition);
+        }
     }
 
     /**
@@ -587,13 +604,50 @@ class PortfolioComponent {
     /**
      * Open modal with project details
      */
-    openModal(projectId, item) {
+    openModal(projectId, item, options = {}) {
         if (!this.modal) return;
         
+        const project = getProjectById(projectId);
+        if (!project) return;
+        
+        // Go through the router so the project gets its own URL
+        if (this.options.router && !options.fromRoute) {
+            this.returnFocus = document.activeElement;
+            this.pushedRouteEntry = true;
+            
+            // The card stays busy while the route loads the case study
+            this.setItemLoading(item, true);
+            this.options.router.navigate(`portfolio/${project.slug}`)
+                .then(navigated => {
+                    // Superseded or cancelled: no entry was pushed
+                    if (!navigated) this.pushedRouteEntry = false;
+                })
+                .finally(() => this.setItemLoading(item, false));
+            return;
+        }
+        
         console.log(`🖼️ Opening modal for project ${projectId}`);
         
+        // Case study resolved by the route, or the plain project data
+        const caseStudy = options.project || project;
+        
+        // Already showing this project (route handler and router:navigated both sync)
+        if (this.openProjectId === project.id && this.modal.classList.contains('active')) {
+            // A retried route brings fresh case-study data
+            if (options.project || options.error) {
+                this.populateModal(projectId, item, caseStudy);
+                this.setModalError(options.error);
+            }
+            return this.whenImageReady(this.modal.querySelector('#modal-image'));
+        }
+        
         // Populate modal content
-        this.populateModal(projectId, item);
+        this.populateModal(projectId, item, caseStudy);
+        this.setModalError(options.error);
+        this.openProjectId = project.id;
+        
+        // The modal image takes over the card image's shared transition name
+        this.setSharedElement(this.modal.querySelector('#modal-image'));
         
         // Show modal
         this.modal.classList.add('active');
@@ -607,39 +661,100 @@ class PortfolioComponent {
         
         // Dispatch event
         this.dispatchEvent('portfolio:modal-opened', { projectId });
+        
+        // Resolves once the image can be painted, so a view transition captures it
+        return this.whenImageReady(this.modal.querySelector('#modal-image'));
     }
 
     /**
      * Populate modal with project data
+     * @param {string} projectId - Project id
+     * @param {?Element} item - Portfolio item that was clicked
+     * @param {?Object} caseStudy - Full case study loaded by the route
      */
-    populateModal(projectId, item) {
-        if (!this.modal || !item) return;
+    populateModal(projectId, item, caseStudy = null) {
+        if (!this.modal) return;
         
-        // Get project data
-        const title = item.querySelector('.portfolio-title')?.textContent || 'Project';
-        const description = item.querySelector('.portfolio-description')?.textContent || '';
-        const image = item.querySelector('img')?.src || '';
-        const techTags = Array.from(item.querySelectorAll('.tech-tag')).map(tag => tag.textContent);
+        // Get project data, in the active language
+        const source = caseStudy || getProjectById(projectId);
+        if (!source) return;
+        const project = localizeProject(source, key => i18n.t(key));
         
         // Update modal content
         const modalTitle = this.modal.querySelector('#modal-title');
         const modalImage = this.modal.querySelector('#modal-image');
         const modalDescription = this.modal.querySelector('#modal-description');
+        const modalClient = this.modal.querySelector('#modal-client');
+        const modalDuration = this.modal.querySelector('#modal-duration');
+        const modalYear = this.modal.querySelector('#modal-year');
         const modalTechList = this.modal.querySelector('#modal-tech-list');
+        const modalFeaturesList = this.modal.querySelector('#modal-features-list');
         
-        if (modalTitle) modalTitle.textContent = title;
+        if (modalTitle) modalTitle.textContent = project.title;
         if (modalImage) {
-            modalImage.src = image;
-            modalImage.alt = title;
+            modalImage.src = project.image;
+            modalImage.alt = project.title;
         }
-        if (modalDescription) modalDescription.textContent = description;
+        if (modalDescription) modalDescription.textContent = project.description;
+        if (modalClient) modalClient.textContent = project.client;
+        if (modalDuration) modalDuration.textContent = project.duration;
+        if (modalYear) modalYear.textContent = project.year;
         if (modalTechList) {
-            modalTechList.innerHTML = techTags.map(tech => 
+            modalTechList.innerHTML = project.technologies.map(tech => 
                 `<span class="tech-tag">${tech}</span>`
             ).join('');
         }
+        if (modalFeaturesList) {
+            modalFeaturesList.innerHTML = project.features.map(feature => 
+                `<li>${feature}</li>`
+            ).join('');
+        }
         
-        // Could populate more fields based on portfolio data structure
+        // Hide links the project doesn't have
+        const demoButton = this.modal.querySelector('#modal-demo');
+        if (demoButton) {
+            demoButton.href = project.demoUrl || '#';
+            demoButton.style.display = project.demoUrl ? 'inline-flex' : 'none';
+        }
+        
+        const codeButton = this.modal.querySelector('#modal-code');
+        if (codeButton) {
+            codeButton.href = project.codeUrl || '#';
+            codeButton.style.display = project.codeUrl ? 'inline-flex' : 'none';
+        }
+    }
+
+    /**
+     * Show or clear the case-study error state in the modal
+     * @param {?Error} error - Error from the route's resolver
+     */
+    setModalError(error = null) {
+        const errorElement = this.modal?.querySelector('#modal-error');
+        if (errorElement) {
+            errorElement.hidden = !error;
+        }
+    }
+
+    /**
+     * Reload the case study of the open project
+     */
+    handleModalRetry(event) {
+        event.preventDefault();
+        
+        const project = getProjectById(this.openProjectId);
+        if (project && this.options.router) {
+            this.options.router.navigate(`portfolio/${project.slug}`, { force: true, replace: true });
+        }
+    }
+
+    /**
+     * Toggle the loading state of a portfolio item
+     */
+    setItemLoading(item, isLoading) {
+        if (!item) return;
+        
+        item.classList.toggle('is-loading', isLoading);
+        item.setAttribute('aria-busy', String(isLoading));
     }
 
     /**
@@ -653,16 +768,159 @@ class PortfolioComponent {
     /**
      * Close modal
      */
-    closeModal() {
-        if (!this.modal) return;
+    closeModal(options = {}) {
+        if (!this.modal || !this.modal.classList.contains('active')) return;
+        
+        const projectId = this.openProjectId;
         
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
+        this.openProjectId = null;
+        
+        // Hand the shared transition name back to the project's card image
+        this.setSharedElement(this.getCardImage(projectId));
+        
+        this.restoreFocus(projectId);
         
         console.log('🖼️ Modal closed');
         
+        if (this.options.router && !options.fromRoute) {
+            this.syncRouteOnClose();
+        }
+        
         // Dispatch event
-        this.dispatchEvent('portfolio:modal-closed');
+        this.dispatchEvent('portfolio:modal-closed', { projectId });
+    }
+
+    /**
+     * Return focus to the element that opened the modal
+     */
+    restoreFocus(projectId) {
+        // Cold loads have no opener: fall back to the project's card button
+        const target = (this.returnFocus && document.contains(this.returnFocus))
+            ? this.returnFocus
+            : this.portfolioSection?.querySelector(`[data-action="view"][data-project="${projectId}"]`);
+        
+        this.returnFocus = null;
+        
+        if (target) {
+            target.focus({ preventScroll: true });
+        }
+    }
+
+    /**
+     * Pop the project entry after the modal was closed by the user
+     */
+    syncRouteOnClose() {
+        this.isClosingRoute = true;
+        
+        if (this.pushedRouteEntry) {
+            // We pushed the entry ourselves, so going back restores the previous URL
+            this.pushedRouteEntry = false;
+            window.history.back();
+        } else {
+            // Cold load of a project URL: there is no entry to go back to
+            this.options.router.replace('portfolio');
+        }
+    }
+
+    /**
+     * Whether the current route change belongs to a project modal
+     * (opening, closing or already showing one)
+     */
+    isShowingProject() {
+        return Boolean(this.openProjectId) || this.isClosingRoute;
+    }
+
+    /**
+     * Open or close the modal when the route changes
+     */
+    handleRouteChange(event) {
+        this.syncWithRoute(event.detail || {});
+    }
+
+    /**
+     * Open or close the modal to match a route
+     * Route handlers call this directly so the change happens inside a view transition
+     * @param {{section: string, params: Object, project: ?Object, error: ?Error}} route - Current
+     *        section and params, plus the case study (or load error) resolved by the route
+     * @returns {Promise|undefined} - Resolves when an opened modal is ready to paint
+     */
+    syncWithRoute({ params = {}, section, project: caseStudy = null, error = null }) {
+        const project = params.slug ? getProjectBySlug(params.slug) : null;
+        
+        if (section === 'portfolio' && project) {
+            return this.openModal(project.id, null, { fromRoute: true, project: caseStudy, error });
+        }
+        
+        if (this.isClosingRoute) {
+            this.isClosingRoute = false;
+            return;
+        }
+        
+        if (this.openProjectId) {
+            // Back button or link away from the project
+            this.pushedRouteEntry = false;
+            this.closeModal({ fromRoute: true });
+        }
+    }
+
+    /**
+     * Name the element that morphs between card and modal before the
+     * router captures the old state of a view transition
+     */
+    handleViewTransition(event) {
+        const { to } = event.detail || {};
+        const slug = to?.params?.slug;
+        const project = slug ? getProjectBySlug(slug) : null;
+        
+        if (project && !this.openProjectId) {
+            // Opening: card image → modal image
+            this.setSharedElement(this.getCardImage(project.id));
+        } else if (!project && this.openProjectId) {
+            // Closing: modal image → card image
+            this.setSharedElement(this.modal.querySelector('#modal-image'));
+        }
+    }
+
+    /**
+     * Give `view-transition-name: project-image` to a single element
+     */
+    setSharedElement(element) {
+        this.portfolioSection.querySelectorAll('.portfolio-image img').forEach(img => {
+            img.style.viewTransitionName = '';
+        });
+        
+        const modalImage = this.modal?.querySelector('#modal-image');
+        if (modalImage) {
+            modalImage.style.viewTransitionName = '';
+        }
+        
+        if (element) {
+            element.style.viewTransitionName = 'project-image';
+        }
+    }
+
+    /**
+     * Cover image of a project's card
+     */
+    getCardImage(projectId) {
+        const button = this.portfolioSection.querySelector(`[data-action="view"][data-project="${projectId}"]`);
+        return button?.closest('.portfolio-item')?.querySelector('.portfolio-image img') || null;
+    }
+
+    /**
+     * Wait (briefly) until an image is decoded
+     */
+    whenImageReady(image, timeout = 300) {
+        if (!image || typeof image.decode !== 'function') {
+            return Promise.resolve();
+        }
+        
+        return Promise.race([
+            image.decode().catch(() => {}),
+            new Promise(resolve => setTimeout(resolve, timeout))
+        ]);
     }
 
     /**
@@ -910,13 +1168,16 @@ class PortfolioComponent {
             button.removeEventListener('click', this.handleFilterClick);
         });
         
+        this.modal?.querySelector('#modal-retry')?.removeEventListener('click', this.handleModalRetry);
         document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('router:navigated', this.handleRouteChange);
+        document.removeEventListener('router:view-transition', this.handleViewTransition);
         window.removeEventListener('resize', this.throttledResize);
         window.removeEventListener('scroll', this.throttledScroll);
         
         // Close modal if open
         if (this.modal && this.modal.classList.contains('active')) {
-            this.closeModal();
+            this.closeModal({ fromRoute: true });
         }
         
         // Reset item styles
@@ -944,7 +1205,7 @@ END PORTFOLIO.JS
 Complete portfolio component with:
 - Dynamic filtering system
 - Masonry grid layout
-- Interactive modals
+- Interactive modals with case-study loading and error states
 - Lazy loading
 - Hover animations
 - Keyboard navigation
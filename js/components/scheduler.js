@@ -0,0 +1,307 @@
+/*
+===============================================
+SCHEDULER.JS - Book-a-Call Scheduler
+Slot picker for the contact form, built from the content-configured weekly schedule
+===============================================
+*/
+
+import { i18n } from '../utils/i18n.js';
+import { domUtils } from '../utils/dom.js';
+import { getZonedParts, getLocalTimeZone, getAvailableSlots, createICS } from '../utils/schedule.js';
+
+/**
+ * Call Scheduler Class
+ * Lists free slots grouped by the visitor's local day, in the visitor's timezone,
+ * and offers the chosen one as an .ics invite. The contact component adds the
+ * slot to its payload (see getPayload)
+ */
+class CallScheduler {
+    constructor(container, options = {}) {
+        this.options = {
+            schedule: null, // WeeklySchedule (js/data/content.js callSchedule)
+            getAttendee: null, // () => ({ name, email }) for the invite, from the form
+            onChange: null, // (slot) => void, null when cleared
+            ...options
+        };
+        
+        // Component state
+        this.container = container;
+        this.timeZone = getLocalTimeZone();
+        this.slots = [];
+        this.selectedDay = null;
+        this.selectedSlot = null;
+        
+        // Event handlers
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Initialize the scheduler
+     */
+    init() {
+        this.container.addEventListener('click', this.handleClick);
+        this.refresh();
+        
+        console.log(`📅 Call scheduler: ${this.slots.length} slots, shown in ${this.timeZone}`);
+    }
+
+    /**
+     * Recompute the free slots (they run out as time passes) and render them
+     */
+    refresh() {
+        this.slots = getAvailableSlots(this.options.schedule);
+        
+        // Keep the choice while it is still free
+        const selected = this.selectedSlot?.start.getTime();
+        this.selectedSlot = this.slots.find(slot => slot.start.getTime() === selected) || null;
+        
+        const days = this.getDays();
+        if (!days.has(this.selectedDay)) {
+            this.selectedDay = days.keys().next().value || null;
+        }
+        
+        this.render();
+    }
+
+    /**
+     * Group slots by the visitor's local date
+     * @returns {Map<string, Object[]>} - `YYYY-MM-DD` → slots, chronological
+     */
+    getDays() {
+        const days = new Map();
+        
+        this.slots.forEach(slot => {
+            const { year, month, day } = getZonedParts(slot.start, this.timeZone);
+            const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(slot);
+        });
+        
+        return days;
+    }
+
+    /**
+     * Render days, slots and the current selection
+     */
+    render() {
+        const days = this.getDays();
+        const daySlots = days.get(this.selectedDay) || [];
+        
+        this.container.innerHTML = `
+            <span class="form-label"></span>
+            <p class="scheduler-hint"></p>
+            <p class="scheduler-empty" hidden></p>
+            <div class="scheduler-days" role="group"></div>
+            <div class="scheduler-slots" role="group"></div>
+            <div class="scheduler-selection" aria-live="polite" hidden>
+                <span class="scheduler-selection-text"></span>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="download"></button>
+                <button type="button" class="btn btn-ghost btn-sm" data-action="clear"></button>
+            </div>
+        `;
+        
+        this.container.querySelector('.form-label').textContent = i18n.t('contact.scheduler.title');
+        this.container.querySelector('.scheduler-hint').textContent = i18n.t('contact.scheduler.hint', { zone: this.timeZone });
+        
+        const empty = this.container.querySelector('.scheduler-empty');
+        empty.textContent = i18n.t('contact.scheduler.empty');
+        empty.hidden = days.size > 0;
+        
+        const dayList = this.container.querySelector('.scheduler-days');
+        dayList.setAttribute('aria-label', i18n.t('contact.scheduler.days'));
+        days.forEach((slots, key) => {
+            dayList.appendChild(this.createButton('scheduler-day', key === this.selectedDay, domUtils.formatDate(slots[0].start, {
+                year: undefined,
+                month: 'short',
+                weekday: 'short'
+            }), { day: key }));
+        });
+        
+        const slotList = this.container.querySelector('.scheduler-slots');
+        slotList.setAttribute('aria-label', i18n.t('contact.scheduler.slots'));
+        daySlots.forEach(slot => {
+            const button = this.createButton('scheduler-slot', slot === this.selectedSlot, this.formatTime(slot.start), {
+                slot: slot.start.toISOString()
+            });
+            
+            // The owner's own clock, for visitors in another zone
+            button.title = i18n.t('contact.scheduler.ownerTime', {
+                time: this.formatTime(slot.start, { timeZone: this.options.schedule.timeZone, timeZoneName: 'short' })
+            });
+            
+            slotList.appendChild(button);
+        });
+        
+        const selection = this.container.querySelector('.scheduler-selection');
+        selection.hidden = !this.selectedSlot;
+        
+        if (this.selectedSlot) {
+            selection.querySelector('.scheduler-selection-text').textContent = i18n.t('contact.scheduler.selected', {
+                date: this.formatSlot(this.selectedSlot),
+                relative: domUtils.getRelativeTime(this.selectedSlot.start)
+            });
+            selection.querySelector('[data-action="download"]').textContent = i18n.t('contact.scheduler.download');
+            selection.querySelector('[data-action="clear"]').textContent = i18n.t('contact.scheduler.clear');
+        }
+    }
+
+    /**
+     * Create a day or slot toggle button
+     */
+    createButton(className, isPressed, label, data) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.setAttribute('aria-pressed', String(isPressed));
+        Object.assign(button.dataset, data);
+        
+        return button;
+    }
+
+    /**
+     * Format a time of day (visitor's zone unless `options.timeZone`)
+     */
+    formatTime(date, options = {}) {
+        return domUtils.formatDate(date, {
+            year: undefined,
+            month: undefined,
+            day: undefined,
+            hour: '2-digit',
+            minute: '2-digit',
+            ...options
+        });
+    }
+
+    /**
+     * Format a slot in full: "lunes, 26 de octubre, 10:00 CET"
+     */
+    formatSlot(slot) {
+        return domUtils.formatDate(slot.start, {
+            year: undefined,
+            weekday: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        });
+    }
+
+    /**
+     * Handle day, slot, download and clear buttons
+     */
+    handleClick(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+        
+        if (button.dataset.day) {
+            this.selectedDay = button.dataset.day;
+            this.render();
+            this.container.querySelector('.scheduler-slot')?.focus();
+        } else if (button.dataset.slot) {
+            const slot = this.slots.find(item => item.start.toISOString() === button.dataset.slot);
+            this.select(slot === this.selectedSlot ? null : slot);
+            this.container.querySelector(`[data-slot="${button.dataset.slot}"]`)?.focus();
+        } else if (button.dataset.action === 'download') {
+            this.downloadInvite();
+        } else if (button.dataset.action === 'clear') {
+            this.select(null);
+        }
+    }
+
+    /**
+     * Choose a slot (null clears the choice)
+     */
+    select(slot) {
+        this.selectedSlot = slot || null;
+        this.render();
+        this.options.onChange?.(this.selectedSlot);
+    }
+
+    /**
+     * Forget the chosen slot
+     */
+    clear() {
+        if (this.selectedSlot) {
+            this.select(null);
+        }
+    }
+
+    /**
+     * The chosen slot, if it is still ahead
+     * @returns {?Object} - `{ start, end }`
+     */
+    getSelection() {
+        return this.selectedSlot && this.selectedSlot.start > new Date() ? this.selectedSlot : null;
+    }
+
+    /**
+     * Fields the chosen slot adds to the submission
+     * @returns {Object} - `{ callSlot, callSlotEnd, callTimeZone }` (ISO instants), empty without a slot
+     */
+    getPayload() {
+        const slot = this.getSelection();
+        if (!slot) return {};
+        
+        return {
+            callSlot: slot.start.toISOString(),
+            callSlotEnd: slot.end.toISOString(),
+            callTimeZone: this.timeZone
+        };
+    }
+
+    /**
+     * Download the chosen slot as an .ics invite
+     */
+    downloadInvite() {
+        const slot = this.getSelection();
+        if (!slot) return;
+        
+        const { organizer = null } = this.options.schedule;
+        const attendee = this.options.getAttendee?.() || null;
+        
+        const ics = createICS({
+            uid: `${slot.start.getTime()}-${Math.random().toString(36).slice(2, 10)}@${window.location.hostname || 'localhost'}`,
+            start: slot.start,
+            end: slot.end,
+            summary: i18n.t('contact.scheduler.eventTitle', { name: organizer?.name || '' }),
+            description: i18n.t('contact.scheduler.eventDescription', { url: window.location.origin }),
+            location: i18n.t('contact.scheduler.location'),
+            organizer,
+            attendee
+        });
+        
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        domUtils.downloadFile(url, i18n.t('contact.scheduler.fileName'));
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        console.log('📅 Call invite downloaded');
+    }
+
+    /**
+     * Cleanup scheduler
+     */
+    destroy() {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CallScheduler };
+}
+
+// Export for ES6 modules
+export { CallScheduler };
+
+/*
+===============================================
+END SCHEDULER.JS
+Call scheduler with:
+- Slots from the weekly schedule, grouped by local day
+- Timezone conversion (owner's time on hover)
+- Slot in the contact payload
+- .ics invite download
+===============================================
+*/
@@ -0,0 +1,432 @@
+/*
+===============================================
+CONTENT.JS - Portfolio Content Data
+Single source of truth for profile, projects, experience and stats
+===============================================
+*/
+
+/**
+ * Visitor-facing text is stored as catalog keys of js/data/messages.js, as in
+ * js/data/forms.js. Plain text also works: i18n.t returns unknown keys as-is
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} name - Display name
+ * @property {string} role - Catalog key of the main job title
+ * @property {string} description - Catalog key of the short professional summary
+ * @property {string} url - Canonical site URL
+ * @property {string} email - Contact email
+ * @property {string} phone - Contact phone (E.164)
+ * @property {string} location - Catalog key of the country / city
+ * @property {string} availability - Catalog key of the working hours shown in contact section
+ * @property {string} avatar - Avatar image path
+ * @property {string[]} sameAs - Social profile URLs
+ */
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id - Stable identifier used by `data-project` attributes
+ * @property {string} slug - URL-friendly identifier
+ * @property {string} category - Filter category (web, mobile, design)
+ * @property {string} title - Project title
+ * @property {string} summary - Catalog key of the short text shown on the portfolio card
+ * @property {string} description - Catalog key of the full description shown in the modal
+ * @property {string} image - Cover image path
+ * @property {string} client - Client name, or its catalog key
+ * @property {string} duration - Catalog key of the project duration
+ * @property {string} year - Delivery year
+ * @property {string[]} technologies - Tech stack
+ * @property {string[]} features - Catalog keys of the key features
+ * @property {?string} demoUrl - Live demo URL
+ * @property {?string} codeUrl - Source code URL
+ * @property {string} [caseStudyUrl] - JSON document with extra case-study fields,
+ *                                     merged over the project when its page opens
+ */
+
+/**
+ * @typedef {Object} ExperienceItem
+ * @property {string} title - Catalog key of the position or degree
+ * @property {string} company - Company or institution
+ * @property {string} period - Catalog key of the human readable period
+ * @property {string} type - 'work' or 'education'
+ * @property {string} description - Catalog key of the summary of the role
+ * @property {string[]} achievements - Catalog keys of the highlights
+ */
+
+/**
+ * @typedef {Object} SkillCategory
+ * @property {string} title - Category title
+ * @property {Array<{name: string, level: number}>} items - Skills with level (0-100)
+ */
+
+/**
+ * @typedef {Object} Counter
+ * @property {number} target - Final value
+ * @property {string} suffix - Suffix appended to the value
+ * @property {string} label - Counter label
+ */
+
+/** @type {Profile} */
+const profile = {
+    name: 'Mario FCA',
+    role: 'profile.role',
+    description: 'profile.description',
+    url: 'https://mariofca.dev',
+    email: 'mario@example.com',
+    phone: '+34600000000',
+    location: 'profile.location',
+    availability: 'profile.availability',
+    avatar: 'assets/images/avatar.jpg',
+    sameAs: []
+};
+
+/**
+ * Where the contact form delivers messages
+ * Switch to `type: 'json'` or `'form'` with an `endpoint` once a backend exists;
+ * until then the form opens the visitor's mail client. File attachments need
+ * `'form'` or `'multipart'`, the other adapters hide the picker
+ * @type {import('../utils/transport.js').TransportConfig}
+ */
+const contactTransport = {
+    type: 'mailto',
+    endpoint: null,
+    email: profile.email,
+    // Catalog key, `{site}` is the profile URL
+    subject: 'contact.mailSubject'
+};
+
+/**
+ * Server-side checks for fields with a `remote` rule (js/data/forms.js), such as
+ * the email domain's MX records. The component sends `GET endpoint?field=&value=`
+ * and expects `{ valid, message? }`; with no endpoint the checks are skipped
+ */
+const contactValidation = {
+    endpoint: null,
+    timeout: 5000
+};
+
+/**
+ * When visitors can propose a call from the contact form
+ * Hours are the owner's, in `timeZone`; visitors see them in their own zone.
+ * Chosen slots are sent with the message and confirmed by reply
+ * @type {import('../utils/schedule.js').WeeklySchedule}
+ */
+const callSchedule = {
+    timeZone: 'Europe/Madrid',
+    weekly: {
+        1: [['09:00', '13:00'], ['15:00', '18:00']],
+        2: [['09:00', '13:00'], ['15:00', '18:00']],
+        3: [['09:00', '13:00'], ['15:00', '18:00']],
+        4: [['09:00', '13:00'], ['15:00', '18:00']],
+        5: [['09:00', '14:00']]
+    },
+    duration: 30,
+    slotMinutes: 30,
+    minNoticeHours: 24,
+    daysAhead: 14,
+    blockedDates: [],
+    organizer: { name: profile.name, email: profile.email }
+};
+
+/** @type {Project[]} */
+const projects = [
+    {
+        id: '1',
+        slug: 'ecommerce-platform',
+        category: 'web',
+        title: 'E-commerce Platform',
+        summary: 'projects.ecommercePlatform.summary',
+        description: 'projects.ecommercePlatform.description',
+        image: 'assets/images/project1.jpg',
+        client: 'TechCorp Solutions',
+        duration: 'projects.ecommercePlatform.duration',
+        year: '2024',
+        technologies: ['React', 'Node.js', 'MongoDB', 'Stripe', 'Redis'],
+        features: [
+            'projects.ecommercePlatform.features.auth',
+            'projects.ecommercePlatform.features.cart',
+            'projects.ecommercePlatform.features.payments',
+            'projects.ecommercePlatform.features.admin',
+            'projects.ecommercePlatform.features.analytics',
+            'projects.ecommercePlatform.features.responsive'
+        ],
+        demoUrl: 'https://demo.example.com',
+        codeUrl: 'https://github.com/mariofca/ecommerce'
+    },
+    {
+        id: '2',
+        slug: 'task-management-app',
+        category: 'web',
+        title: 'Task Management App',
+        summary: 'projects.taskManagementApp.summary',
+        description: 'projects.taskManagementApp.description',
+        image: 'assets/images/project2.jpg',
+        client: 'StartUp Innovate',
+        duration: 'projects.taskManagementApp.duration',
+        year: '2024',
+        technologies: ['Vue.js', 'Socket.io', 'Express', 'PostgreSQL', 'PWA'],
+        features: [
+            'projects.taskManagementApp.features.realtime',
+            'projects.taskManagementApp.features.push',
+            'projects.taskManagementApp.features.dragDrop',
+            'projects.taskManagementApp.features.offline',
+            'projects.taskManagementApp.features.teams',
+            'projects.taskManagementApp.features.timeTracking'
+        ],
+        demoUrl: 'https://tasks.example.com',
+        codeUrl: 'https://github.com/mariofca/taskmanager'
+    },
+    {
+        id: '3',
+        slug: 'weather-app',
+        category: 'mobile',
+        title: 'Weather App',
+        summary: 'projects.weatherApp.summary',
+        description: 'projects.weatherApp.description',
+        image: 'assets/images/project3.jpg',
+        client: 'projects.weatherApp.client',
+        duration: 'projects.weatherApp.duration',
+        year: '2023',
+        technologies: ['React Native', 'OpenWeather API', 'MapBox', 'AsyncStorage'],
+        features: [
+            'projects.weatherApp.features.geolocation',
+            'projects.weatherApp.features.forecast',
+            'projects.weatherApp.features.maps',
+            'projects.weatherApp.features.alerts',
+            'projects.weatherApp.features.locations',
+            'projects.weatherApp.features.widgets'
+        ],
+        demoUrl: 'https://weather.example.com',
+        codeUrl: 'https://github.com/mariofca/weather-app'
+    },
+    {
+        id: '4',
+        slug: 'brand-identity',
+        category: 'design',
+        title: 'Brand Identity',
+        summary: 'projects.brandIdentity.summary',
+        description: 'projects.brandIdentity.description',
+        image: 'assets/images/project4.jpg',
+        client: 'TechStart Inc.',
+        duration: 'projects.brandIdentity.duration',
+        year: '2023',
+        technologies: ['Figma', 'Adobe Illustrator', 'Adobe Photoshop', 'Principle'],
+        features: [
+            'projects.brandIdentity.features.research',
+            'projects.brandIdentity.features.logo',
+            'projects.brandIdentity.features.palette',
+            'projects.brandIdentity.features.typography',
+            'projects.brandIdentity.features.guidelines',
+            'projects.brandIdentity.features.applications'
+        ],
+        demoUrl: 'https://brand.example.com',
+        codeUrl: null
+    }
+];
+
+/** @type {ExperienceItem[]} */
+const experience = [
+    {
+        title: 'experience.seniorFullStack.title',
+        company: 'TechCorp Solutions',
+        period: 'experience.seniorFullStack.period',
+        type: 'work',
+        description: 'experience.seniorFullStack.description',
+        achievements: [
+            'experience.seniorFullStack.microservices',
+            'experience.seniorFullStack.cicd',
+            'experience.seniorFullStack.team'
+        ]
+    },
+    {
+        title: 'experience.frontend.title',
+        company: 'Digital Agency Pro',
+        period: 'experience.frontend.period',
+        type: 'work',
+        description: 'experience.frontend.description',
+        achievements: [
+            'experience.frontend.frameworks',
+            'experience.frontend.seo',
+            'experience.frontend.pwa'
+        ]
+    },
+    {
+        title: 'experience.juniorWeb.title',
+        company: 'StartUp Innovate',
+        period: 'experience.juniorWeb.period',
+        type: 'work',
+        description: 'experience.juniorWeb.description',
+        achievements: [
+            'experience.juniorWeb.mern',
+            'experience.juniorWeb.apis',
+            'experience.juniorWeb.agile'
+        ]
+    },
+    {
+        title: 'experience.degree.title',
+        company: 'Universidad Tecnológica',
+        period: 'experience.degree.period',
+        type: 'education',
+        description: 'experience.degree.description',
+        achievements: [
+            'experience.degree.specialization',
+            'experience.degree.thesis',
+            'experience.degree.grades'
+        ]
+    }
+];
+
+/** @type {{categories: SkillCategory[], tools: Array<{name: string, icon: string}>}} */
+const skills = {
+    categories: [
+        {
+            title: 'Frontend',
+            items: [
+                { name: 'HTML5 & CSS3', level: 95 },
+                { name: 'JavaScript', level: 90 },
+                { name: 'React', level: 85 },
+                { name: 'Vue.js', level: 80 }
+            ]
+        },
+        {
+            title: 'Backend',
+            items: [
+                { name: 'Node.js', level: 88 },
+                { name: 'Express.js', level: 85 },
+                { name: 'MongoDB', level: 82 },
+                { name: 'PostgreSQL', level: 75 }
+            ]
+        }
+    ],
+    tools: [
+        { name: 'Git', icon: 'assets/icons/git.svg' },
+        { name: 'Docker', icon: 'assets/icons/docker.svg' },
+        { name: 'Webpack', icon: 'assets/icons/webpack.svg' },
+        { name: 'Figma', icon: 'assets/icons/figma.svg' }
+    ]
+};
+
+/** @type {Counter[]} */
+const counters = [
+    { target: 50, suffix: '+', label: 'Proyectos Completados' },
+    { target: 3, suffix: '+', label: 'Años de Experiencia' },
+    { target: 100, suffix: '%', label: 'Satisfacción Cliente' }
+];
+
+/**
+ * Find a project by its id
+ * @param {string|number} id - Project id
+ * @returns {Project|null}
+ */
+function getProjectById(id) {
+    return projects.find(project => project.id === String(id)) || null;
+}
+
+/**
+ * Find a project by its slug
+ * @param {string} slug - Project slug
+ * @returns {Project|null}
+ */
+function getProjectBySlug(slug) {
+    return projects.find(project => project.slug === slug) || null;
+}
+
+/**
+ * Profile with its catalog keys translated
+ * @param {Function} translate - `(key) => text`
+ * @returns {Profile}
+ */
+function localizeProfile(translate) {
+    return {
+        ...profile,
+        role: translate(profile.role),
+        description: translate(profile.description),
+        location: translate(profile.location),
+        availability: translate(profile.availability)
+    };
+}
+
+/**
+ * Project with its catalog keys translated
+ * Case studies may carry ready-made text, which `translate` returns unchanged
+ * @param {Project} project - Project or loaded case study
+ * @param {Function} translate - `(key) => text`
+ * @returns {Project}
+ */
+function localizeProject(project, translate) {
+    return {
+        ...project,
+        summary: translate(project.summary),
+        description: translate(project.description),
+        client: translate(project.client),
+        duration: translate(project.duration),
+        features: project.features.map(feature => translate(feature))
+    };
+}
+
+/**
+ * Load a project's full case study
+ * Projects without a `caseStudyUrl` resolve straight from the content above
+ * @param {string} slug - Project slug
+ * @param {Object} [options] - `{ signal }` to abort the request
+ * @returns {Promise<Project>}
+ */
+async function loadCaseStudy(slug, { signal } = {}) {
+    const project = getProjectBySlug(slug);
+    if (!project) {
+        throw new Error(`Unknown project: ${slug}`);
+    }
+    
+    if (!project.caseStudyUrl) {
+        return project;
+    }
+    
+    const response = await fetch(project.caseStudyUrl, { signal });
+    if (!response.ok) {
+        throw new Error(`Failed to load case study ${slug}: ${response.status}`);
+    }
+    
+    return { ...project, ...(await response.json()) };
+}
+
+/**
+ * Find the level of a skill by name
+ * @param {string} name - Skill name as shown in the skills section
+ * @returns {number|null}
+ */
+function getSkillLevel(name) {
+    for (const category of skills.categories) {
+        const skill = category.items.find(item => item.name === name);
+        if (skill) return skill.level;
+    }
+    return null;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        profile, contactTransport, contactValidation, callSchedule, projects, experience, skills, counters,
+        getProjectById, getProjectBySlug, localizeProfile, localizeProject, loadCaseStudy, getSkillLevel
+    };
+}
+
+// Export for ES6 modules
+export {
+    profile, contactTransport, contactValidation, callSchedule, projects, experience, skills, counters,
+    getProjectById, getProjectBySlug, localizeProfile, localizeProject, loadCaseStudy, getSkillLevel
+};
+
+/*
+===============================================
+END CONTENT.JS
+Central content layer with:
+- Profile information
+- Catalog keys for visitor-facing text, translated per locale
+- Contact form transport
+- Portfolio projects and case study loading
+- Experience timeline
+- Skills and tools
+- About counters
+===============================================
+*/
@@ -0,0 +1,165 @@
+/*
+===============================================
+FORMS.JS - Form Definitions
+Field schemas rendered and validated by ContactComponent
+===============================================
+*/
+
+/**
+ * Labels, placeholders, options and messages are catalog keys (js/data/messages.js);
+ * patterns are RegExp sources so the schemas stay plain JSON.
+ * See js/utils/form-schema.js for the full format.
+ */
+
+/** @type {import('../utils/form-schema.js').FormSchema} */
+const contactForm = {
+    id: 'contact',
+    fields: [
+        {
+            name: 'name',
+            type: 'text',
+            label: 'contact.form.name',
+            placeholder: 'contact.form.namePlaceholder',
+            autocomplete: 'name',
+            rules: { required: true, minLength: 2, maxLength: 50, pattern: '^[a-zA-ZáéíóúüñÁÉÍÓÚÜÑ\\s]+$' },
+            messages: {
+                required: 'contact.errors.name.required',
+                minLength: 'contact.errors.name.minLength',
+                maxLength: 'contact.errors.name.maxLength',
+                pattern: 'contact.errors.name.pattern'
+            }
+        },
+        {
+            name: 'email',
+            type: 'email',
+            label: 'contact.form.email',
+            placeholder: 'contact.form.emailPlaceholder',
+            autocomplete: 'email',
+            // `remote`: the domain's MX records are checked by `contactValidation.endpoint`
+            rules: { required: true, pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$', remote: true },
+            messages: {
+                required: 'contact.errors.email.required',
+                pattern: 'contact.errors.email.pattern',
+                remote: 'contact.errors.email.remote'
+            }
+        },
+        {
+            name: 'subject',
+            type: 'select',
+            label: 'contact.form.subject',
+            options: [
+                { value: '', label: 'contact.form.subjectPlaceholder' },
+                { value: 'proyecto', label: 'contact.form.subjectProject' },
+                { value: 'consultoria', label: 'contact.form.subjectConsulting' },
+                { value: 'colaboracion', label: 'contact.form.subjectCollaboration' },
+                { value: 'otro', label: 'contact.form.subjectOther' }
+            ],
+            rules: { maxLength: 100 },
+            messages: {
+                maxLength: 'contact.errors.subject.maxLength'
+            }
+        },
+        {
+            name: 'projectType',
+            type: 'radio',
+            label: 'contact.form.projectType',
+            options: [
+                { value: 'web', label: 'contact.form.projectTypeWeb' },
+                { value: 'app', label: 'contact.form.projectTypeApp' },
+                { value: 'ecommerce', label: 'contact.form.projectTypeEcommerce' },
+                { value: 'otro', label: 'contact.form.projectTypeOther' }
+            ],
+            rules: { required: true },
+            messages: {
+                required: 'contact.errors.projectType.required'
+            },
+            visibleWhen: { field: 'subject', equals: 'proyecto' }
+        },
+        {
+            name: 'budget',
+            type: 'select',
+            label: 'contact.form.budget',
+            options: [
+                { value: '', label: 'contact.form.budgetPlaceholder' },
+                { value: '<3k', label: 'contact.form.budgetSmall' },
+                { value: '3k-10k', label: 'contact.form.budgetMedium' },
+                { value: '>10k', label: 'contact.form.budgetLarge' },
+                { value: 'unknown', label: 'contact.form.budgetUnknown' }
+            ],
+            visibleWhen: { field: 'subject', in: ['proyecto', 'consultoria'] }
+        },
+        {
+            name: 'timeline',
+            type: 'select',
+            label: 'contact.form.timeline',
+            options: [
+                { value: '', label: 'contact.form.timelinePlaceholder' },
+                { value: 'asap', label: 'contact.form.timelineAsap' },
+                { value: '1-3m', label: 'contact.form.timelineShort' },
+                { value: '3-6m', label: 'contact.form.timelineMedium' },
+                { value: 'flexible', label: 'contact.form.timelineFlexible' }
+            ],
+            visibleWhen: { field: 'subject', in: ['proyecto', 'consultoria'] }
+        },
+        {
+            name: 'message',
+            type: 'textarea',
+            label: 'contact.form.message',
+            placeholder: 'contact.form.messagePlaceholder',
+            rows: 5,
+            rules: { required: true, minLength: 10, maxLength: 1000 },
+            messages: {
+                required: 'contact.errors.message.required',
+                minLength: 'contact.errors.message.minLength',
+                maxLength: 'contact.errors.message.maxLength'
+            }
+        },
+        {
+            name: 'privacy',
+            type: 'checkbox',
+            label: 'contact.form.privacy',
+            rules: { required: true },
+            messages: {
+                required: 'contact.errors.privacy.required'
+            }
+        }
+    ],
+    // Wizard mode pages; steps whose fields are all hidden are skipped
+    steps: [
+        { id: 'project', title: 'contact.wizard.steps.project', fields: ['subject', 'projectType'] },
+        { id: 'budget', title: 'contact.wizard.steps.budget', fields: ['budget', 'timeline'] },
+        { id: 'details', title: 'contact.wizard.steps.details', fields: ['name', 'email', 'message', 'privacy'] }
+    ]
+};
+
+// Forms by id
+const forms = {
+    contact: contactForm
+};
+
+/**
+ * Get a form schema by id
+ * @param {string} id - Form id
+ * @returns {import('../utils/form-schema.js').FormSchema|undefined}
+ */
+function getForm(id) {
+    return forms[id];
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { forms, contactForm, getForm };
+}
+
+// Export for ES6 modules
+export { forms, contactForm, getForm };
+
+/*
+===============================================
+END FORMS.JS
+Form definitions with:
+- Contact form fields, rules and messages
+- Conditional project type, budget and timeline fields
+- Project inquiry wizard steps
+===============================================
+*/
@@ -0,0 +1,842 @@
+/*
+===============================================
+MESSAGES.JS - UI Message Catalogs
+Spanish and English strings for the interface, keyed by dotted path
+===============================================
+*/
+
+/**
+ * Catalog values are either:
+ * - a string with `{name}` placeholders
+ * - a plural map (`{ one, other }`, any Intl.PluralRules category) picked by the `count` param
+ * - an array of strings (typed phrases)
+ *
+ * Spanish is the source language: English falls back to it for missing keys
+ */
+const messages = {
+    es: {
+        language: {
+            name: 'Español',
+            toggle: 'EN',
+            toggleLabel: 'Cambiar a inglés',
+            changed: 'Idioma cambiado a {language}'
+        },
+        app: {
+            loading: 'Cargando experiencia...'
+        },
+        nav: {
+            home: 'Inicio',
+            about: 'Sobre Mí',
+            skills: 'Habilidades',
+            portfolio: 'Portfolio',
+            experience: 'Experiencia',
+            contact: 'Contacto',
+            themeToggle: 'Cambiar tema',
+            backToTop: 'Volver arriba'
+        },
+        hero: {
+            greeting: 'Hola, soy',
+            description: 'Creo experiencias web excepcionales combinando diseño moderno con código limpio y eficiente. Especializado en JavaScript, React y tecnologías full-stack.',
+            viewWork: 'Ver Mi Trabajo',
+            contactMe: 'Contáctame',
+            avatarAlt: 'Mario FCA - Desarrollador Full Stack',
+            typedPhrases: [
+                'Desarrollador Full Stack',
+                'Frontend Developer',
+                'Backend Developer',
+                'UI/UX Enthusiast',
+                'Problem Solver',
+                'Code Architect',
+                'Tech Innovator'
+            ]
+        },
+        sections: {
+            about: { title: 'Sobre Mí', subtitle: 'Conoce mi historia y pasión por el desarrollo' },
+            skills: { title: 'Habilidades', subtitle: 'Tecnologías y herramientas que domino' },
+            portfolio: { title: 'Portfolio', subtitle: 'Proyectos destacados que muestran mi experiencia' },
+            experience: { title: 'Experiencia', subtitle: 'Mi trayectoria profesional y educación' },
+            contact: { title: 'Contacto', subtitle: '¿Tienes un proyecto en mente? ¡Hablemos!' }
+        },
+        about: {
+            projects: 'Proyectos Completados',
+            years: 'Años de Experiencia',
+            satisfaction: '% Satisfacción Cliente',
+            intro: 'Soy un desarrollador full-stack apasionado por crear soluciones digitales innovadoras. Con más de 3 años de experiencia, me especializo en construir aplicaciones web modernas y escalables.',
+            approach: 'Mi enfoque se centra en escribir código limpio, implementar mejores prácticas y crear interfaces de usuario intuitivas que brinden experiencias excepcionales.',
+            outside: 'Cuando no estoy programando, disfruto aprendiendo nuevas tecnologías, contribuyendo a proyectos open source y compartiendo conocimiento con la comunidad de desarrolladores.',
+            cards: {
+                focus: { title: 'Enfoque', description: 'Desarrollo orientado a resultados con atención al detalle y optimización continua.' },
+                innovation: { title: 'Innovación', description: 'Siempre explorando nuevas tecnologías y metodologías para mejorar los procesos.' },
+                collaboration: { title: 'Colaboración', description: 'Trabajo en equipo efectivo con comunicación clara y transparente en cada proyecto.' }
+            }
+        },
+        notFound: {
+            title: 'Página no encontrada',
+            nothingAt: 'No hay nada en',
+            suggestions: '¿Quizás buscabas...?',
+            backHome: 'Volver al inicio'
+        },
+        skills: {
+            tools: 'Herramientas'
+        },
+        portfolio: {
+            filters: {
+                all: 'Todos',
+                web: 'Web Apps',
+                mobile: 'Mobile',
+                design: 'UI/UX'
+            },
+            viewDetails: 'Ver Detalles',
+            viewDemo: 'Ver Demo'
+        },
+        modal: {
+            loadError: 'No se pudo cargar el caso de estudio completo.',
+            retry: 'Reintentar',
+            client: 'Cliente:',
+            duration: 'Duración:',
+            year: 'Año:',
+            technologies: 'Tecnologías Utilizadas:',
+            features: 'Características Principales:',
+            demo: 'Ver Demo',
+            code: 'Ver Código'
+        },
+        contact: {
+            mailSubject: 'Contacto desde {site}',
+            info: {
+                heading: '¿Listo para trabajar juntos?',
+                description: 'Estoy disponible para nuevos proyectos y colaboraciones. Ya sea que necesites una aplicación web completa, optimización de tu sitio actual, o consultoría técnica, estaré encantado de ayudarte a hacer realidad tus ideas.',
+                email: 'Email',
+                phone: 'Teléfono',
+                location: 'Ubicación',
+                availability: 'Disponibilidad'
+            },
+            form: {
+                name: 'Nombre *',
+                namePlaceholder: 'Tu nombre completo',
+                email: 'Email *',
+                emailPlaceholder: 'tu@email.com',
+                subject: 'Asunto',
+                subjectPlaceholder: 'Selecciona un tema',
+                subjectProject: 'Nuevo Proyecto',
+                subjectConsulting: 'Consultoría',
+                subjectCollaboration: 'Colaboración',
+                subjectOther: 'Otro',
+                projectType: 'Tipo de proyecto *',
+                projectTypeWeb: 'Web',
+                projectTypeApp: 'App móvil',
+                projectTypeEcommerce: 'Tienda online',
+                projectTypeOther: 'Otro',
+                budget: 'Presupuesto',
+                budgetPlaceholder: 'Selecciona un rango',
+                budgetSmall: 'Menos de 3.000 €',
+                budgetMedium: '3.000 € – 10.000 €',
+                budgetLarge: 'Más de 10.000 €',
+                budgetUnknown: 'Aún no lo sé',
+                timeline: 'Plazo',
+                timelinePlaceholder: 'Selecciona un plazo',
+                timelineAsap: 'Lo antes posible',
+                timelineShort: 'En 1–3 meses',
+                timelineMedium: 'En 3–6 meses',
+                timelineFlexible: 'Sin prisa',
+                message: 'Mensaje *',
+                messagePlaceholder: 'Cuéntame sobre tu proyecto o consulta...',
+                privacy: 'Acepto la política de privacidad y el tratamiento de mis datos',
+                submit: 'Enviar Mensaje',
+                sending: 'Enviando...',
+                honeypot: 'No rellenes este campo',
+                attachments: 'Adjuntos',
+                attachmentsHint: 'Arrastra aquí tus archivos o haz clic para elegirlos'
+            },
+            errors: {
+                name: {
+                    required: 'El nombre es obligatorio',
+                    minLength: {
+                        one: 'El nombre debe tener al menos {count} carácter',
+                        other: 'El nombre debe tener al menos {count} caracteres'
+                    },
+                    maxLength: 'El nombre no puede superar {count} caracteres',
+                    pattern: 'El nombre solo puede contener letras y espacios'
+                },
+                email: {
+                    required: 'El email es obligatorio',
+                    pattern: 'Por favor, introduce un email válido',
+                    remote: 'Este dominio no parece recibir correo'
+                },
+                subject: {
+                    maxLength: 'El asunto no puede superar {count} caracteres'
+                },
+                projectType: {
+                    required: 'Elige el tipo de proyecto'
+                },
+                message: {
+                    required: 'El mensaje es obligatorio',
+                    minLength: {
+                        one: 'El mensaje debe tener al menos {count} carácter',
+                        other: 'El mensaje debe tener al menos {count} caracteres'
+                    },
+                    maxLength: 'El mensaje no puede superar {count} caracteres'
+                },
+                privacy: {
+                    required: 'Debes aceptar la política de privacidad'
+                }
+            },
+            wizard: {
+                steps: {
+                    project: 'Tu proyecto',
+                    budget: 'Presupuesto y plazo',
+                    details: 'Tus datos'
+                },
+                review: 'Revisa y envía',
+                back: 'Atrás',
+                next: 'Siguiente',
+                edit: 'Editar',
+                stepOf: 'Paso {current} de {total}',
+                yes: 'Sí',
+                attachments: 'Adjuntos',
+                call: 'Llamada'
+            },
+            characterCount: '{current}/{max}',
+            fixErrors: {
+                one: 'Por favor, corrige el error antes de enviar',
+                other: 'Por favor, corrige los {count} errores antes de enviar'
+            },
+            success: '¡Mensaje enviado correctamente! Te responderé pronto.',
+            failure: 'Error al enviar el mensaje. Inténtalo de nuevo.',
+            connectionError: 'Error de conexión. Inténtalo de nuevo.',
+            timeout: 'El servidor está tardando demasiado. Inténtalo de nuevo.',
+            tooFast: 'Espera {seconds} segundos y vuelve a enviarlo.',
+            rateLimited: 'Has enviado varios mensajes hace poco. Inténtalo de nuevo más tarde.',
+            mailtoOpened: 'Hemos abierto tu cliente de correo con el mensaje listo para enviar.',
+            queued: 'Mensaje en cola: se enviará automáticamente cuando vuelvas a tener conexión.',
+            queuedSent: '¡Tu mensaje pendiente se ha enviado correctamente!',
+            queuedFailed: {
+                form: 'Tu mensaje pendiente no se pudo enviar. Lo hemos devuelto al formulario: revísalo y envíalo de nuevo.',
+                draft: 'Tu mensaje pendiente no se pudo enviar. Lo tienes entre tus borradores para revisarlo y enviarlo de nuevo.',
+                lost: 'Tu mensaje pendiente no se pudo enviar. Escríbelo de nuevo o contáctame por email.'
+            },
+            validating: 'Comprobando…',
+            drafts: {
+                prompt: {
+                    one: '¿Recuperar tu mensaje sin enviar?',
+                    other: 'Tienes {count} mensajes sin enviar. ¿Quieres recuperar alguno?'
+                },
+                savedAt: 'Guardado {time}',
+                restore: 'Recuperar',
+                discard: 'Descartar',
+                discardCurrent: 'Descartar borrador',
+                discarded: 'Borrador descartado',
+                unavailable: 'Ese borrador ya no se puede recuperar',
+                note: 'Los borradores se guardan cifrados y solo en este dispositivo.'
+            },
+            scheduler: {
+                title: '¿Prefieres una llamada? (opcional)',
+                hint: 'Elige un hueco y te confirmaré por email. Horas en tu zona horaria ({zone}).',
+                empty: 'Ahora mismo no hay huecos libres. Cuéntame tu disponibilidad en el mensaje.',
+                days: 'Días disponibles',
+                slots: 'Horas disponibles',
+                ownerTime: 'Mi hora: {time}',
+                selected: 'Llamada propuesta: {date} ({relative})',
+                download: 'Descargar invitación (.ics)',
+                clear: 'Quitar',
+                eventTitle: 'Llamada con {name}',
+                eventDescription: 'Llamada propuesta desde {url}. Pendiente de confirmación.',
+                location: 'Videollamada (te enviaré el enlace)',
+                fileName: 'llamada.ics'
+            },
+            fileTooLarge: '{name} es demasiado grande. Máximo {size}.',
+            fileTypeNotAllowed: '{name} no es un archivo permitido. Formatos válidos: {types}',
+            attachments: {
+                limits: '{types} · hasta {size} por archivo',
+                tooMany: {
+                    one: 'Solo puedes adjuntar {count} archivo',
+                    other: 'Solo puedes adjuntar {count} archivos'
+                },
+                duplicate: '{name} ya está adjunto',
+                remove: 'Quitar {name}'
+            }
+        },
+        footer: {
+            description: 'Desarrollador Full Stack apasionado por crear experiencias digitales excepcionales.',
+            navigation: 'Navegación',
+            services: 'Servicios',
+            contact: 'Contacto',
+            webDevelopment: 'Desarrollo Web',
+            spa: 'Aplicaciones SPA',
+            apis: 'APIs REST',
+            consulting: 'Consultoría Técnica',
+            seo: 'Optimización SEO',
+            rights: 'Todos los derechos reservados.'
+        },
+        profile: {
+            role: 'Desarrollador Full Stack',
+            description: 'Desarrollador Full Stack especializado en aplicaciones web modernas con JavaScript, React, Node.js y tecnologías frontend/backend',
+            location: 'España',
+            availability: 'Lun - Vie, 9:00 - 18:00'
+        },
+        projects: {
+            ecommercePlatform: {
+                summary: 'Plataforma completa de comercio electrónico con panel administrativo.',
+                description: 'Plataforma completa de comercio electrónico con panel administrativo, gestión de inventario, procesamiento de pagos y analytics en tiempo real.',
+                duration: '4 meses',
+                features: {
+                    auth: 'Sistema de autenticación y autorización',
+                    cart: 'Carrito de compras con persistencia',
+                    payments: 'Procesamiento de pagos con Stripe',
+                    admin: 'Panel administrativo completo',
+                    analytics: 'Analytics y reportes en tiempo real',
+                    responsive: 'Responsive design mobile-first'
+                }
+            },
+            taskManagementApp: {
+                summary: 'Aplicación de gestión de tareas con colaboración en tiempo real.',
+                description: 'Aplicación de gestión de tareas con colaboración en tiempo real, notificaciones push y sincronización multiplataforma.',
+                duration: '3 meses',
+                features: {
+                    realtime: 'Colaboración en tiempo real',
+                    push: 'Notificaciones push',
+                    dragDrop: 'Drag & drop interface',
+                    offline: 'Offline functionality',
+                    teams: 'Team management',
+                    timeTracking: 'Time tracking'
+                }
+            },
+            weatherApp: {
+                summary: 'Aplicación del clima con geolocalización y pronósticos detallados.',
+                description: 'Aplicación del clima con geolocalización, pronósticos detallados, mapas interactivos y notificaciones de clima severo.',
+                client: 'Proyecto personal',
+                duration: '2 meses',
+                features: {
+                    geolocation: 'Geolocalización automática',
+                    forecast: 'Pronósticos de 7 días',
+                    maps: 'Mapas interactivos',
+                    alerts: 'Notificaciones clima severo',
+                    locations: 'Múltiples ubicaciones',
+                    widgets: 'Widgets personalizables'
+                }
+            },
+            brandIdentity: {
+                summary: 'Identidad visual completa para startup tecnológica.',
+                description: 'Identidad visual completa para startup tecnológica incluyendo logo, paleta de colores, tipografías y guidelines.',
+                duration: '6 semanas',
+                features: {
+                    research: 'Investigación de mercado',
+                    logo: 'Desarrollo de logo',
+                    palette: 'Paleta de colores',
+                    typography: 'Selección tipográfica',
+                    guidelines: 'Brand guidelines',
+                    applications: 'Aplicaciones de marca'
+                }
+            }
+        },
+        experience: {
+            seniorFullStack: {
+                title: 'Senior Full Stack Developer',
+                period: '2022 - Presente',
+                description: 'Liderazgo técnico en proyectos de gran escala, implementación de arquitecturas escalables y mentoría a desarrolladores junior.',
+                microservices: 'Desarrollo de microservicios con Node.js y Docker',
+                cicd: 'Implementación de CI/CD que redujo tiempo de deploy en 60%',
+                team: 'Liderazgo de equipo de 5 desarrolladores'
+            },
+            frontend: {
+                title: 'Frontend Developer',
+                period: '2021 - 2022',
+                description: 'Desarrollo de interfaces modernas y responsive para clientes corporativos, optimización de performance y UX.',
+                frameworks: 'Desarrollo con React, Vue.js y JavaScript vanilla',
+                seo: 'Optimización SEO que mejoró ranking en 40%',
+                pwa: 'Implementación de Progressive Web Apps'
+            },
+            juniorWeb: {
+                title: 'Junior Web Developer',
+                period: '2020 - 2021',
+                description: 'Desarrollo de aplicaciones web completas, desde la conceptualización hasta el deployment y mantenimiento.',
+                mern: 'Desarrollo full-stack con MERN stack',
+                apis: 'Integración de APIs y servicios externos',
+                agile: 'Colaboración ágil con equipos multidisciplinarios'
+            },
+            degree: {
+                title: 'Ingeniería en Sistemas',
+                period: '2016 - 2020',
+                description: 'Formación sólida en fundamentos de programación, algoritmos, estructuras de datos y arquitectura de software.',
+                specialization: 'Especialización en Desarrollo Web',
+                thesis: 'Proyecto final: Plataforma e-learning',
+                grades: 'Promedio académico: 9.2/10'
+            }
+        },
+        meta: {
+            home: {
+                title: '{site} | {role} | JavaScript, React, Node.js',
+                description: 'Portfolio profesional de {name} - {description}'
+            },
+            about: {
+                title: 'Sobre mí | {site}',
+                description: 'Conoce a {name}, {role}: trayectoria, enfoque de trabajo y proyectos completados.'
+            },
+            skills: {
+                title: 'Habilidades | {site}',
+                description: 'Tecnologías frontend y backend, herramientas y nivel de experiencia en cada una.'
+            },
+            portfolio: {
+                title: 'Portfolio | {site}',
+                description: 'Proyectos web, mobile y de diseño desarrollados por {name}.'
+            },
+            experience: {
+                title: 'Experiencia | {site}',
+                description: 'Experiencia profesional y formación académica.'
+            },
+            contact: {
+                title: 'Contacto | {site}',
+                description: '¿Tienes un proyecto en mente? Contacta con {name}.'
+            },
+            project: {
+                title: '{project} | {site}',
+                unknownTitle: 'Proyecto | {site}',
+                unknownDescription: 'Caso de estudio de {name}.'
+            },
+            notFound: {
+                title: 'Página no encontrada | {site}',
+                description: 'La página que buscas no existe o ha cambiado de dirección.'
+            }
+        },
+        validation: {
+            required: 'Este campo es obligatorio',
+            minLength: {
+                one: 'La longitud mínima es de {count} carácter',
+                other: 'La longitud mínima es de {count} caracteres'
+            },
+            maxLength: {
+                one: 'La longitud máxima es de {count} carácter',
+                other: 'La longitud máxima es de {count} caracteres'
+            },
+            pattern: 'Formato no válido',
+            email: 'Dirección de email no válida',
+            url: 'URL no válida',
+            number: 'Debe ser un número',
+            min: 'El valor mínimo es {min}',
+            max: 'El valor máximo es {max}',
+            invalid: 'Valor no válido'
+        }
+    },
+
+    en: {
+        language: {
+            name: 'English',
+            toggle: 'ES',
+            toggleLabel: 'Switch to Spanish',
+            changed: 'Language changed to {language}'
+        },
+        app: {
+            loading: 'Loading experience...'
+        },
+        nav: {
+            home: 'Home',
+            about: 'About',
+            skills: 'Skills',
+            portfolio: 'Portfolio',
+            experience: 'Experience',
+            contact: 'Contact',
+            themeToggle: 'Toggle theme',
+            backToTop: 'Back to top'
+        },
+        hero: {
+            greeting: 'Hi, I\'m',
+            description: 'I build exceptional web experiences by combining modern design with clean, efficient code. Specialized in JavaScript, React and full-stack technologies.',
+            viewWork: 'See My Work',
+            contactMe: 'Contact Me',
+            avatarAlt: 'Mario FCA - Full Stack Developer',
+            typedPhrases: [
+                'Full Stack Developer',
+                'Frontend Developer',
+                'Backend Developer',
+                'UI/UX Enthusiast',
+                'Problem Solver',
+                'Code Architect',
+                'Tech Innovator'
+            ]
+        },
+        sections: {
+            about: { title: 'About Me', subtitle: 'My story and passion for development' },
+            skills: { title: 'Skills', subtitle: 'Technologies and tools I work with' },
+            portfolio: { title: 'Portfolio', subtitle: 'Featured projects that show my experience' },
+            experience: { title: 'Experience', subtitle: 'My professional background and education' },
+            contact: { title: 'Contact', subtitle: 'Have a project in mind? Let\'s talk!' }
+        },
+        about: {
+            projects: 'Projects Completed',
+            years: 'Years of Experience',
+            satisfaction: '% Client Satisfaction',
+            intro: 'I am a full-stack developer passionate about building innovative digital solutions. With more than 3 years of experience, I specialize in modern, scalable web applications.',
+            approach: 'My focus is on writing clean code, following best practices and designing intuitive user interfaces that deliver outstanding experiences.',
+            outside: 'When I am not coding, I enjoy learning new technologies, contributing to open source projects and sharing knowledge with the developer community.',
+            cards: {
+                focus: { title: 'Focus', description: 'Results-driven development with attention to detail and continuous optimization.' },
+                innovation: { title: 'Innovation', description: 'Always exploring new technologies and methodologies to improve the process.' },
+                collaboration: { title: 'Collaboration', description: 'Effective teamwork with clear, transparent communication on every project.' }
+            }
+        },
+        notFound: {
+            title: 'Page not found',
+            nothingAt: 'There is nothing at',
+            suggestions: 'Were you looking for...?',
+            backHome: 'Back to home'
+        },
+        skills: {
+            tools: 'Tools'
+        },
+        portfolio: {
+            filters: {
+                all: 'All',
+                web: 'Web Apps',
+                mobile: 'Mobile',
+                design: 'UI/UX'
+            },
+            viewDetails: 'View Details',
+            viewDemo: 'View Demo'
+        },
+        modal: {
+            loadError: 'The full case study could not be loaded.',
+            retry: 'Retry',
+            client: 'Client:',
+            duration: 'Duration:',
+            year: 'Year:',
+            technologies: 'Technologies Used:',
+            features: 'Key Features:',
+            demo: 'View Demo',
+            code: 'View Code'
+        },
+        contact: {
+            mailSubject: 'Contact from {site}',
+            info: {
+                heading: 'Ready to work together?',
+                description: 'I am available for new projects and collaborations. Whether you need a complete web application, an optimization of your current site or technical consulting, I will be glad to help you bring your ideas to life.',
+                email: 'Email',
+                phone: 'Phone',
+                location: 'Location',
+                availability: 'Availability'
+            },
+            form: {
+                name: 'Name *',
+                namePlaceholder: 'Your full name',
+                email: 'Email *',
+                emailPlaceholder: 'you@email.com',
+                subject: 'Subject',
+                subjectPlaceholder: 'Choose a topic',
+                subjectProject: 'New Project',
+                subjectConsulting: 'Consulting',
+                subjectCollaboration: 'Collaboration',
+                subjectOther: 'Other',
+                projectType: 'Project type *',
+                projectTypeWeb: 'Website',
+                projectTypeApp: 'Mobile app',
+                projectTypeEcommerce: 'Online store',
+                projectTypeOther: 'Other',
+                budget: 'Budget',
+                budgetPlaceholder: 'Choose a range',
+                budgetSmall: 'Under €3,000',
+                budgetMedium: '€3,000 – €10,000',
+                budgetLarge: 'Over €10,000',
+                budgetUnknown: 'Not sure yet',
+                timeline: 'Timeline',
+                timelinePlaceholder: 'Choose a timeline',
+                timelineAsap: 'As soon as possible',
+                timelineShort: 'Within 1–3 months',
+                timelineMedium: 'Within 3–6 months',
+                timelineFlexible: 'No rush',
+                message: 'Message *',
+                messagePlaceholder: 'Tell me about your project or question...',
+                privacy: 'I accept the privacy policy and the processing of my data',
+                submit: 'Send Message',
+                sending: 'Sending...',
+                honeypot: 'Leave this field empty',
+                attachments: 'Attachments',
+                attachmentsHint: 'Drop your files here or click to choose them'
+            },
+            errors: {
+                name: {
+                    required: 'Your name is required',
+                    minLength: {
+                        one: 'Your name must be at least {count} character long',
+                        other: 'Your name must be at least {count} characters long'
+                    },
+                    maxLength: 'Your name cannot exceed {count} characters',
+                    pattern: 'Your name can only contain letters and spaces'
+                },
+                email: {
+                    required: 'Your email is required',
+                    pattern: 'Please enter a valid email',
+                    remote: 'This domain does not seem to receive email'
+                },
+                subject: {
+                    maxLength: 'The subject cannot exceed {count} characters'
+                },
+                projectType: {
+                    required: 'Choose a project type'
+                },
+                message: {
+                    required: 'A message is required',
+                    minLength: {
+                        one: 'The message must be at least {count} character long',
+                        other: 'The message must be at least {count} characters long'
+                    },
+                    maxLength: 'The message cannot exceed {count} characters'
+                },
+                privacy: {
+                    required: 'You must accept the privacy policy'
+                }
+            },
+            wizard: {
+                steps: {
+                    project: 'Your project',
+                    budget: 'Budget and timeline',
+                    details: 'Your details'
+                },
+                review: 'Review and send',
+                back: 'Back',
+                next: 'Next',
+                edit: 'Edit',
+                stepOf: 'Step {current} of {total}',
+                yes: 'Yes',
+                attachments: 'Attachments',
+                call: 'Call'
+            },
+            characterCount: '{current}/{max}',
+            fixErrors: {
+                one: 'Please fix the error before sending',
+                other: 'Please fix the {count} errors before sending'
+            },
+            success: 'Message sent! I\'ll get back to you soon.',
+            failure: 'The message could not be sent. Please try again.',
+            connectionError: 'Connection error. Please try again.',
+            timeout: 'The server is taking too long. Please try again.',
+            tooFast: 'Please wait {seconds} seconds and send it again.',
+            rateLimited: 'You\'ve sent several messages recently. Please try again later.',
+            mailtoOpened: 'Your mail client has opened with the message ready to send.',
+            queued: 'Message queued: it will be sent automatically when you\'re back online.',
+            queuedSent: 'Your pending message has been sent!',
+            queuedFailed: {
+                form: 'Your pending message couldn\'t be sent. It\'s back in the form: check it and send it again.',
+                draft: 'Your pending message couldn\'t be sent. It\'s in your drafts so you can check it and send it again.',
+                lost: 'Your pending message couldn\'t be sent. Please write it again or contact me by email.'
+            },
+            validating: 'Checking…',
+            drafts: {
+                prompt: {
+                    one: 'Restore your unsent message?',
+                    other: 'You have {count} unsent messages. Restore one?'
+                },
+                savedAt: 'Saved {time}',
+                restore: 'Restore',
+                discard: 'Discard',
+                discardCurrent: 'Discard draft',
+                discarded: 'Draft discarded',
+                unavailable: 'That draft can no longer be restored',
+                note: 'Drafts are encrypted and kept on this device only.'
+            },
+            scheduler: {
+                title: 'Prefer a call? (optional)',
+                hint: 'Pick a slot and I\'ll confirm by email. Times are in your timezone ({zone}).',
+                empty: 'No free slots right now. Tell me when suits you in the message.',
+                days: 'Available days',
+                slots: 'Available times',
+                ownerTime: 'My time: {time}',
+                selected: 'Proposed call: {date} ({relative})',
+                download: 'Download invite (.ics)',
+                clear: 'Remove',
+                eventTitle: 'Call with {name}',
+                eventDescription: 'Call proposed from {url}. Awaiting confirmation.',
+                location: 'Video call (I\'ll send you the link)',
+                fileName: 'call.ics'
+            },
+            fileTooLarge: '{name} is too large. Maximum {size}.',
+            fileTypeNotAllowed: '{name} is not an allowed file. Valid formats: {types}',
+            attachments: {
+                limits: '{types} · up to {size} per file',
+                tooMany: {
+                    one: 'You can attach up to {count} file',
+                    other: 'You can attach up to {count} files'
+                },
+                duplicate: '{name} is already attached',
+                remove: 'Remove {name}'
+            }
+        },
+        footer: {
+            description: 'Full Stack Developer passionate about building outstanding digital experiences.',
+            navigation: 'Navigation',
+            services: 'Services',
+            contact: 'Contact',
+            webDevelopment: 'Web Development',
+            spa: 'Single Page Applications',
+            apis: 'REST APIs',
+            consulting: 'Technical Consulting',
+            seo: 'SEO Optimization',
+            rights: 'All rights reserved.'
+        },
+        profile: {
+            role: 'Full Stack Developer',
+            description: 'Full Stack Developer specialized in modern web applications with JavaScript, React, Node.js and frontend/backend technologies',
+            location: 'Spain',
+            availability: 'Mon - Fri, 9:00 - 18:00'
+        },
+        projects: {
+            ecommercePlatform: {
+                summary: 'Complete e-commerce platform with an admin panel.',
+                description: 'Complete e-commerce platform with an admin panel, inventory management, payment processing and real-time analytics.',
+                duration: '4 months',
+                features: {
+                    auth: 'Authentication and authorization',
+                    cart: 'Persistent shopping cart',
+                    payments: 'Payment processing with Stripe',
+                    admin: 'Complete admin panel',
+                    analytics: 'Real-time analytics and reports',
+                    responsive: 'Mobile-first responsive design'
+                }
+            },
+            taskManagementApp: {
+                summary: 'Task management app with real-time collaboration.',
+                description: 'Task management app with real-time collaboration, push notifications and cross-platform sync.',
+                duration: '3 months',
+                features: {
+                    realtime: 'Real-time collaboration',
+                    push: 'Push notifications',
+                    dragDrop: 'Drag & drop interface',
+                    offline: 'Offline functionality',
+                    teams: 'Team management',
+                    timeTracking: 'Time tracking'
+                }
+            },
+            weatherApp: {
+                summary: 'Weather app with geolocation and detailed forecasts.',
+                description: 'Weather app with geolocation, detailed forecasts, interactive maps and severe weather alerts.',
+                client: 'Personal project',
+                duration: '2 months',
+                features: {
+                    geolocation: 'Automatic geolocation',
+                    forecast: '7-day forecasts',
+                    maps: 'Interactive maps',
+                    alerts: 'Severe weather alerts',
+                    locations: 'Multiple locations',
+                    widgets: 'Customizable widgets'
+                }
+            },
+            brandIdentity: {
+                summary: 'Complete visual identity for a tech startup.',
+                description: 'Complete visual identity for a tech startup, including logo, color palette, typography and guidelines.',
+                duration: '6 weeks',
+                features: {
+                    research: 'Market research',
+                    logo: 'Logo design',
+                    palette: 'Color palette',
+                    typography: 'Typography selection',
+                    guidelines: 'Brand guidelines',
+                    applications: 'Brand applications'
+                }
+            }
+        },
+        experience: {
+            seniorFullStack: {
+                title: 'Senior Full Stack Developer',
+                period: '2022 - Present',
+                description: 'Technical leadership on large-scale projects, scalable architectures and mentoring of junior developers.',
+                microservices: 'Microservices with Node.js and Docker',
+                cicd: 'CI/CD pipeline that cut deployment time by 60%',
+                team: 'Led a team of 5 developers'
+            },
+            frontend: {
+                title: 'Frontend Developer',
+                period: '2021 - 2022',
+                description: 'Modern, responsive interfaces for corporate clients, with performance and UX optimization.',
+                frameworks: 'Development with React, Vue.js and vanilla JavaScript',
+                seo: 'SEO work that improved rankings by 40%',
+                pwa: 'Progressive Web Apps'
+            },
+            juniorWeb: {
+                title: 'Junior Web Developer',
+                period: '2020 - 2021',
+                description: 'Complete web applications, from concept to deployment and maintenance.',
+                mern: 'Full-stack development with the MERN stack',
+                apis: 'Integration of third-party APIs and services',
+                agile: 'Agile collaboration with cross-functional teams'
+            },
+            degree: {
+                title: 'Systems Engineering',
+                period: '2016 - 2020',
+                description: 'Solid grounding in programming fundamentals, algorithms, data structures and software architecture.',
+                specialization: 'Specialization in Web Development',
+                thesis: 'Final project: e-learning platform',
+                grades: 'Grade average: 9.2/10'
+            }
+        },
+        meta: {
+            home: {
+                title: '{site} | {role} | JavaScript, React, Node.js',
+                description: 'Professional portfolio of {name} - {description}'
+            },
+            about: {
+                title: 'About me | {site}',
+                description: 'Meet {name}, {role}: background, way of working and completed projects.'
+            },
+            skills: {
+                title: 'Skills | {site}',
+                description: 'Frontend and backend technologies, tools and my level of experience in each.'
+            },
+            portfolio: {
+                title: 'Portfolio | {site}',
+                description: 'Web, mobile and design projects built by {name}.'
+            },
+            experience: {
+                title: 'Experience | {site}',
+                description: 'Professional experience and education.'
+            },
+            contact: {
+                title: 'Contact | {site}',
+                description: 'Have a project in mind? Get in touch with {name}.'
+            },
+            project: {
+                title: '{project} | {site}',
+                unknownTitle: 'Project | {site}',
+                unknownDescription: 'Case study by {name}.'
+            },
+            notFound: {
+                title: 'Page not found | {site}',
+                description: 'The page you are looking for does not exist or has moved.'
+            }
+        },
+        validation: {
+            required: 'This field is required',
+            minLength: {
+                one: 'Minimum length is {count} character',
+                other: 'Minimum length is {count} characters'
+            },
+            maxLength: {
+                one: 'Maximum length is {count} character',
+                other: 'Maximum length is {count} characters'
+            },
+            pattern: 'Invalid format',
+            email: 'Invalid email address',
+            url: 'Invalid URL',
+            number: 'Must be a number',
+            min: 'Minimum value is {min}',
+            max: 'Maximum value is {max}',
+            invalid: 'Invalid value'
+        }
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { messages };
+}
+
+// Export for ES6 modules
+export { messages };
+
+/*
+===============================================
+END MESSAGES.JS
+UI message catalogs with:
+- Spanish (source) and English strings
+- Navigation, hero, section and modal copy
+- Project, experience and profile text, page titles and meta descriptions
+- Contact form labels and validation messages
+- Plural forms and typed phrases
+===============================================
+*/
@@ -7,23 +7,43 @@ Ultra-modern client-side routing for Single Page Application
 
 /**
  * Router Class
- * Handles client-side routing with hash-based navigation
+ * Handles client-side routing with hash-based or History API navigation
  */
 class Router {
     constructor(options = {}) {
         this.routes = new Map();
+        this.redirects = [];
+        this.maxRedirects = 10;
         this.currentRoute = null;
+        this.currentMatch = null;
         this.previousRoute = null;
         this.isNavigating = false;
+        this.locale = null;
+        
+        // Navigation queue: the latest pending navigation and the promise chain it waits on
+        this.pendingNavigation = null;
+        this.navigationQueue = Promise.resolve();
         
         // Configuration
         this.config = {
             hashPrefix: '#',
+            mode: 'hash', // 'hash' (#portfolio) or 'history' (/portfolio)
+            base: '/', // Base path the site is served from in history mode
+            redirectKey: 'router:redirect', // sessionStorage key written by 404.html
             defaultRoute: 'home',
+            notFoundRoute: null, // Route rendered for unknown paths (fuzzy redirect when unset)
+            suggestionPaths: [], // Extra concrete paths offered as "did you mean" suggestions
             scrollOffset: 70, // Header height offset
             animationDuration: 600,
             enableTransitions: true,
+            enableViewTransitions: true, // Use document.startViewTransition when supported
             enableAnalytics: false,
+            restoreScroll: true, // Restore exact scroll positions on back/forward
+            enablePrefetch: true, // Prefetch route modules and assets on hover, focus and viewport
+            prefetchTimeout: 2000, // Max wait (ms) for an idle period before a prefetch runs anyway
+            locales: [], // Locale prefixes (`['es', 'en']` → /es/portfolio), none when empty
+            defaultLocale: null, // Locale for visitors with no saved or matching browser language
+            localeKey: 'router:locale', // localStorage key remembering the chosen locale
             ...options
         };
         
@@ -41,10 +61,26 @@ class Router {
         // Performance tracking
         this.navigationMetrics = new Map();
         
+        // Lazy route modules, keyed by `load` factory (shared by nested routes)
+        this.moduleCache = new Map();
+        this.pendingLoads = 0;
+        
+        // Prefetching
+        this.prefetchQueue = [];
+        this.prefetchedPaths = new Set();
+        this.prefetchedAssets = new Set();
+        this.prefetchHandle = null;
+        this.prefetchObserver = null;
+        
+        // Scroll restoration
+        this.scrollSaveTimer = null;
+        
         // Bind methods
         this.handleHashChange = this.handleHashChange.bind(this);
         this.handlePopState = this.handlePopState.bind(this);
         this.handleLinkClick = this.handleLinkClick.bind(this);
+        this.handleLinkIntent = this.handleLinkIntent.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
     }
 
     /**
@@ -60,6 +96,9 @@ class Router {
             // Setup link interception
             this.setupLinkInterception();
             
+            // Setup prefetching of linked routes
+            this.setupPrefetching();
+            
             // Load initial route
             this.loadInitialRoute();
             
@@ -76,130 +115,583 @@ class Router {
 
     /**
      * Add a route to the router
-     * @param {string} path - Route path
-     * @param {Function} handler - Route handler function
+     * @param {string} path - Route path, may contain named params (`portfolio/:id`),
+     *                        optional params (`:id?`) and a trailing wildcard (`*`)
+     * @param {Function} handler - Route handler function, receives `{ params, query }`
      * @param {Object} options - Route options
+     * @param {Array<Object>} [options.children] - Nested routes `{ path, handler, ...options }`
+     *                                            relative to this route
+     * @param {Function} [options.load] - `() => import(...)` factory resolved before the
+     *                                    handler runs; the module is passed as `module`
+     * @param {Array<string>|Function} [options.assets] - Key images to prefetch with the route,
+     *                                                   or `({ params }) => urls`
+     * @param {Array<string>} [options.aliases] - Alternate paths redirected to this route;
+     *                                            nested routes get them as prefixes
+     * @param {Function} [options.beforeEnter] - Guard `(route, router, context)`; return `false`
+     *                                           to cancel or a path to redirect
+     * @param {Object<string, Function>} [options.resolve] - Data loaders `(context) => value`
+     *                                                      run before entering; results are
+     *                                                      merged into `context.data`
      */
     addRoute(path, handler, options = {}) {
         if (typeof path !== 'string' || typeof handler !== 'function') {
             throw new Error('Route path must be string and handler must be function');
         }
         
+        const routePath = this.trimSlashes(path.toLowerCase());
+        const { regex, keys } = this.compilePath(routePath);
+        
         const route = {
-            path: path.toLowerCase(),
+            path: routePath,
             handler,
             title: options.title || this.formatTitle(path),
             meta: options.meta || {},
             beforeEnter: options.beforeEnter || null,
             afterEnter: options.afterEnter || null,
             data: options.data || {},
+            resolve: options.resolve || null,
             cache: options.cache !== false,
-            transition: options.transition || 'fade'
+            transition: options.transition || 'fade',
+            load: options.load || null,
+            assets: options.assets || [],
+            section: options.section || null,
+            parent: options.parent || null,
+            aliases: (options.aliases || []).map(alias => this.trimSlashes(alias.toLowerCase())),
+            children: [],
+            regex,
+            keys
         };
         
-        this.routes.set(path.toLowerCase(), route);
+        this.routes.set(routePath, route);
+        
+        // Aliases keep the params: `projects/:slug` → `portfolio/:slug`
+        route.aliases.forEach(alias => this.addRedirect(alias, routePath));
+        
+        // Register nested routes below this one
+        if (Array.isArray(options.children)) {
+            options.children.forEach(child => {
+                const { path: childPath, handler: childHandler, aliases: childAliases = [], ...childOptions } = child;
+                const relativePath = this.trimSlashes(childPath);
+                const fullPath = `${routePath}/${relativePath}`;
+                
+                this.addRoute(fullPath, childHandler || handler, {
+                    section: route.section,
+                    transition: route.transition,
+                    load: route.load,
+                    ...childOptions,
+                    aliases: [
+                        ...route.aliases.map(alias => `${alias}/${relativePath}`),
+                        ...childAliases.map(alias => `${routePath}/${this.trimSlashes(alias)}`)
+                    ],
+                    parent: routePath
+                });
+                route.children.push(this.trimSlashes(fullPath.toLowerCase()));
+            });
+        }
         
         console.log(`📍 Route added: ${path}`);
         return this;
     }
 
     /**
-     * Remove a route from the router
+     * Remove a route (and its nested routes) from the router
      * @param {string} path - Route path to remove
      */
     removeRoute(path) {
-        const removed = this.routes.delete(path.toLowerCase());
+        const routePath = this.trimSlashes(path.toLowerCase());
+        const route = this.routes.get(routePath);
+        
+        if (route) {
+            route.children.forEach(childPath => this.removeRoute(childPath));
+        }
+        
+        const removed = this.routes.delete(routePath);
         if (removed) {
             console.log(`🗑️ Route removed: ${path}`);
         }
         return removed;
     }
 
+    /**
+     * Register a redirect, checked before the route table
+     * @param {string} from - Path pattern, may contain params (`projects/:slug`)
+     * @param {string|Function} to - Target path using the same params, or `({ params, query }) => path`
+     */
+    addRedirect(from, to) {
+        const path = this.trimSlashes(from.toLowerCase());
+        const { regex, keys } = this.compilePath(path);
+        
+        this.redirects = this.redirects.filter(redirect => redirect.path !== path);
+        this.redirects.push({ path, to, regex, keys });
+        
+        console.log(`↪️ Redirect added: ${from} → ${typeof to === 'function' ? 'ƒ' : to}`);
+        return this;
+    }
+
+    /**
+     * Follow redirects for a path
+     * @param {string} path - Requested path (query string allowed)
+     * @returns {?string} - Final target path, or null when the path isn't redirected
+     */
+    resolveRedirect(path) {
+        let target = null;
+        
+        for (let hops = 0; hops < this.maxRedirects; hops++) {
+            const next = this.matchRedirect(target || path);
+            if (next === null) {
+                return target;
+            }
+            target = next;
+        }
+        
+        console.warn(`Too many redirects for ${path}`);
+        return null;
+    }
+
+    /**
+     * Target of the first redirect matching a path, the query string is carried over
+     * @returns {?string}
+     */
+    matchRedirect(path) {
+        const { pathname, query, search } = this.parsePath(path);
+        
+        for (const redirect of this.redirects) {
+            const params = this.execPattern(redirect, pathname);
+            if (!params) continue;
+            
+            const target = typeof redirect.to === 'function'
+                ? redirect.to({ params, query })
+                : redirect.to.replace(/:([\w-]+)\??/g, (_, key) => encodeURIComponent(params[key] || ''));
+            const { pathname: targetPath, search: targetSearch } = this.parsePath(target);
+            const targetQuery = targetSearch || search;
+            
+            return targetQuery ? `${targetPath}?${targetQuery}` : targetPath;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Continue a navigation at another path (redirects, aliases and guard results)
+     * Redirecting to `notFoundRoute` renders it under the requested URL
+     */
+    redirectNavigation(from, to, options, navigation) {
+        const redirectCount = (options.redirectCount || 0) + 1;
+        if (redirectCount > this.maxRedirects) {
+            throw new Error(`Too many redirects for ${from}`);
+        }
+        
+        if (to === this.config.notFoundRoute) {
+            return this.handleNotFound(from, { ...options, redirectCount }, navigation);
+        }
+        
+        console.log(`↪️ Redirecting ${from} → ${to}`);
+        this.dispatchEvent('router:redirected', { from, to });
+        
+        // The address bar already shows the old path on load and back/forward
+        return this.runNavigation(to, {
+            ...options,
+            redirectCount,
+            replace: options.replace || options.fromHashChange || options.fromPopState,
+            fromHashChange: false,
+            fromPopState: false
+        }, navigation);
+    }
+
+    /**
+     * Separate a locale prefix from a path
+     * @param {string} path - Path such as `en/portfolio?filter=web`
+     * @returns {{locale: ?string, path: string}} - Locale (null when absent) and the rest of the path
+     */
+    splitLocale(path = '') {
+        const match = /^\/*([a-z]{2}(?:-[a-z]{2})?)(?=\/|\?|$)\/*(.*)$/i.exec(path.trim());
+        const locale = match?.[1].toLowerCase();
+        
+        if (locale && this.config.locales.includes(locale)) {
+            return { locale, path: match[2] };
+        }
+        
+        return { locale: null, path };
+    }
+
+    /**
+     * Whether a path (locale prefix allowed) is the route currently shown
+     */
+    isCurrentPath(path) {
+        const { locale } = this.splitLocale(path);
+        const { pathname, search } = this.parsePath(path);
+        const fullPath = search ? `${pathname}?${search}` : pathname;
+        
+        return fullPath === this.currentRoute && (!locale || locale === this.locale);
+    }
+
+    /**
+     * Current locale, or the one detected for a first visit
+     * @returns {?string} - null when the router has no locales
+     */
+    getLocale() {
+        return this.locale || this.detectLocale();
+    }
+
+    /**
+     * Saved choice first, then the browser languages, then `defaultLocale`
+     */
+    detectLocale() {
+        const { locales, defaultLocale, localeKey } = this.config;
+        if (locales.length === 0) return null;
+        
+        try {
+            const saved = localStorage.getItem(localeKey);
+            if (locales.includes(saved)) {
+                return saved;
+            }
+        } catch {
+            // Storage unavailable (privacy mode): fall through to detection
+        }
+        
+        const preferred = (navigator.languages || [navigator.language])
+            .map(language => String(language || '').slice(0, 2).toLowerCase())
+            .find(language => locales.includes(language));
+        
+        return preferred || defaultLocale || locales[0];
+    }
+
+    /**
+     * Apply and remember a locale: `<html lang>`, storage and `router:locale-changed`
+     */
+    setLocale(locale) {
+        if (!locale || locale === this.locale) return;
+        
+        const previous = this.locale;
+        this.locale = locale;
+        document.documentElement.setAttribute('lang', locale);
+        
+        try {
+            localStorage.setItem(this.config.localeKey, locale);
+        } catch {
+            // Not remembered, the URL prefix still carries it
+        }
+        
+        console.log(`🌐 Locale: ${locale}`);
+        this.dispatchEvent('router:locale-changed', { locale, previous });
+    }
+
+    /**
+     * Switch language, staying on the current route
+     * @param {string} locale - One of `config.locales`
+     * @returns {Promise<boolean>} - Whether the navigation completed
+     */
+    changeLocale(locale) {
+        if (!this.config.locales.includes(locale)) {
+            return Promise.resolve(false);
+        }
+        
+        return this.navigate(`${locale}/${this.currentRoute || this.config.defaultRoute}`);
+    }
+
+    /**
+     * Compile a route path into a matching regular expression
+     * @param {string} path - Route path pattern
+     * @returns {{regex: RegExp, keys: string[]}}
+     */
+    compilePath(path) {
+        const keys = [];
+        
+        const pattern = path.split('/').filter(Boolean).map(segment => {
+            if (segment === '*') {
+                keys.push('wildcard');
+                return '(?:/(.*))?';
+            }
+            
+            if (segment.startsWith(':')) {
+                const optional = segment.endsWith('?');
+                keys.push(segment.slice(1, optional ? -1 : undefined));
+                return optional ? '(?:/([^/]+))?' : '/([^/]+)';
+            }
+            
+            return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        
+        return { regex: new RegExp(`^${pattern}/?$`, 'i'), keys };
+    }
+
+    /**
+     * Split a path into pathname and parsed query
+     * @param {string} path - Path such as `portfolio/3?filter=web` or `en/portfolio`
+     * @returns {{pathname: string, query: Object, search: string}}
+     */
+    parsePath(path) {
+        const [rawPathname, ...rest] = (path || '').split('?');
+        const search = rest.join('?');
+        
+        return {
+            // Locale prefixes aren't part of route paths
+            pathname: this.normalizePath(this.splitLocale(rawPathname).path),
+            query: this.parseQuery(search),
+            search
+        };
+    }
+
+    /**
+     * Parse a query string into an object (repeated keys become arrays)
+     * @param {string} search - Query string without leading `?`
+     * @returns {Object}
+     */
+    parseQuery(search) {
+        const query = {};
+        
+        for (const [key, value] of new URLSearchParams(search).entries()) {
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        }
+        
+        return query;
+    }
+
+    /**
+     * Find the route matching a path
+     * @param {string} path - Path to match (query string allowed)
+     * @returns {?{route: Object, params: Object, query: Object, path: string, fullPath: string}}
+     */
+    matchRoute(path) {
+        const { pathname, query, search } = this.parsePath(path);
+        const fullPath = search ? `${pathname}?${search}` : pathname;
+        
+        // Static routes win over patterns
+        const staticRoute = this.routes.get(pathname);
+        if (staticRoute && staticRoute.keys.length === 0) {
+            return { route: staticRoute, params: {}, query, path: pathname, fullPath };
+        }
+        
+        for (const route of this.routes.values()) {
+            if (route.keys.length === 0) continue;
+            
+            const params = this.execPattern(route, pathname);
+            if (params) {
+                return { route, params, query, path: pathname, fullPath };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * Match a pathname against a compiled route or redirect
+     * @returns {?Object} - Decoded params, or null when it doesn't match
+     */
+    execPattern({ regex, keys }, pathname) {
+        const match = regex.exec(`/${pathname}`);
+        if (!match) return null;
+        
+        const params = {};
+        keys.forEach((key, index) => {
+            const value = match[index + 1];
+            if (value !== undefined) {
+                params[key] = decodeURIComponent(value);
+            }
+        });
+        
+        return params;
+    }
+
     /**
      * Navigate to a specific route
+     * Navigations run one at a time and the latest intent wins: a new call
+     * cancels the one waiting or still resolving, which resolves to `false`
      * @param {string} path - Target route path
      * @param {Object} options - Navigation options
+     * @returns {Promise<boolean>} - Whether the navigation completed
+     */
+    navigate(path, options = {}) {
+        this.cancelNavigation('superseded', path);
+        
+        const navigation = { path, controller: new AbortController(), committed: false };
+        this.pendingNavigation = navigation;
+        
+        // Wait for the navigation in flight to settle before starting this one
+        const result = this.navigationQueue.then(() => this.runNavigation(path, options, navigation));
+        this.navigationQueue = result.catch(() => {});
+        
+        return result;
+    }
+
+    /**
+     * Cancel the pending navigation before it changes the URL
+     * Its guards and listeners see `context.signal` abort
+     * @param {string} reason - Why it was cancelled ('superseded', 'cleanup'...)
+     * @param {?string} next - Path of the navigation replacing it
+     * @returns {boolean} - Whether a navigation was cancelled
      */
-    async navigate(path, options = {}) {
-        if (this.isNavigating) {
-            console.warn('Navigation already in progress, ignoring duplicate request');
+    cancelNavigation(reason = 'cancelled', next = null) {
+        const navigation = this.pendingNavigation;
+        if (!navigation || navigation.committed) {
             return false;
         }
+        
+        this.pendingNavigation = null;
+        navigation.controller.abort();
+        
+        console.log(`⏹️ Navigation cancelled: ${navigation.path} (${reason})`);
+        this.dispatchEvent('router:navigation-cancelled', {
+            path: navigation.path,
+            reason,
+            next
+        });
+        
+        return true;
+    }
 
+    /**
+     * Run a queued navigation
+     * Checks its signal after every async step until the URL is committed
+     */
+    async runNavigation(path, options, navigation) {
+        const { signal } = navigation.controller;
+        if (signal.aborted) {
+            return false;
+        }
+        
         const startTime = performance.now();
         this.isNavigating = true;
         
         try {
-            const normalizedPath = this.normalizePath(path);
-            const route = this.routes.get(normalizedPath);
+            // Locale prefix (`en/portfolio`), otherwise stay in the current locale
+            const locale = this.splitLocale(path).locale || options.locale || this.getLocale();
+            options = { ...options, locale };
             
-            if (!route) {
+            // Declarative redirects and aliases (`projects` → `portfolio`)
+            const redirectPath = this.resolveRedirect(path);
+            if (redirectPath) {
+                return await this.redirectNavigation(path, redirectPath, options, navigation);
+            }
+            
+            let match = this.matchRoute(path);
+            
+            if (!match) {
                 console.warn(`Route not found: ${path}`);
-                return this.handleNotFound(path);
+                return await this.handleNotFound(path, options, navigation);
+            }
+            
+            // The not-found route renders under the requested URL
+            if (options.notFound) {
+                match = { ...match, path: options.notFound.path, fullPath: options.notFound.fullPath };
             }
             
+            const { route } = match;
+            const normalizedPath = match.fullPath;
+            const context = {
+                params: match.params,
+                query: match.query,
+                path: match.path,
+                route,
+                // Static route data, plus the values of its `resolve` functions
+                data: { ...route.data },
+                // `{ path, fullPath, suggestions }` when rendering the not-found route
+                notFound: options.notFound || null,
+                // Aborted when a newer navigation supersedes this one
+                signal,
+                // Saved position when coming back through history, null on fresh navigations
+                scrollPosition: options.scrollPosition || null
+            };
+            
             // Check if same route
-            if (this.currentRoute === normalizedPath && !options.force) {
+            if (this.currentRoute === normalizedPath && locale === this.locale && !options.force) {
+                // A superseded back/forward left the address bar on its entry: show this route's URL again
+                if (!this.isCurrentPath(this.getPathFromURL() || this.config.defaultRoute)) {
+                    this.updateURL(normalizedPath, { replace: true });
+                }
+                
                 console.log('Already on target route, skipping navigation');
-                this.isNavigating = false;
                 return true;
             }
             
-            // Store previous route
-            this.previousRoute = this.currentRoute;
-            
             // Run beforeRoute listeners
-            const beforeResult = await this.runBeforeListeners(normalizedPath, route);
-            if (beforeResult === false) {
-                this.isNavigating = false;
+            const beforeResult = await this.runBeforeListeners(normalizedPath, route, context);
+            if (beforeResult === false || signal.aborted) {
                 return false;
             }
+            if (typeof beforeResult === 'string') {
+                return await this.redirectNavigation(path, beforeResult, options, navigation);
+            }
             
             // Run route-specific beforeEnter guard
             if (route.beforeEnter) {
-                const guardResult = await this.runGuard(route.beforeEnter, route);
-                if (guardResult === false) {
-                    this.isNavigating = false;
+                const guardResult = await this.runGuard(route.beforeEnter, route, context);
+                if (guardResult === false || signal.aborted) {
                     return false;
                 }
+                if (typeof guardResult === 'string') {
+                    return await this.redirectNavigation(path, guardResult, options, navigation);
+                }
+            }
+            
+            // Resolve the route's component module and data before the handler runs
+            // (outside the transition, so the page isn't frozen while they download)
+            const [module, resolved] = await Promise.all([
+                this.loadRoute(route),
+                this.resolveData(route, context)
+            ]);
+            if (signal.aborted) {
+                return false;
             }
             
-            // Update URL if not from hash change
-            if (!options.fromHashChange) {
-                this.updateURL(normalizedPath);
+            context.module = module;
+            Object.assign(context.data, resolved.data);
+            // Handlers render their own error state when a resolver failed
+            context.error = resolved.error;
+            
+            // From here on the navigation is committed and runs to completion
+            navigation.committed = true;
+            
+            // Store previous route
+            this.previousRoute = this.currentRoute;
+            const previousMatch = this.currentMatch;
+            
+            // Before the URL is built, which carries the locale prefix
+            this.setLocale(locale);
+            
+            // Update URL if not from hash change or browser navigation
+            if (!options.fromHashChange && !options.fromPopState) {
+                this.updateURL(normalizedPath, { replace: options.replace });
             }
             
             // Update current route
             this.currentRoute = normalizedPath;
+            this.currentMatch = match;
             
             // Add to history
             this.addToHistory(normalizedPath, route);
             
+            // Render the new route: handler, meta and navigation state
+            const render = async () => {
+                await this.executeRoute(route, context);
+                this.updatePageMeta(route, match);
+                this.updateNavigationState(match.path);
+            };
+            
             // Handle page transition
             if (this.config.enableTransitions && !options.skipTransition) {
-                await this.handleTransition(route);
+                await this.handleTransition(route, render, { from: previousMatch, to: match });
+            } else {
+                await render();
             }
             
-            // Execute route handler
-            await this.executeRoute(route);
-            
-            // Update page title and meta
-            this.updatePageMeta(route);
-            
-            // Update navigation state
-            this.updateNavigationState(normalizedPath);
-            
-            // Scroll to section
-            if (!options.skipScroll) {
-                this.scrollToSection(normalizedPath);
+            // Restore the saved position on back/forward, otherwise scroll to the section
+            if (context.scrollPosition) {
+                this.restoreScrollPosition(context.scrollPosition);
+            } else if (!options.skipScroll && !this.isNestedTransition(previousMatch, match)) {
+                this.scrollToSection(this.getSectionId(match));
             }
             
             // Run afterRoute listeners
-            await this.runAfterListeners(normalizedPath, route);
+            await this.runAfterListeners(normalizedPath, route, context);
             
             // Run route-specific afterEnter hook
             if (route.afterEnter) {
-                await this.runGuard(route.afterEnter, route);
+                await this.runGuard(route.afterEnter, route, context);
             }
             
             // Track performance
@@ -217,6 +709,9 @@ class Router {
             this.dispatchEvent('router:navigated', {
                 from: this.previousRoute,
                 to: normalizedPath,
+                section: this.getSectionId(match),
+                params: match.params,
+                query: match.query,
                 route: route
             });
             
@@ -228,6 +723,9 @@ class Router {
             return false;
         } finally {
             this.isNavigating = false;
+            if (this.pendingNavigation === navigation) {
+                this.pendingNavigation = null;
+            }
         }
     }
 
@@ -235,18 +733,10 @@ class Router {
      * Go back in history
      */
     back() {
-        if (this.history.length > 1) {
+        // Go through the browser history so popstate restores the scroll position
+        if (this.history.length > 1 && window.history.length > 1) {
             // Remove current route from history
             this.history.pop();
-            // Get previous route
-            const previousRoute = this.history[this.history.length - 1];
-            if (previousRoute) {
-                return this.navigate(previousRoute.path, { skipHistory: true });
-            }
-        }
-        
-        // Fallback to browser back
-        if (window.history.length > 1) {
             window.history.back();
             return true;
         }
@@ -277,7 +767,9 @@ class Router {
     getCurrentRoute() {
         return {
             path: this.currentRoute,
-            route: this.routes.get(this.currentRoute),
+            route: this.currentMatch?.route,
+            params: this.currentMatch?.params || {},
+            query: this.currentMatch?.query || {},
             previous: this.previousRoute,
             history: [...this.history]
         };
@@ -288,7 +780,15 @@ class Router {
      * @param {string} path - Route path to check
      */
     hasRoute(path) {
-        return this.routes.has(this.normalizePath(path));
+        return this.matchRoute(path) !== null || this.matchRedirect(path) !== null;
+    }
+
+    /**
+     * Check if a hash names an element on the page rather than a route
+     * @param {string} path - Hash without `#`
+     */
+    isInPageAnchor(path) {
+        return !this.hasRoute(path) && document.getElementById(path) !== null;
     }
 
     /**
@@ -333,12 +833,23 @@ class Router {
      * Setup event listeners
      */
     setupEventListeners() {
-        // Hash change event
-        window.addEventListener('hashchange', this.handleHashChange);
+        // Hash change event (hash mode only, history mode owns the path)
+        if (!this.isHistoryMode()) {
+            window.addEventListener('hashchange', this.handleHashChange);
+        }
         
         // Pop state event for browser navigation
         window.addEventListener('popstate', this.handlePopState);
         
+        // Scroll positions are stored per history entry and restored by the router
+        if (this.config.restoreScroll) {
+            if ('scrollRestoration' in window.history) {
+                window.history.scrollRestoration = 'manual';
+            }
+            window.addEventListener('scroll', this.handleScroll, { passive: true });
+            window.addEventListener('pagehide', this.handleScroll);
+        }
+        
         // Page visibility change
         document.addEventListener('visibilitychange', () => {
             if (!document.hidden && this.currentRoute) {
@@ -366,9 +877,20 @@ class Router {
         
         // Check if it's a hash link (internal navigation)
         if (href.startsWith('#')) {
-            event.preventDefault();
             const path = href.substring(1);
-            if (path && this.hasRoute(path)) {
+            
+            // Skip links, #main, footnotes: left to the browser they would
+            // resolve against <base href> and load the site root
+            if (path && this.isInPageAnchor(path)) {
+                event.preventDefault();
+                this.scrollToAnchor(path);
+                return;
+            }
+            
+            event.preventDefault();
+            
+            // Unknown paths end on the not-found view
+            if (path) {
                 this.navigate(path);
             }
             return;
@@ -385,6 +907,139 @@ class Router {
         }
     }
 
+    /**
+     * Setup prefetching on link hover/focus and when links scroll into view
+     */
+    setupPrefetching() {
+        if (!this.config.enablePrefetch || !this.canPrefetch()) return;
+        
+        document.addEventListener('mouseover', this.handleLinkIntent, { passive: true });
+        document.addEventListener('focusin', this.handleLinkIntent);
+        document.addEventListener('touchstart', this.handleLinkIntent, { passive: true });
+        
+        if ('IntersectionObserver' in window) {
+            this.prefetchObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    
+                    this.prefetchObserver.unobserve(entry.target);
+                    this.prefetch(this.getLinkRoute(entry.target));
+                });
+            });
+            
+            this.observePrefetchLinks();
+        }
+    }
+
+    /**
+     * Watch route links for viewport prefetching (call again after rendering new links)
+     * @param {ParentNode} [root=document] - Element to search for links
+     */
+    observePrefetchLinks(root = document) {
+        if (!this.prefetchObserver) return;
+        
+        root.querySelectorAll('a[href], [data-route]').forEach(link => {
+            if (this.getLinkRoute(link)) {
+                this.prefetchObserver.observe(link);
+            }
+        });
+    }
+
+    /**
+     * Hover, focus or touch on a link: prefetch its route ahead of the queue
+     */
+    handleLinkIntent(event) {
+        const link = event.target.closest?.('a[href], [data-route]');
+        if (!link) return;
+        
+        this.prefetch(this.getLinkRoute(link), { priority: 'high' });
+    }
+
+    /**
+     * Route path a link or `[data-route]` element points to
+     */
+    getLinkRoute(link) {
+        const path = link.getAttribute('data-route') || this.extractRouteFromURL(link.getAttribute('href'));
+        return path && this.hasRoute(path) ? path : null;
+    }
+
+    /**
+     * Prefetch a route's component module and key images during idle time
+     * @param {string} path - Route path
+     * @param {Object} options - `{ priority: 'high' }` jumps the idle queue
+     * @returns {boolean} - Whether the route was queued
+     */
+    prefetch(path, options = {}) {
+        if (!path || !this.config.enablePrefetch || !this.canPrefetch()) return false;
+        
+        const match = this.matchRoute(this.resolveRedirect(path) || path);
+        if (!match || this.prefetchedPaths.has(match.path)) return false;
+        
+        this.prefetchedPaths.add(match.path);
+        
+        const task = () => {
+            this.loadRoute(match.route, { background: true });
+            this.prefetchAssets(this.resolveRouteValue(match.route.assets, match) || []);
+        };
+        
+        if (options.priority === 'high') {
+            this.prefetchQueue.unshift(task);
+        } else {
+            this.prefetchQueue.push(task);
+        }
+        
+        this.schedulePrefetch();
+        return true;
+    }
+
+    /**
+     * Hint the browser to fetch images at low priority
+     */
+    prefetchAssets(urls) {
+        urls.forEach(url => {
+            if (!url || this.prefetchedAssets.has(url)) return;
+            this.prefetchedAssets.add(url);
+            
+            const link = document.createElement('link');
+            link.rel = 'prefetch';
+            link.as = 'image';
+            link.href = url;
+            document.head.appendChild(link);
+        });
+    }
+
+    /**
+     * Run queued prefetches when the main thread is idle
+     */
+    schedulePrefetch() {
+        if (this.prefetchHandle !== null || this.prefetchQueue.length === 0) return;
+        
+        const requestIdle = window.requestIdleCallback ||
+            ((callback) => setTimeout(() => callback({ didTimeout: true, timeRemaining: () => 0 }), 1));
+        
+        this.prefetchHandle = requestIdle((deadline) => {
+            this.prefetchHandle = null;
+            
+            // Always run at least one task so a busy page still makes progress
+            do {
+                const task = this.prefetchQueue.shift();
+                task();
+            } while (this.prefetchQueue.length > 0 && deadline.timeRemaining() > 5);
+            
+            this.schedulePrefetch();
+        }, { timeout: this.config.prefetchTimeout });
+    }
+
+    /**
+     * Skip prefetching on data saver or very slow connections
+     */
+    canPrefetch() {
+        const connection = navigator.connection;
+        if (!connection) return true;
+        
+        return !connection.saveData && !/(^|-)2g$/.test(connection.effectiveType || '');
+    }
+
     /**
      * Handle hash change events
      */
@@ -392,7 +1047,10 @@ class Router {
         const hash = window.location.hash;
         const path = hash ? hash.substring(1) : this.config.defaultRoute;
         
-        if (path !== this.currentRoute) {
+        // An in-page anchor moved the hash, not a route
+        if (this.isInPageAnchor(path)) return;
+        
+        if (!this.isCurrentPath(path)) {
             this.navigate(path, { fromHashChange: true });
         }
     }
@@ -402,25 +1060,177 @@ class Router {
      */
     handlePopState(event) {
         const path = this.getPathFromURL();
-        if (path !== this.currentRoute) {
-            this.navigate(path, { fromPopState: true });
+        const scrollPosition = this.config.restoreScroll ? event.state?.scroll : null;
+        
+        // Hash mode: an in-page anchor moved the hash, not a route
+        if (path && this.isInPageAnchor(path)) return;
+        
+        if (!this.isCurrentPath(path)) {
+            this.navigate(path, { fromPopState: true, scrollPosition });
+        } else if (scrollPosition) {
+            // Same route, different entry (e.g. an in-page anchor)
+            this.restoreScrollPosition(scrollPosition);
+        }
+    }
+
+    /**
+     * Save the scroll position shortly after scrolling stops
+     */
+    handleScroll(event) {
+        clearTimeout(this.scrollSaveTimer);
+        
+        if (event?.type === 'pagehide') {
+            this.saveScrollPosition();
+            return;
         }
+        
+        this.scrollSaveTimer = setTimeout(() => this.saveScrollPosition(), 150);
+    }
+
+    /**
+     * Store the current scroll position in the current history entry
+     */
+    saveScrollPosition() {
+        if (!this.config.restoreScroll || !this.currentRoute) return;
+        
+        const state = window.history.state || { route: this.currentRoute };
+        window.history.replaceState({
+            ...state,
+            scroll: { x: window.scrollX, y: window.scrollY }
+        }, '');
+    }
+
+    /**
+     * Jump back to a saved scroll position once the route has rendered
+     */
+    restoreScrollPosition({ x = 0, y = 0 }) {
+        requestAnimationFrame(() => {
+            window.scrollTo({ left: x, top: y, behavior: 'instant' });
+        });
     }
 
     /**
      * Load initial route
      */
     loadInitialRoute() {
-        const initialPath = this.getPathFromURL() || this.config.defaultRoute;
-        this.navigate(initialPath, { initial: true });
+        const redirectPath = this.consumeRedirect();
+        const initialPath = redirectPath || this.getPathFromURL() || this.config.defaultRoute;
+        
+        // A reload keeps history.state, so the reader lands where they were
+        const scrollPosition = this.config.restoreScroll && !redirectPath
+            ? window.history.state?.scroll
+            : null;
+        
+        // Replace so shim redirects and legacy hash URLs don't leave an extra entry
+        this.navigate(initialPath, { initial: true, replace: true, scrollPosition });
+    }
+
+    /**
+     * Read the path saved by the 404.html shim (GitHub Pages deep links)
+     */
+    consumeRedirect() {
+        if (!this.isHistoryMode()) return null;
+        
+        try {
+            const saved = sessionStorage.getItem(this.config.redirectKey);
+            if (!saved) return null;
+            
+            sessionStorage.removeItem(this.config.redirectKey);
+            return this.stripBase(saved);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Load (once) the module declared by a route's `load` factory
+     * @param {Object|string} target - Route object or path
+     * @returns {Promise<?Object>} - The module, or null if the route has none or it failed
+     */
+    async loadRoute(target, options = {}) {
+        const route = typeof target === 'string' ? this.matchRoute(target)?.route : target;
+        if (!route || !route.load) return null;
+        
+        let entry = this.moduleCache.get(route.load);
+        if (entry?.module) {
+            return entry.module;
+        }
+        
+        if (!entry) {
+            entry = { promise: Promise.resolve().then(route.load), module: null };
+            this.moduleCache.set(route.load, entry);
+        }
+        
+        // Prefetches download quietly in the background
+        const showLoading = !options.background;
+        if (showLoading) {
+            this.setLoadingState(route, true);
+        }
+        
+        try {
+            entry.module = await entry.promise;
+            return entry.module;
+        } catch (error) {
+            // Forget the failed import so the next navigation retries
+            this.moduleCache.delete(route.load);
+            console.error(`Failed to load route module: ${route.path}`, error);
+            this.handleError('load', error, route.path);
+            return null;
+        } finally {
+            if (showLoading) {
+                this.setLoadingState(route, false);
+            }
+        }
+    }
+
+    /**
+     * Run a route's `resolve` functions in parallel
+     * @param {Object} route - Route being entered
+     * @param {Object} context - Navigation context (params, query, signal...)
+     * @returns {Promise<{data: Object, error: ?Error}>}
+     */
+    async resolveData(route, context) {
+        const resolvers = Object.entries(route.resolve || {});
+        if (resolvers.length === 0) {
+            return { data: {}, error: null };
+        }
+        
+        this.setLoadingState(route, true);
+        
+        try {
+            const values = await Promise.all(resolvers.map(([, resolver]) => resolver(context)));
+            const data = Object.fromEntries(resolvers.map(([key], index) => [key, values[index]]));
+            return { data, error: null };
+        } catch (error) {
+            // Superseded navigations abort their requests, that's not an error
+            if (!context.signal?.aborted) {
+                console.error(`Failed to resolve route data: ${route.path}`, error);
+                this.handleError('resolve', error, context.path);
+            }
+            return { data: {}, error };
+        } finally {
+            this.setLoadingState(route, false);
+        }
+    }
+
+    /**
+     * Toggle the `route-loading` state while route modules and data download
+     */
+    setLoadingState(route, isLoading) {
+        this.pendingLoads = Math.max(0, this.pendingLoads + (isLoading ? 1 : -1));
+        
+        document.body.classList.toggle('route-loading', this.pendingLoads > 0);
+        document.body.setAttribute('aria-busy', String(this.pendingLoads > 0));
+        
+        this.dispatchEvent(isLoading ? 'router:loading' : 'router:loaded', { path: route.path });
     }
 
     /**
      * Execute route handler
      */
-    async executeRoute(route) {
+    async executeRoute(route, context = {}) {
         try {
-            await route.handler(route);
+            await route.handler({ params: {}, query: {}, ...context, route });
         } catch (error) {
             console.error('Route handler error:', error);
             this.handleError('handler', error, route.path);
@@ -430,47 +1240,187 @@ class Router {
     /**
      * Handle page transitions
      */
-    async handleTransition(route) {
+    async handleTransition(route, update, detail = {}) {
         const transitionType = route.transition || 'fade';
         const duration = this.config.animationDuration;
         
-        // Add transition class to body
+        // No animation at all for users who asked for reduced motion
+        if (this.prefersReducedMotion()) {
+            await update();
+            return;
+        }
+        
+        if (this.config.enableViewTransitions && typeof document.startViewTransition === 'function') {
+            await this.runViewTransition(transitionType, update, detail);
+            return;
+        }
+        
+        // Fallback: class-based transition
         document.body.classList.add(`transition-${transitionType}`);
         
         // Wait for transition
         await this.delay(50);
         
+        await update();
+        
         // Remove transition class
         setTimeout(() => {
             document.body.classList.remove(`transition-${transitionType}`);
         }, duration);
     }
 
+    /**
+     * Cross-fade between routes with the View Transitions API
+     * Elements sharing a `view-transition-name` across the update morph into each other
+     * (e.g. a portfolio card image into the project modal image)
+     */
+    async runViewTransition(transitionType, update, detail) {
+        const root = document.documentElement;
+        root.setAttribute('data-view-transition', transitionType);
+        
+        // Components can name their shared elements before the old state is captured
+        this.dispatchEvent('router:view-transition', { type: transitionType, ...detail });
+        
+        const transition = document.startViewTransition(() => update());
+        
+        // Skipped or aborted animations are not navigation errors
+        transition.ready.catch(() => {});
+        transition.finished
+            .catch(() => {})
+            .finally(() => root.removeAttribute('data-view-transition'));
+        
+        // Resolves once the DOM is updated; errors from the update reach navigate()
+        await transition.updateCallbackDone;
+    }
+
+    /**
+     * Check the user's reduced motion preference
+     */
+    prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
     /**
      * Update page title and meta tags
      */
-    updatePageMeta(route) {
+    updatePageMeta(route, match = null) {
+        const context = match || { params: {}, query: {}, path: route.path };
+        const url = this.getAbsoluteURL(context.path);
+        
         // Update title
-        if (route.title) {
-            document.title = route.title;
+        const title = this.resolveRouteValue(route.title, context);
+        if (title) {
+            document.title = title;
         }
         
-        // Update meta tags
-        if (route.meta) {
-            Object.keys(route.meta).forEach(key => {
-                const metaTag = document.querySelector(`meta[name="${key}"]`);
-                if (metaTag) {
-                    metaTag.setAttribute('content', route.meta[key]);
-                }
-            });
+        // Update meta tags (`og:*` use `property`, everything else `name`)
+        // Structured data builds its URLs from this page's and the site root's
+        const siteUrl = `${window.location.origin}${this.getBasePath()}`;
+        const { jsonLd = null, ...meta } = this.resolveRouteValue(route.meta, { ...context, url, siteUrl }) || {};
+        if (Object.keys(meta).some(key => key.startsWith('og:'))) {
+            meta['og:url'] = url;
         }
+        this.updateMetaTags(meta);
+        
+        // Update structured data
+        this.updateJsonLd(jsonLd);
         
         // Update canonical URL
         const canonicalLink = document.querySelector('link[rel="canonical"]');
         if (canonicalLink) {
-            const baseURL = window.location.origin + window.location.pathname;
-            canonicalLink.setAttribute('href', `${baseURL}#${route.path}`);
+            canonicalLink.setAttribute('href', url);
+        }
+        
+        this.updateAlternateLinks(context.path);
+    }
+
+    /**
+     * Keep `<link rel="alternate" hreflang>` in sync with the current route
+     * `x-default` is the unprefixed URL, which picks a locale on arrival
+     */
+    updateAlternateLinks(path) {
+        document.querySelectorAll('link[rel="alternate"][data-router-meta]').forEach(link => link.remove());
+        
+        if (this.config.locales.length === 0) return;
+        
+        const alternates = this.config.locales.map(locale => [locale, this.getAbsoluteURL(path, locale)]);
+        alternates.push(['x-default', this.getAbsoluteURL(path, null)]);
+        
+        alternates.forEach(([hreflang, href]) => {
+            const link = document.createElement('link');
+            link.setAttribute('rel', 'alternate');
+            link.setAttribute('hreflang', hreflang);
+            link.setAttribute('href', href);
+            link.setAttribute('data-router-meta', '');
+            document.head.appendChild(link);
+        });
+    }
+
+    /**
+     * Resolve a route option that may be a value or a `(context) => value` function
+     * The context carries the active `locale`, for translated titles and meta
+     */
+    resolveRouteValue(value, context) {
+        return typeof value === 'function' ? value({ ...context, locale: this.locale }) : value;
+    }
+
+    /**
+     * Create, update and remove meta tags for the current route
+     * Tags created by the router are marked with `data-router-meta` and removed
+     * when the next route no longer defines them; static tags are only updated
+     */
+    updateMetaTags(meta) {
+        const activeTags = new Set();
+        
+        Object.entries(meta).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '') return;
+            
+            const attribute = key.startsWith('og:') ? 'property' : 'name';
+            let metaTag = document.querySelector(`meta[${attribute}="${key}"]`);
+            
+            if (!metaTag) {
+                metaTag = document.createElement('meta');
+                metaTag.setAttribute(attribute, key);
+                metaTag.setAttribute('data-router-meta', '');
+                document.head.appendChild(metaTag);
+            }
+            
+            // Previews need absolute URLs (og:image, twitter:image...)
+            const content = /:(image|url)$/.test(key)
+                ? new URL(value, document.baseURI).href
+                : String(value);
+            
+            metaTag.setAttribute('content', content);
+            activeTags.add(metaTag);
+        });
+        
+        document.querySelectorAll('meta[data-router-meta]').forEach(metaTag => {
+            if (!activeTags.has(metaTag)) {
+                metaTag.remove();
+            }
+        });
+    }
+
+    /**
+     * Replace the route's JSON-LD script, or remove it when the route has none
+     */
+    updateJsonLd(data) {
+        let script = document.querySelector('script[type="application/ld+json"][data-router-meta]');
+        
+        if (!data) {
+            if (script) script.remove();
+            return;
+        }
+        
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.setAttribute('data-router-meta', '');
+            document.head.appendChild(script);
         }
+        
+        script.textContent = JSON.stringify(data, null, 2);
     }
 
     /**
@@ -484,14 +1434,36 @@ class Router {
             
             const linkRoute = link.getAttribute('data-section') || 
                              link.getAttribute('data-route') ||
-                             link.getAttribute('href')?.substring(1);
+                             this.extractRouteFromURL(link.getAttribute('href'));
+            
+            const routePath = linkRoute && this.splitLocale(linkRoute).path;
             
-            if (linkRoute === path) {
+            // Parent links stay active on nested routes (portfolio → portfolio/3)
+            if (routePath && (routePath === path || path.startsWith(`${routePath}/`))) {
                 link.classList.add('active');
             }
         });
     }
 
+    /**
+     * Check if navigation moves between a route and its nested routes
+     * (e.g. portfolio ↔ portfolio/:slug), which keeps the scroll position
+     */
+    isNestedTransition(from, to) {
+        if (!from || !to || from.route === to.route) return false;
+        
+        return to.route.parent === from.route.path ||
+               from.route.parent === to.route.path ||
+               (from.route.parent !== null && from.route.parent === to.route.parent);
+    }
+
+    /**
+     * Get the section element id for a matched route
+     */
+    getSectionId(match) {
+        return match.route.section || match.path.split('/')[0];
+    }
+
     /**
      * Scroll to section
      */
@@ -508,14 +1480,47 @@ class Router {
         }
     }
 
+    /**
+     * Scroll to an in-page anchor and move focus to it, as the browser would
+     * History mode keeps the anchor in the URL; in hash mode the hash is the route
+     * @param {string} id - Element id
+     */
+    scrollToAnchor(id) {
+        const target = document.getElementById(id);
+        if (!target) return;
+        
+        // scroll-padding-top keeps it clear of the fixed header
+        target.scrollIntoView({ behavior: this.prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+        
+        if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+        
+        if (this.isHistoryMode()) {
+            const url = `${window.location.pathname}${window.location.search}#${encodeURIComponent(id)}`;
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+
     /**
      * Update URL without triggering navigation
      */
-    updateURL(path) {
-        const newURL = `${window.location.pathname}${window.location.search}#${path}`;
+    updateURL(path, options = {}) {
+        const newURL = this.buildURL(path);
+        const currentURL = `${window.location.pathname}${window.location.search}${window.location.hash}`;
         
-        if (window.location.href !== newURL) {
-            window.history.pushState({ route: path }, '', newURL);
+        if (currentURL !== newURL || options.replace) {
+            if (options.replace) {
+                // Keep the saved position of the entry being replaced
+                const scroll = window.history.state?.scroll || null;
+                window.history.replaceState({ route: path, scroll }, '', newURL);
+            } else {
+                // Remember where the reader was before leaving this entry
+                clearTimeout(this.scrollSaveTimer);
+                this.saveScrollPosition();
+                window.history.pushState({ route: path, scroll: null }, '', newURL);
+            }
         }
     }
 
@@ -530,7 +1535,7 @@ class Router {
         
         this.history.push({
             path,
-            route: route.title,
+            route: this.resolveRouteValue(route.title, this.currentMatch),
             timestamp: Date.now()
         });
         
@@ -543,12 +1548,13 @@ class Router {
     /**
      * Run before route listeners
      */
-    async runBeforeListeners(path, route) {
+    async runBeforeListeners(path, route, context = {}) {
         for (const listener of this.listeners.beforeRoute) {
             try {
-                const result = await listener(path, route, this.currentRoute);
-                if (result === false) {
-                    return false;
+                const result = await listener(path, route, this.currentRoute, context);
+                // `false` cancels, a path redirects
+                if (result === false || typeof result === 'string') {
+                    return result;
                 }
             } catch (error) {
                 console.error('Before route listener error:', error);
@@ -560,10 +1566,10 @@ class Router {
     /**
      * Run after route listeners
      */
-    async runAfterListeners(path, route) {
+    async runAfterListeners(path, route, context = {}) {
         for (const listener of this.listeners.afterRoute) {
             try {
-                await listener(path, route, this.previousRoute);
+                await listener(path, route, this.previousRoute, context);
             } catch (error) {
                 console.error('After route listener error:', error);
             }
@@ -572,10 +1578,11 @@ class Router {
 
     /**
      * Run route guard
+     * Resolves to the guard's result: `false` cancels, a path redirects
      */
-    async runGuard(guard, route) {
+    async runGuard(guard, route, context = {}) {
         try {
-            return await guard(route, this);
+            return await guard(route, this, context);
         } catch (error) {
             console.error('Route guard error:', error);
             return false;
@@ -584,26 +1591,46 @@ class Router {
 
     /**
      * Handle not found routes
+     * Renders `notFoundRoute` with suggestions when one is registered,
+     * otherwise redirects to a similar route or the default one.
+     * Runs within the same navigation so it isn't queued behind itself
      */
-    handleNotFound(path) {
+    handleNotFound(path, options, navigation) {
+        const { notFoundRoute } = this.config;
+        
+        if (notFoundRoute && this.routes.has(notFoundRoute) && !options.notFound) {
+            const { pathname, search } = this.parsePath(path);
+            
+            return this.runNavigation(notFoundRoute, {
+                ...options,
+                notFound: {
+                    path: pathname,
+                    fullPath: search ? `${pathname}?${search}` : pathname,
+                    suggestions: this.getSuggestions(pathname)
+                }
+            }, navigation);
+        }
+        
         console.warn(`Route not found: ${path}, redirecting to default`);
         
         // Try to find similar route
         const similarRoute = this.findSimilarRoute(path);
         if (similarRoute) {
             console.log(`Found similar route: ${similarRoute}, redirecting...`);
-            return this.navigate(similarRoute);
+            return this.runNavigation(similarRoute, options, navigation);
         }
         
         // Fallback to default route
-        return this.navigate(this.config.defaultRoute);
+        return this.runNavigation(this.config.defaultRoute, options, navigation);
     }
 
     /**
      * Find similar route using fuzzy matching
      */
     findSimilarRoute(path) {
-        const routes = Array.from(this.routes.keys());
+        const routes = Array.from(this.routes.values())
+            .filter(route => route.keys.length === 0)
+            .map(route => route.path);
         let bestMatch = null;
         let bestScore = 0;
         
@@ -618,6 +1645,46 @@ class Router {
         return bestMatch;
     }
 
+    /**
+     * "Did you mean" suggestions for an unknown path, best match first
+     * Candidates are the static routes, their aliases and `config.suggestionPaths`
+     * @param {string} path - Unknown path
+     * @param {Object} options - `{ limit, threshold }`
+     * @returns {Array<{path: string, title: string, score: number}>}
+     */
+    getSuggestions(path, options = {}) {
+        const { limit = 3, threshold = 0.4 } = options;
+        const { pathname } = this.parsePath(path);
+        const scores = new Map();
+        
+        const addCandidate = (candidate, target = candidate) => {
+            const score = this.calculateSimilarity(pathname, candidate);
+            if (score >= threshold && score > (scores.get(target) || 0)) {
+                scores.set(target, score);
+            }
+        };
+        
+        this.routes.forEach(route => {
+            if (route.keys.length === 0 && route.path !== this.config.notFoundRoute) {
+                addCandidate(route.path);
+            }
+        });
+        this.redirects.forEach(redirect => {
+            if (redirect.keys.length === 0 && typeof redirect.to === 'string') {
+                addCandidate(redirect.path, this.normalizePath(redirect.to));
+            }
+        });
+        this.config.suggestionPaths.forEach(candidate => addCandidate(this.normalizePath(candidate)));
+        
+        return Array.from(scores, ([target, score]) => {
+            const match = this.matchRoute(target);
+            const title = match ? this.resolveRouteValue(match.route.title, match) : null;
+            return { path: target, title: title || this.formatTitle(target), score };
+        })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
     /**
      * Calculate similarity between two strings
      */
@@ -667,7 +1734,7 @@ class Router {
      */
     validateCurrentRoute() {
         const currentPath = this.getPathFromURL();
-        if (currentPath !== this.currentRoute) {
+        if (!currentPath || !this.isCurrentPath(currentPath)) {
             this.navigate(currentPath || this.config.defaultRoute);
         }
     }
@@ -692,7 +1759,7 @@ class Router {
         // Google Analytics 4
         if (typeof gtag !== 'undefined') {
             gtag('config', 'GA_MEASUREMENT_ID', {
-                page_title: route.title,
+                page_title: document.title,
                 page_location: window.location.href
             });
         }
@@ -700,7 +1767,7 @@ class Router {
         // Custom analytics
         this.dispatchEvent('router:pageview', {
             path,
-            title: route.title,
+            title: document.title,
             url: window.location.href
         });
     }
@@ -735,7 +1802,12 @@ class Router {
      * Utility methods
      */
     normalizePath(path) {
-        return path ? path.toLowerCase().trim() : this.config.defaultRoute;
+        const trimmed = path ? this.trimSlashes(path.trim()).toLowerCase() : '';
+        return trimmed || this.config.defaultRoute;
+    }
+
+    trimSlashes(path) {
+        return path.replace(/^\/+|\/+$/g, '');
     }
 
     formatTitle(path) {
@@ -744,7 +1816,74 @@ class Router {
 
     getPathFromURL() {
         const hash = window.location.hash;
-        return hash ? hash.substring(1) : null;
+        
+        if (!this.isHistoryMode()) {
+            return hash ? hash.substring(1) : null;
+        }
+        
+        // Legacy hash links (/#portfolio) keep working and get rewritten on navigation
+        const legacyPath = hash ? this.trimSlashes(hash.substring(1)) : '';
+        if (legacyPath && this.matchRoute(legacyPath)) {
+            return legacyPath;
+        }
+        
+        return this.stripBase(`${window.location.pathname}${window.location.search}`);
+    }
+
+    isHistoryMode() {
+        return this.config.mode === 'history';
+    }
+
+    /**
+     * Base path with leading and trailing slash (`/` or `/portfolio/`)
+     */
+    getBasePath() {
+        const base = this.trimSlashes(this.config.base || '');
+        return base ? `/${base}/` : '/';
+    }
+
+    /**
+     * Remove the base path from a URL path, returning a route path
+     */
+    stripBase(urlPath) {
+        const basePath = this.getBasePath();
+        let path = urlPath;
+        
+        if (path.startsWith(basePath)) {
+            path = path.slice(basePath.length);
+        } else if (`${path}/` === basePath) {
+            path = '';
+        }
+        
+        return this.trimSlashes(path.replace(/(^|\/)index\.html(?=\?|$)/, '')) || null;
+    }
+
+    /**
+     * Build the URL for a route path in the current mode
+     * @param {string} path - Route path, query string allowed
+     * @param {?string} [locale] - Locale prefix, the current locale by default, null for none
+     * @returns {string} - `/page#portfolio` (`/page#/en/portfolio`) in hash mode,
+     *                     `/base/portfolio` (`/base/en/portfolio`) in history mode
+     */
+    buildURL(path, locale = this.locale) {
+        if (!this.isHistoryMode()) {
+            const hashPath = locale ? `/${locale}/${this.splitLocale(path).path}` : path;
+            return `${window.location.pathname}${window.location.search}${this.config.hashPrefix}${hashPath}`;
+        }
+        
+        // The default route lives at the base path itself
+        const { pathname, search } = this.parsePath(path);
+        const routePath = pathname === this.config.defaultRoute ? '' : pathname;
+        const prefix = locale ? `${locale}/` : '';
+        
+        return `${this.getBasePath()}${prefix}${routePath}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * Absolute URL for a route path, used for canonical and alternate links
+     */
+    getAbsoluteURL(path, locale = this.locale) {
+        return `${window.location.origin}${this.buildURL(path, locale)}`;
     }
 
     isInternalLink(href) {
@@ -757,9 +1896,16 @@ class Router {
     }
 
     extractRouteFromURL(href) {
+        if (!href) return null;
+        
         try {
-            const url = new URL(href, window.location.origin);
-            return url.hash ? url.hash.substring(1) : null;
+            const url = new URL(href, window.location.href);
+            
+            if (url.hash) {
+                return url.hash.substring(1);
+            }
+            
+            return this.isHistoryMode() ? this.stripBase(`${url.pathname}${url.search}`) : null;
         } catch {
             return null;
         }
@@ -799,13 +1945,37 @@ class Router {
      * Cleanup router resources
      */
     cleanup() {
+        // Stop any navigation that hasn't changed the URL yet
+        this.cancelNavigation('cleanup');
+        
         // Remove event listeners
         window.removeEventListener('hashchange', this.handleHashChange);
         window.removeEventListener('popstate', this.handlePopState);
+        window.removeEventListener('scroll', this.handleScroll);
+        window.removeEventListener('pagehide', this.handleScroll);
+        clearTimeout(this.scrollSaveTimer);
         document.removeEventListener('click', this.handleLinkClick);
+        document.removeEventListener('mouseover', this.handleLinkIntent);
+        document.removeEventListener('focusin', this.handleLinkIntent);
+        document.removeEventListener('touchstart', this.handleLinkIntent);
+        
+        // Stop prefetching
+        if (this.prefetchObserver) {
+            this.prefetchObserver.disconnect();
+        }
+        if (this.prefetchHandle !== null) {
+            if (window.cancelIdleCallback) {
+                window.cancelIdleCallback(this.prefetchHandle);
+            } else {
+                clearTimeout(this.prefetchHandle);
+            }
+            this.prefetchHandle = null;
+        }
+        this.prefetchQueue = [];
         
         // Clear data
         this.routes.clear();
+        this.moduleCache.clear();
         this.history = [];
         this.navigationMetrics.clear();
         
@@ -830,14 +2000,26 @@ export { Router };
 ===============================================
 END ROUTER.JS
 Complete SPA routing system with:
-- Hash-based navigation
+- Hash-based and History API navigation
+- Base path support with a 404.html deep-link shim
+- Parameterized and nested routes
+- Query string parsing
 - Route guards and hooks  
-- History management
+- Guard redirects and async data resolvers
+- Navigation queue where the latest intent wins, with AbortSignal cancellation
+- History management with scroll restoration
+- In-page anchors scrolled and focused by the router (safe with <base href>)
 - Error handling
 - Performance tracking
 - Analytics integration
 - Fuzzy route matching
-- Transition effects
+- Declarative redirects and aliases
+- Not-found route with "did you mean" suggestions
+- Lazy route modules with caching
+- Idle-time prefetching on hover, focus and viewport
+- View Transitions with class-based fallback
 - SEO-friendly URLs
+- Locale prefixes with <html lang>, hreflang alternates and a remembered locale
+- Open Graph, Twitter card and JSON-LD meta per route
 ===============================================
 */
\ No newline at end of file
@@ -0,0 +1,251 @@
+/*
+===============================================
+ROUTES.JS - Route Table
+Route definitions shared by the SPA router and the prerender script
+===============================================
+*/
+
+import { profile, projects, skills, getProjectBySlug, localizeProfile, localizeProject, loadCaseStudy } from './data/content.js';
+import { i18n } from './utils/i18n.js';
+import { buildSocialMeta, buildPersonSchema, buildCreativeWorkSchema } from './utils/seo.js';
+
+/**
+ * @typedef {Object} RouteDefinition
+ * @property {string} path - Route path, may contain params (`:slug`)
+ * @property {string|Function} title - Document title, or `({ params, locale }) => title`
+ * @property {Object|Function} meta - Meta tags keyed by `name`/`property` plus an
+ *                                    optional `jsonLd` object, or `({ params, locale, url, siteUrl }) => meta`
+ *                                    (`url` is the absolute page URL, `siteUrl` the site root)
+ * @property {Function} [load] - `() => import(...)` factory for the section's component module
+ * @property {string[]|Function} [assets] - Key images prefetched with the route, or `({ params }) => urls`
+ * @property {string} [section] - Section element id when it differs from the path
+ * @property {string[]} [aliases] - Alternate paths redirected here; nested routes inherit them as prefixes
+ * @property {Function} [beforeEnter] - Guard returning `false` to cancel or a path to redirect
+ * @property {Object<string, Function>} [resolve] - Data loaders run before entering, passed as `data`
+ * @property {RouteDefinition[]} [children] - Nested routes relative to this one
+ */
+
+const siteTitle = `${profile.name} - Portfolio`;
+
+/**
+ * Translate a catalog key for a route's locale (the active one when it has none)
+ * `{site}`, `{name}`, `{role}` and `{description}` are filled from the profile
+ */
+function translate(key, locale, params = {}) {
+    const language = locale || i18n.getLocale();
+    const { role, description } = localizeProfile(profileKey => i18n.t(profileKey, {}, language));
+
+    return i18n.t(key, { site: siteTitle, name: profile.name, role, description, ...params }, language);
+}
+
+/**
+ * Build the meta map for a section page
+ */
+function sectionMeta(title, description, extra = {}) {
+    return {
+        ...buildSocialMeta({ title, description, image: profile.avatar, siteName: siteTitle }),
+        ...extra
+    };
+}
+
+/**
+ * Title and meta of a section route, from its `meta.<section>` catalog entries
+ * @param {string} section - Catalog key under `meta`
+ * @param {Object} [options] - `params(locale)` extra placeholder values, `extra(context)` extra tags
+ */
+function sectionPage(section, { params = () => ({}), extra = () => ({}) } = {}) {
+    const title = ({ locale }) => translate(`meta.${section}.title`, locale, params(locale));
+
+    return {
+        title,
+        meta: context => sectionMeta(
+            title(context),
+            translate(`meta.${section}.description`, context.locale, params(context.locale)),
+            extra(context)
+        )
+    };
+}
+
+function projectTitle({ params, locale }) {
+    const project = getProjectBySlug(params.slug);
+    return project
+        ? translate('meta.project.title', locale, { project: project.title })
+        : translate('meta.project.unknownTitle', locale);
+}
+
+function projectMeta({ params, locale, url, siteUrl }) {
+    const project = getProjectBySlug(params.slug);
+    if (!project) {
+        return sectionMeta(projectTitle({ params, locale }), translate('meta.project.unknownDescription', locale));
+    }
+
+    const localized = localizeProject(project, key => translate(key, locale));
+
+    return {
+        ...buildSocialMeta({
+            title: projectTitle({ params, locale }),
+            description: localized.summary,
+            image: project.image,
+            type: 'article',
+            siteName: siteTitle
+        }),
+        jsonLd: buildCreativeWorkSchema(localized, profile, { url, siteUrl })
+    };
+}
+
+/**
+ * Locale prefixes for every route (/es/portfolio, /en/portfolio)
+ * English is the default for visitors whose browser isn't in Spanish
+ */
+const locales = ['es', 'en'];
+const defaultLocale = 'en';
+
+const skillNames = skills.categories.flatMap(category => category.items.map(item => item.name));
+
+/**
+ * Rendered under the requested URL for paths no route or redirect matches
+ * @type {RouteDefinition}
+ */
+const notFoundRoute = {
+    path: 'not-found',
+    title: ({ locale }) => translate('meta.notFound.title', locale),
+    load: () => import('./components/not-found.js'),
+    meta: ({ locale }) => ({
+        description: translate('meta.notFound.description', locale),
+        robots: 'noindex'
+    })
+};
+
+/** @type {RouteDefinition[]} */
+const routes = [
+    {
+        path: 'home',
+        ...sectionPage('home', {
+            extra: ({ locale, url, siteUrl }) => ({
+                jsonLd: buildPersonSchema(localizeProfile(key => translate(key, locale)), skillNames, { url, siteUrl })
+            })
+        }),
+        load: () => import('./components/hero.js'),
+        assets: [profile.avatar]
+    },
+    {
+        path: 'about',
+        ...sectionPage('about', {
+            params: locale => ({ role: translate(profile.role, locale).toLowerCase() })
+        }),
+        load: () => import('./components/about.js')
+    },
+    {
+        path: 'skills',
+        ...sectionPage('skills')
+    },
+    {
+        path: 'portfolio',
+        ...sectionPage('portfolio'),
+        load: () => import('./components/portfolio.js'),
+        aliases: ['projects', 'work'],
+        assets: projects.map(project => project.image),
+        children: [
+            {
+                path: ':slug',
+                title: projectTitle,
+                meta: projectMeta,
+                assets: ({ params }) => [getProjectBySlug(params.slug)?.image],
+                // Mistyped slugs get the not-found view and its suggestions
+                beforeEnter: (route, router, { params }) => Boolean(getProjectBySlug(params.slug)) || notFoundRoute.path,
+                resolve: {
+                    project: ({ params, signal }) => loadCaseStudy(params.slug, { signal })
+                }
+            }
+        ]
+    },
+    {
+        path: 'experience',
+        ...sectionPage('experience')
+    },
+    {
+        path: 'contact',
+        ...sectionPage('contact'),
+        load: () => import('./components/contact.js')
+    }
+];
+
+/**
+ * Old URLs that keep working
+ * Project detail routes used the numeric project id before slugs
+ * @type {Array<{from: string, to: string}>}
+ */
+const redirects = projects.map(project => ({
+    from: `portfolio/${project.id}`,
+    to: `portfolio/${project.slug}`
+}));
+
+/**
+ * Build the concrete route for a project detail page
+ * @param {import('./data/content.js').Project} project - Project from the content layer
+ * @param {string} [locale] - Language of the title and meta (default: active locale)
+ * @param {Object} [urls] - `{ url(path), siteUrl }` absolute page URLs and site root for the structured data
+ * @returns {{path: string, title: string, meta: Object}}
+ */
+function getProjectRoute(project, locale, { url, siteUrl } = {}) {
+    const path = `portfolio/${project.slug}`;
+    const context = { params: { slug: project.slug }, query: {}, locale, url: url?.(path), siteUrl };
+
+    return {
+        path,
+        title: projectTitle(context),
+        meta: projectMeta(context)
+    };
+}
+
+/**
+ * List every concrete (param-free) route, including one per project
+ * @param {string} [locale] - Language of the titles and meta (default: active locale)
+ * @param {Object} [urls] - `{ url(path), siteUrl }` absolute page URLs and site root for the structured data
+ * @returns {Array<{path: string, title: string, meta: Object}>}
+ */
+function getStaticRoutes(locale, urls = {}) {
+    const staticRoutes = routes.map(({ children, title, meta, ...route }) => {
+        const context = { params: {}, query: {}, locale, url: urls.url?.(route.path), siteUrl: urls.siteUrl };
+        const resolve = value => (typeof value === 'function' ? value(context) : value);
+
+        return {
+            ...route,
+            title: resolve(title),
+            meta: resolve(meta)
+        };
+    });
+
+    return [...staticRoutes, ...projects.map(project => getProjectRoute(project, locale, urls))];
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        routes, notFoundRoute, redirects, locales, defaultLocale,
+        getProjectRoute, getStaticRoutes
+    };
+}
+
+// Export for ES6 modules
+export {
+    routes, notFoundRoute, redirects, locales, defaultLocale,
+    getProjectRoute, getStaticRoutes
+};
+
+/*
+===============================================
+END ROUTES.JS
+Route table with:
+- Section routes and their titles
+- Titles and meta descriptions translated per locale
+- Meta descriptions, Open Graph and Twitter cards per route
+- Person and CreativeWork JSON-LD
+- Lazy component modules and prefetched images per section
+- Nested project detail route
+- Section aliases and legacy project URL redirects
+- Not-found route
+- Supported locales
+- Concrete project routes for prerendering
+===============================================
+*/
@@ -0,0 +1,152 @@
+/*
+===============================================
+CONTENT-RENDER.JS - Content Markup
+Renders the portfolio cards, experience timeline and tools grid from
+js/data/content.js, for the app and for scripts/prerender.mjs
+===============================================
+*/
+
+import { escapeHTML } from './html.js';
+
+// Technologies shown on a portfolio card; the modal lists them all
+const CARD_TECHNOLOGIES = 3;
+
+/**
+ * Attributes and text of an element translated from a catalog key
+ * `data-i18n` lets I18n.translateDOM switch it with the language
+ */
+function translated(key, translate) {
+    return `data-i18n="${escapeHTML(key)}">${escapeHTML(translate(key))}`;
+}
+
+/**
+ * Render one portfolio card per project
+ * `data-category` feeds the filters and `data-project` the details modal
+ * @param {import('../data/content.js').Project[]} projects - Projects in display order
+ * @param {Function} translate - `(key) => text` for the summaries and button labels
+ * @returns {string} - HTML
+ */
+function renderProjectCards(projects, translate = key => key) {
+    return projects.map(project => {
+        const demo = project.demoUrl
+            ? `
+                                            <a href="${escapeHTML(project.demoUrl)}" class="action-btn" target="_blank" rel="noopener">
+                                                <span ${translated('portfolio.viewDemo', translate)}</span>
+                                            </a>`
+            : '';
+        const tags = project.technologies
+            .slice(0, CARD_TECHNOLOGIES)
+            .map(tech => `
+                                        <span class="tech-tag">${escapeHTML(tech)}</span>`)
+            .join('');
+
+        return `
+                            <article class="portfolio-item" data-category="${escapeHTML(project.category)}">
+                                <div class="portfolio-image">
+                                    <img src="${escapeHTML(project.image)}" alt="${escapeHTML(project.title)}" loading="lazy">
+                                    <div class="portfolio-overlay">
+                                        <div class="portfolio-actions">
+                                            <button class="action-btn" data-action="view" data-project="${escapeHTML(project.id)}">
+                                                <span ${translated('portfolio.viewDetails', translate)}</span>
+                                            </button>${demo}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div class="portfolio-info">
+                                    <h3 class="portfolio-title">${escapeHTML(project.title)}</h3>
+                                    <p class="portfolio-description" ${translated(project.summary, translate)}</p>
+                                    <div class="portfolio-tech">${tags}
+                                    </div>
+                                </div>
+                            </article>`;
+    }).join('');
+}
+
+/**
+ * Render the experience timeline, education entries with their own marker
+ * @param {import('../data/content.js').ExperienceItem[]} items - Entries, most recent first
+ * @param {Function} translate - `(key) => text`
+ * @returns {string} - HTML
+ */
+function renderExperience(items, translate = key => key) {
+    return items.map(item => {
+        const achievements = item.achievements
+            .map(achievement => `
+                                            <li ${translated(achievement, translate)}</li>`)
+            .join('');
+
+        return `
+                            <div class="timeline-item">
+                                <div class="timeline-marker">
+                                    <div class="timeline-dot${item.type === 'education' ? ' education' : ''}"></div>
+                                </div>
+                                <div class="timeline-content">
+                                    <div class="timeline-header">
+                                        <h3 class="timeline-title" ${translated(item.title, translate)}</h3>
+                                        <span class="timeline-company">${escapeHTML(item.company)}</span>
+                                        <span class="timeline-date" ${translated(item.period, translate)}</span>
+                                    </div>
+                                    <div class="timeline-description">
+                                        <p ${translated(item.description, translate)}</p>
+                                        <ul class="timeline-achievements">${achievements}
+                                        </ul>
+                                    </div>
+                                </div>
+                            </div>`;
+    }).join('');
+}
+
+/**
+ * Render the tools grid
+ * @param {Array<{name: string, icon: string}>} tools - Tools with their icon path
+ * @returns {string} - HTML
+ */
+function renderTools(tools) {
+    return tools.map(tool => `
+                    <div class="tool-item">
+                        <div class="tool-icon">
+                            <img src="${escapeHTML(tool.icon)}" alt="${escapeHTML(tool.name)}" loading="lazy">
+                        </div>
+                        <span class="tool-name">${escapeHTML(tool.name)}</span>
+                    </div>`).join('');
+}
+
+/**
+ * Render the markup of a `data-content` container
+ * @param {string} name - `projects`, `experience` or `tools`
+ * @param {Object} content - `{ projects, experience, skills }` from js/data/content.js
+ * @param {Function} translate - `(key) => text`
+ * @returns {?string} - HTML, null for unknown names
+ */
+function renderContentBlock(name, content, translate = key => key) {
+    switch (name) {
+        case 'projects':
+            return renderProjectCards(content.projects, translate);
+        case 'experience':
+            return renderExperience(content.experience, translate);
+        case 'tools':
+            return renderTools(content.skills.tools);
+        default:
+            return null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderProjectCards, renderExperience, renderTools, renderContentBlock };
+}
+
+// Export for ES6 modules
+export { renderProjectCards, renderExperience, renderTools, renderContentBlock };
+
+/*
+===============================================
+END CONTENT-RENDER.JS
+Content markup with:
+- Portfolio cards (filter category, details button, demo link, tech tags)
+- Catalog text marked with data-i18n for language switches
+- Experience timeline (work and education markers, achievements)
+- Tools grid
+- One entry point per data-content container
+===============================================
+*/
@@ -5,6 +5,8 @@ Ultra-complete DOM manipulation and utility functions
 ===============================================
 */
 
+import { i18n } from './i18n.js';
+
 /**
  * DOM Utilities Class
  * Collection of useful DOM manipulation and utility functions
@@ -1244,6 +1246,8 @@ class DOMUtils {
 
     /**
      * Validate form field
+     * Messages come from the active locale; `patternMessage` and custom
+     * results may be catalog keys or plain text
      * @param {Element} field - Form field element
      * @param {Object} rules - Validation rules
      * @returns {Object} - Validation result
@@ -1254,30 +1258,30 @@ class DOMUtils {
         
         // Required validation
         if (rules.required && !value) {
-            errors.push('This field is required');
+            errors.push(i18n.t('validation.required'));
         }
         
         // Only validate other rules if field has value
         if (value) {
             // Min/Max length
             if (rules.minLength && value.length < rules.minLength) {
-                errors.push(`Minimum length is ${rules.minLength} characters`);
+                errors.push(i18n.t('validation.minLength', { count: rules.minLength }));
             }
             
             if (rules.maxLength && value.length > rules.maxLength) {
-                errors.push(`Maximum length is ${rules.maxLength} characters`);
+                errors.push(i18n.t('validation.maxLength', { count: rules.maxLength }));
             }
             
             // Pattern validation
             if (rules.pattern && !rules.pattern.test(value)) {
-                errors.push(rules.patternMessage || 'Invalid format');
+                errors.push(i18n.t(rules.patternMessage || 'validation.pattern'));
             }
             
             // Email validation
             if (rules.email) {
                 const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
                 if (!emailPattern.test(value)) {
-                    errors.push('Invalid email address');
+                    errors.push(i18n.t('validation.email'));
                 }
             }
             
@@ -1286,21 +1290,21 @@ class DOMUtils {
                 try {
                     new URL(value);
                 } catch {
-                    errors.push('Invalid URL');
+                    errors.push(i18n.t('validation.url'));
                 }
             }
             
             // Number validation
             if (rules.number) {
                 if (isNaN(value)) {
-                    errors.push('Must be a number');
+                    errors.push(i18n.t('validation.number'));
                 } else {
                     const num = parseFloat(value);
                     if (rules.min !== undefined && num < rules.min) {
-                        errors.push(`Minimum value is ${rules.min}`);
+                        errors.push(i18n.t('validation.min', { min: rules.min }));
                     }
                     if (rules.max !== undefined && num > rules.max) {
-                        errors.push(`Maximum value is ${rules.max}`);
+                        errors.push(i18n.t('validation.max', { max: rules.max }));
                     }
                 }
             }
@@ -1309,7 +1313,7 @@ class DOMUtils {
             if (rules.custom && typeof rules.custom === 'function') {
                 const customResult = rules.custom(value, field);
                 if (customResult !== true) {
-                    errors.push(customResult || 'Invalid value');
+                    errors.push(i18n.t(customResult || 'validation.invalid'));
                 }
             }
         }
@@ -1444,12 +1448,12 @@ class DOMUtils {
     /**
      * Format number with locale
      * @param {number} number - Number to format
-     * @param {Object} options - Formatting options
+     * @param {Object} options - Formatting options (`locale` defaults to the active language)
      * @returns {string} - Formatted number
      */
     formatNumber(number, options = {}) {
         const defaultOptions = {
-            locale: 'en-US',
+            locale: i18n.getLocale(),
             style: 'decimal',
             minimumFractionDigits: 0,
             maximumFractionDigits: 2
@@ -1461,15 +1465,29 @@ class DOMUtils {
         return new Intl.NumberFormat(locale, intlOptions).format(number);
     }
 
+    /**
+     * Format a byte count (`1,5 MB`)
+     * @param {number} bytes - Size in bytes
+     * @param {Object} options - Formatting options passed to formatNumber
+     * @returns {string} - Formatted size
+     */
+    formatFileSize(bytes, options = {}) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)));
+        const value = bytes / 1024 ** exponent;
+        
+        return `${this.formatNumber(value, { maximumFractionDigits: exponent === 0 ? 0 : 1, ...options })} ${units[exponent]}`;
+    }
+
     /**
      * Format date with locale
      * @param {Date|string|number} date - Date to format
-     * @param {Object} options - Formatting options
+     * @param {Object} options - Formatting options (`locale` defaults to the active language)
      * @returns {string} - Formatted date
      */
     formatDate(date, options = {}) {
         const defaultOptions = {
-            locale: 'en-US',
+            locale: i18n.getLocale(),
             year: 'numeric',
             month: 'long',
             day: 'numeric'
@@ -1485,10 +1503,10 @@ class DOMUtils {
     /**
      * Get relative time
      * @param {Date|string|number} date - Date to compare
-     * @param {string} locale - Locale for formatting
+     * @param {string} locale - Locale for formatting (default: active language)
      * @returns {string} - Relative time string
      */
-    getRelativeTime(date, locale = 'en-US') {
+    getRelativeTime(date, locale = i18n.getLocale()) {
         const now = new Date();
         const dateObj = new Date(date);
         const diffMs = dateObj - now;
@@ -1638,7 +1656,7 @@ const domUtils = new DOMUtils();
 
 // Export individual functions for convenience
 const {
-    $, $, getElementById, createElement, removeElement,
+    $, $$, getElementById, createElement, removeElement,
     addClass, removeClass, toggleClass, hasClass,
     attr, removeAttr, data, css,
     getDimensions, getPosition, getViewport, isInViewport,
@@ -1651,7 +1669,7 @@ const {
     serializeForm, populateForm, validateField,
     storage, removeStorage, clearStorage,
     generateId, deepClone, toCamelCase, toKebabCase,
-    formatNumber, formatDate, getRelativeTime,
+    formatNumber, formatFileSize, formatDate, getRelativeTime,
     copyToClipboard, downloadFile, objectToQueryString, queryStringToObject
 } = domUtils;
 
@@ -1660,7 +1678,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         DOMUtils,
         domUtils,
-        $, $, getElementById, createElement, removeElement,
+        $, $$, getElementById, createElement, removeElement,
         addClass, removeClass, toggleClass, hasClass,
         attr, removeAttr, data, css,
         getDimensions, getPosition, getViewport, isInViewport,
@@ -1673,7 +1691,7 @@ if (typeof module !== 'undefined' && module.exports) {
         serializeForm, populateForm, validateField,
         storage, removeStorage, clearStorage,
         generateId, deepClone, toCamelCase, toKebabCase,
-        formatNumber, formatDate, getRelativeTime,
+        formatNumber, formatFileSize, formatDate, getRelativeTime,
         copyToClipboard, downloadFile, objectToQueryString, queryStringToObject
     };
 }
@@ -1682,7 +1700,7 @@ if (typeof module !== 'undefined' && module.exports) {
 export {
     DOMUtils,
     domUtils,
-    $, $, getElementById, createElement, removeElement,
+    $, $$, getElementById, createElement, removeElement,
     addClass, removeClass, toggleClass, hasClass,
     attr, removeAttr, data, css,
     getDimensions, getPosition, getViewport, isInViewport,
@@ -1695,7 +1713,7 @@ export {
     serializeForm, populateForm, validateField,
     storage, removeStorage, clearStorage,
     generateId, deepClone, toCamelCase, toKebabCase,
-    formatNumber, formatDate, getRelativeTime,
+    formatNumber, formatFileSize, formatDate, getRelativeTime,
     copyToClipboard, downloadFile, objectToQueryString, queryStringToObject
 };
 
@@ -1708,7 +1726,7 @@ Ultra-complete DOM utilities library with:
 - Comprehensive animation utilities
 - Performance monitoring & optimization
 - Device & browser detection
-- Form utilities & validation
+- Form utilities & localized validation messages
 - Storage management
 - Event handling & delegation
 - Intersection observer helpers
@@ -0,0 +1,320 @@
+/*
+===============================================
+DRAFT-STORE.JS - Encrypted Form Drafts
+Keeps unsent form data in localStorage, encrypted with AES-GCM under a per-device key
+===============================================
+*/
+
+import { domUtils } from './dom.js';
+
+/**
+ * @typedef {Object} StoredDraft
+ * @property {string} id - Draft id
+ * @property {string} iv - Base64 AES-GCM nonce
+ * @property {string} ciphertext - Base64 encrypted JSON
+ * @property {number} createdAt - First save (ms)
+ * @property {number} updatedAt - Last save (ms)
+ */
+
+/**
+ * @typedef {Object} DraftSummary
+ * @property {string} id - Draft id
+ * @property {number} createdAt - First save (ms)
+ * @property {number} updatedAt - Last save (ms)
+ */
+
+const KEY_STORE = 'keys';
+const KEY_ID = 'draft-key';
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * DraftStore Class
+ * The key is a non-extractable CryptoKey kept in IndexedDB: scripts can use it on
+ * this device but never read it out, and clearing site data makes old drafts
+ * unreadable. Without IndexedDB or WebCrypto nothing is saved, rather than
+ * falling back to plaintext
+ */
+class DraftStore {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'contact-drafts', // localStorage key of the encrypted drafts
+            dbName: 'portfolio-drafts', // IndexedDB database holding the device key
+            retention: 7 * 24 * 60 * 60 * 1000, // Drafts older than this (since the last save) are dropped
+            maxDrafts: 3, // Oldest drafts go first beyond this
+            legacyKey: null, // localStorage key of a plaintext `{ data, timestamp }` draft from before encryption
+            ...options
+        };
+        
+        this.keyPromise = null;
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
+        
+        // Settles once the plaintext draft, if any, is encrypted (or dropped)
+        this.migration = this.migrateLegacyDraft();
+    }
+
+    /**
+     * Whether this browser can keep encrypted drafts
+     */
+    get isSupported() {
+        return typeof indexedDB !== 'undefined' && Boolean(globalThis.crypto?.subtle);
+    }
+
+    /**
+     * Load the device key, creating it on first use
+     * @returns {Promise<CryptoKey>}
+     */
+    getKey() {
+        if (!this.keyPromise) {
+            this.keyPromise = this.loadKey().catch(error => {
+                this.keyPromise = null;
+                throw error;
+            });
+        }
+        
+        return this.keyPromise;
+    }
+
+    /**
+     * Read the key from IndexedDB, or generate and store a new one
+     */
+    async loadKey() {
+        const db = await this.open();
+        
+        try {
+            const stored = await this.withKeyStore(db, 'readonly', store => store.get(KEY_ID));
+            if (stored) return stored;
+            
+            const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+            await this.withKeyStore(db, 'readwrite', store => store.put(key, KEY_ID));
+            
+            console.log('🔐 Draft key created for this device');
+            return key;
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Open (or create) the key database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.options.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(KEY_STORE);
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the key store
+     */
+    withKeyStore(db, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(KEY_STORE, mode);
+            const request = callback(transaction.objectStore(KEY_STORE));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Move the plaintext draft under `legacyKey` into the store, saved as `{ data }`
+     * It leaves localStorage straight away, even where it can't be encrypted
+     */
+    async migrateLegacyDraft() {
+        const { legacyKey, retention } = this.options;
+        if (!legacyKey || typeof localStorage === 'undefined') return;
+        
+        let legacy = null;
+        try {
+            legacy = JSON.parse(localStorage.getItem(legacyKey));
+        } catch {
+            legacy = null;
+        }
+        
+        domUtils.removeStorage(legacyKey);
+        
+        if (!legacy?.data || !this.isSupported || !(Date.now() - legacy.timestamp < retention)) return;
+        
+        try {
+            await this.save(domUtils.generateId('draft'), { data: legacy.data });
+            console.log('🔐 Plaintext draft moved to encrypted storage');
+        } catch (error) {
+            console.warn('🔐 Plaintext draft could not be encrypted, dropping it:', error);
+        }
+    }
+
+    /**
+     * Stored drafts inside the retention period, newest first
+     * @returns {StoredDraft[]}
+     */
+    getStoredDrafts() {
+        const since = Date.now() - this.options.retention;
+        const drafts = domUtils.storage(this.options.storageKey) || [];
+        
+        return drafts
+            .filter(draft => draft.updatedAt > since)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Write the draft list back
+     */
+    setStoredDrafts(drafts) {
+        if (drafts.length === 0) {
+            domUtils.removeStorage(this.options.storageKey);
+            return;
+        }
+        
+        // The list expires with its newest draft
+        domUtils.storage(this.options.storageKey, drafts.slice(0, this.options.maxDrafts), this.options.retention);
+    }
+
+    /**
+     * List saved drafts without decrypting them
+     * Also drops the ones past the retention period
+     * @returns {DraftSummary[]}
+     */
+    list() {
+        const drafts = this.getStoredDrafts();
+        this.setStoredDrafts(drafts);
+        
+        return drafts.map(({ id, createdAt, updatedAt }) => ({ id, createdAt, updatedAt }));
+    }
+
+    /**
+     * Encrypt bytes under the device key
+     * Also used by the outbox, so queued submissions are never stored in the clear
+     * @param {BufferSource} data - Bytes to encrypt
+     * @param {string} context - Authenticated with the data, the same value is needed to decrypt
+     * @returns {Promise<{iv: Uint8Array, ciphertext: ArrayBuffer}>}
+     */
+    async encrypt(data, context) {
+        const key = await this.getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: this.encoder.encode(context) },
+            key,
+            data
+        );
+        
+        return { iv, ciphertext };
+    }
+
+    /**
+     * Decrypt bytes sealed by `encrypt`
+     * Rejects when the key is gone or the data or context changed
+     * @param {{iv: BufferSource, ciphertext: BufferSource}} sealed - Output of `encrypt`
+     * @param {string} context - Value given to `encrypt`
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decrypt({ iv, ciphertext }, context) {
+        const key = await this.getKey();
+        
+        return crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: this.encoder.encode(context) },
+            key,
+            ciphertext
+        );
+    }
+
+    /**
+     * Encrypt and save a draft
+     * @param {string} id - Draft id (the same id overwrites)
+     * @param {Object} data - JSON-serialisable form state
+     */
+    async save(id, data) {
+        if (!this.isSupported) return;
+        
+        // The id is authenticated too, so a draft can't be moved into another slot
+        const { iv, ciphertext } = await this.encrypt(this.encoder.encode(JSON.stringify(data)), id);
+        
+        const drafts = this.getStoredDrafts();
+        const existing = drafts.find(draft => draft.id === id);
+        const now = Date.now();
+        
+        const draft = {
+            id,
+            iv: toBase64(iv),
+            ciphertext: toBase64(ciphertext),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        
+        this.setStoredDrafts([draft, ...drafts.filter(item => item.id !== id)]);
+    }
+
+    /**
+     * Decrypt a draft
+     * Drafts that no longer decrypt (key cleared, data tampered with) are removed
+     * @param {string} id - Draft id
+     * @returns {Promise<?Object>} - The saved data, null when it is gone
+     */
+    async load(id) {
+        const draft = this.getStoredDrafts().find(item => item.id === id);
+        if (!draft || !this.isSupported) return null;
+        
+        try {
+            const plaintext = await this.decrypt({ iv: fromBase64(draft.iv), ciphertext: fromBase64(draft.ciphertext) }, id);
+            
+            return JSON.parse(this.decoder.decode(plaintext));
+        } catch (error) {
+            console.warn(`🔐 Draft ${id} could not be decrypted, removing it:`, error);
+            this.remove(id);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a draft
+     * @param {string} id - Draft id
+     */
+    remove(id) {
+        this.setStoredDrafts(this.getStoredDrafts().filter(draft => draft.id !== id));
+    }
+
+    /**
+     * Delete every draft (the device key stays)
+     */
+    clear() {
+        domUtils.removeStorage(this.options.storageKey);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DraftStore };
+}
+
+// Export for ES6 modules
+export { DraftStore };
+
+/*
+===============================================
+END DRAFT-STORE.JS
+Encrypted drafts with:
+- AES-GCM encryption under a non-extractable per-device key
+- Device key kept in IndexedDB
+- Several drafts per form, newest first
+- Configurable retention and draft limit
+- No plaintext fallback
+- Migration of pre-encryption plaintext drafts
+- Encryption helpers for other stores (the outbox)
+===============================================
+*/
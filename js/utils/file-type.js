@@ -0,0 +1,111 @@
+/*
+===============================================
+FILE-TYPE.JS - File Type Detection
+Identifies uploads by their leading bytes instead of trusting the extension
+===============================================
+*/
+
+/**
+ * Known file signatures ("magic numbers")
+ * `offset` is where the signature starts, 0 unless stated
+ */
+const signatures = [
+    { extensions: ['pdf'], mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+    { extensions: ['doc'], mime: 'application/msword', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }, // OLE2
+    // Office Open XML files are ZIP archives; the signature can't tell .docx from any other .zip
+    { extensions: ['docx'], mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { extensions: ['png'], mime: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { extensions: ['jpg', 'jpeg'], mime: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { extensions: ['gif'], mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    { extensions: ['webp'], mime: 'image/webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 } // RIFF....WEBP
+];
+
+// Bytes read from the start of each file
+const SNIFF_LENGTH = 4096;
+
+/**
+ * @typedef {Object} DetectedType
+ * @property {string[]} extensions - Extensions the content matches
+ * @property {string} mime - MIME type for the content
+ */
+
+/**
+ * Get a file name's lowercase extension
+ * @param {string} name - File name
+ * @returns {string} - Extension without the dot, '' when there is none
+ */
+function getExtension(name = '') {
+    const index = name.lastIndexOf('.');
+    return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+}
+
+/**
+ * Check whether bytes look like UTF-8 text (no NULs, decodes cleanly)
+ * The last bytes may be a character cut in half by the sniff window, so
+ * decoding is not fatal on truncated input
+ */
+function looksLikeText(bytes, truncated) {
+    if (bytes.includes(0)) return false;
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: truncated });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Detect a file's type from its content
+ * @param {Blob} file - File to inspect
+ * @returns {Promise<?DetectedType>} - null when the content is not recognised
+ */
+async function sniffFileType(file) {
+    const bytes = new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+
+    const match = signatures.find(({ bytes: signature, offset = 0 }) => (
+        signature.every((byte, index) => bytes[offset + index] === byte)
+    ));
+
+    if (match) {
+        return { extensions: match.extensions, mime: match.mime };
+    }
+
+    if (looksLikeText(bytes, file.size > SNIFF_LENGTH)) {
+        return { extensions: ['txt', 'md', 'csv'], mime: 'text/plain' };
+    }
+
+    return null;
+}
+
+/**
+ * Check a file against a list of allowed extensions, by name and by content
+ * @param {File} file - File to check
+ * @param {string[]} allowedExtensions - Extensions without the dot
+ * @returns {Promise<?string>} - Detected MIME type, null when the file is not allowed
+ */
+async function verifyFileType(file, allowedExtensions) {
+    const extension = getExtension(file.name);
+    if (!allowedExtensions.includes(extension)) return null;
+
+    const detected = await sniffFileType(file);
+    return detected?.extensions.includes(extension) ? detected.mime : null;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getExtension, sniffFileType, verifyFileType };
+}
+
+// Export for ES6 modules
+export { getExtension, sniffFileType, verifyFileType };
+
+/*
+===============================================
+END FILE-TYPE.JS
+File type detection with:
+- Magic number signatures (PDF, DOC, DOCX, images)
+- UTF-8 plain text detection
+- Extension and content cross-check
+===============================================
+*/
@@ -0,0 +1,242 @@
+/*
+===============================================
+FORM-SCHEMA.JS - Schema-driven Forms
+Renders form fields from a JSON schema and compiles their validation rules
+===============================================
+*/
+
+import { escapeHTML } from './html.js';
+
+/**
+ * @typedef {Object} FormSchema
+ * @property {string} id - Form name
+ * @property {string} [idPrefix] - Prepended to field ids, for several forms on one page
+ * @property {FieldSchema[]} fields - Fields in display order
+ * @property {StepSchema[]} [steps] - Wizard pages, in order; a review page is added after them
+ */
+
+/**
+ * @typedef {Object} StepSchema
+ * @property {string} id - Step name, saved with the draft
+ * @property {string} title - Catalog key of the step title
+ * @property {string[]} fields - Names of the fields on this step
+ */
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {string} name - Field name, also the payload key
+ * @property {string} type - `text`, `email`, `tel`, `url`, `number`, `textarea`, `select`, `radio` or `checkbox`
+ * @property {string} label - Catalog key of the label
+ * @property {string} [placeholder] - Catalog key of the placeholder
+ * @property {string} [autocomplete] - autocomplete attribute
+ * @property {number} [rows] - Textarea rows
+ * @property {Array<{value: string, label: string}>} [options] - Choices for `select` and `radio`, labels are catalog keys
+ * @property {Object} [rules] - `required`, `minLength`, `maxLength`, `pattern` (RegExp source),
+ *   `remote` (checked by the component's `remoteValidation` endpoint once the other rules pass)
+ * @property {Object<string, string>} [messages] - Catalog keys per rule, `validation.<rule>` otherwise
+ * @property {VisibilityCondition} [visibleWhen] - Show the field only when another field matches
+ */
+
+/**
+ * @typedef {Object} VisibilityCondition
+ * @property {string} field - Name of the field to watch
+ * @property {string} [equals] - Visible when the value is exactly this
+ * @property {string[]} [in] - Visible when the value is one of these
+ * @property {boolean} [filled] - Visible when the field has (true) or lacks (false) a value
+ */
+
+const INPUT_TYPES = ['text', 'email', 'tel', 'url', 'number'];
+
+/**
+ * Join attribute strings, skipping empty ones
+ */
+function renderAttributes(...attributes) {
+    return attributes.filter(Boolean).join(' ');
+}
+
+/**
+ * Render the control(s) of a field
+ * Only `required` becomes a native constraint: the other rules are left to the
+ * component, so visitors get its translated messages instead of the browser's
+ */
+function renderControl(field, id, translate) {
+    const { name, type, rules = {} } = field;
+    const required = rules.required ? 'required' : '';
+    const placeholder = field.placeholder
+        ? `placeholder="${escapeHTML(translate(field.placeholder))}" data-i18n-attr="placeholder: ${field.placeholder}"`
+        : '';
+
+    switch (type) {
+        case 'textarea':
+            return `<textarea ${renderAttributes(`id="${id}"`, `name="${name}"`, 'class="form-textarea"', `rows="${field.rows || 5}"`, placeholder, required)}></textarea>`;
+
+        case 'select': {
+            const options = (field.options || []).map(option => (
+                `<option value="${escapeHTML(option.value)}" data-i18n="${option.label}">${escapeHTML(translate(option.label))}</option>`
+            ));
+
+            return `<select ${renderAttributes(`id="${id}"`, `name="${name}"`, 'class="form-select"', required)}>${options.join('')}</select>`;
+        }
+
+        case 'radio':
+            return (field.options || []).map((option, index) => `
+                <label class="form-radio">
+                    <input ${renderAttributes('type="radio"', `id="${id}-${index}"`, `name="${name}"`, `value="${escapeHTML(option.value)}"`, index === 0 && required)}>
+                    <span class="radio-mark"></span>
+                    <span class="radio-text" data-i18n="${option.label}">${escapeHTML(translate(option.label))}</span>
+                </label>`).join('');
+
+        case 'checkbox':
+            return `
+                <label class="form-checkbox">
+                    <input ${renderAttributes('type="checkbox"', `id="${id}"`, `name="${name}"`, required)}>
+                    <span class="checkbox-mark"></span>
+                    <span class="checkbox-text" data-i18n="${field.label}">${escapeHTML(translate(field.label))}</span>
+                </label>`;
+
+        default: {
+            const inputType = INPUT_TYPES.includes(type) ? type : 'text';
+            const autocomplete = field.autocomplete ? `autocomplete="${field.autocomplete}"` : '';
+
+            return `<input ${renderAttributes(`type="${inputType}"`, `id="${id}"`, `name="${name}"`, 'class="form-input"', placeholder, autocomplete, required)}>`;
+        }
+    }
+}
+
+/**
+ * Render one field group: label, control(s) and error slot
+ * Radio groups use a fieldset/legend; checkboxes carry their label inline.
+ * Conditional fields start hidden when their condition fails on an empty form
+ * @param {FieldSchema} field - Field to render
+ * @param {Object} options - `{ idPrefix, translate }`
+ * @returns {string} - HTML
+ */
+function renderField(field, { idPrefix = '', translate = key => key } = {}) {
+    const id = `${idPrefix}${field.name}`;
+    const label = `data-i18n="${field.label}">${escapeHTML(translate(field.label))}`;
+    const error = `<span class="form-error" id="${id}-error"></span>`;
+    const hidden = isFieldVisible(field.visibleWhen, {}) ? '' : 'hidden';
+
+    if (field.type === 'radio') {
+        return `
+            <fieldset ${renderAttributes('class="form-group form-radio-group"', `data-field="${field.name}"`, hidden)}>
+                <legend class="form-label" ${label}</legend>${renderControl(field, id, translate)}
+                ${error}
+            </fieldset>`;
+    }
+
+    const fieldLabel = field.type === 'checkbox' ? '' : `
+                <label for="${id}" class="form-label" ${label}</label>`;
+
+    return `
+            <div ${renderAttributes('class="form-group"', `data-field="${field.name}"`, hidden)}>${fieldLabel}
+                ${renderControl(field, id, translate).trim()}
+                ${error}
+            </div>`;
+}
+
+/**
+ * Render every field of a schema
+ * @param {FormSchema} schema - Form definition
+ * @param {Function} translate - `(key) => text` for labels, placeholders and options
+ * @returns {string} - HTML
+ */
+function renderFormFields(schema, translate = key => key) {
+    return schema.fields
+        .map(field => renderField(field, { idPrefix: schema.idPrefix || '', translate }))
+        .join('');
+}
+
+/**
+ * Render a schema as wizard steps: one section per step plus a review section
+ * Fields no step lists go on the last step
+ * @param {FormSchema} schema - Form definition with `steps`
+ * @param {Function} translate - `(key) => text`
+ * @param {Object} options - `{ reviewTitle }` catalog key of the review step title
+ * @returns {string} - HTML
+ */
+function renderFormSteps(schema, translate = key => key, { reviewTitle = 'contact.wizard.review' } = {}) {
+    const options = { idPrefix: schema.idPrefix || '', translate };
+    const listed = new Set(schema.steps.flatMap(step => step.fields));
+    const leftovers = schema.fields.filter(field => !listed.has(field.name)).map(field => field.name);
+
+    const steps = schema.steps.map((step, index) => {
+        const names = index === schema.steps.length - 1 ? [...step.fields, ...leftovers] : step.fields;
+        const fields = names
+            .map(name => schema.fields.find(field => field.name === name))
+            .filter(Boolean)
+            .map(field => renderField(field, options));
+
+        return `
+        <section class="form-step" data-step="${step.id}"${index === 0 ? '' : ' hidden'}>
+            <h3 class="form-step-title" data-i18n="${step.title}">${escapeHTML(translate(step.title))}</h3>${fields.join('')}
+        </section>`;
+    });
+
+    steps.push(`
+        <section class="form-step form-review" data-step="review" hidden>
+            <h3 class="form-step-title" data-i18n="${reviewTitle}">${escapeHTML(translate(reviewTitle))}</h3>
+            <div class="form-summary"></div>
+        </section>`);
+
+    return steps.join('');
+}
+
+/**
+ * Compile a schema into the validation config ContactComponent reads per field
+ * (`required`, `minLength`, `pattern`... flattened, `errorMessages` catalog keys)
+ * @param {FormSchema} schema - Form definition
+ * @returns {Object<string, Object>} - Config keyed by field name
+ */
+function compileFieldConfig(schema) {
+    return Object.fromEntries(schema.fields.map(field => {
+        const { pattern, ...rules } = field.rules || {};
+
+        return [field.name, {
+            type: field.type,
+            ...rules,
+            pattern: pattern ? new RegExp(pattern, 'u') : undefined,
+            errorMessages: { ...field.messages },
+            visibleWhen: field.visibleWhen || null
+        }];
+    }));
+}
+
+/**
+ * Check a field's visibility condition against the current values
+ * @param {?VisibilityCondition} condition - Field's `visibleWhen`
+ * @param {Object} values - Current values keyed by field name
+ * @returns {boolean}
+ */
+function isFieldVisible(condition, values) {
+    if (!condition) return true;
+
+    const value = values[condition.field] ?? '';
+
+    if (condition.equals !== undefined) return value === condition.equals;
+    if (Array.isArray(condition.in)) return condition.in.includes(value);
+    if (condition.filled !== undefined) return (value !== '') === condition.filled;
+
+    return true;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderField, renderFormFields, renderFormSteps, compileFieldConfig, isFieldVisible };
+}
+
+// Export for ES6 modules
+export { renderField, renderFormFields, renderFormSteps, compileFieldConfig, isFieldVisible };
+
+/*
+===============================================
+END FORM-SCHEMA.JS
+Schema-driven forms with:
+- Text, textarea, select, radio and checkbox fields
+- Translatable labels, placeholders and options (data-i18n)
+- Native `required` attributes
+- Compiled validation config with catalog error keys
+- Conditional visibility
+- Wizard steps with a review section
+===============================================
+*/
@@ -0,0 +1,35 @@
+/*
+===============================================
+HTML.JS - HTML String Helpers
+Shared by the markup renderers and scripts/prerender.mjs
+===============================================
+*/
+
+/**
+ * Escape text for HTML content and double-quoted attribute values
+ * @param {*} value - Text to escape, converted to a string
+ * @returns {string}
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHTML };
+}
+
+// Export for ES6 modules
+export { escapeHTML };
+
+/*
+===============================================
+END HTML.JS
+HTML string helpers with:
+- Text and attribute escaping
+===============================================
+*/
@@ -0,0 +1,223 @@
+/*
+===============================================
+I18N.JS - Translations
+Message lookup, interpolation, pluralization and live DOM translation
+===============================================
+*/
+
+import { messages } from '../data/messages.js';
+
+/**
+ * I18n Class
+ * Resolves dotted catalog keys for the active locale and re-renders
+ * `data-i18n` elements when the language changes
+ */
+class I18n {
+    constructor(options = {}) {
+        this.options = {
+            catalogs: messages,
+            fallbackLocale: 'es', // Source language, used for keys missing in other catalogs
+            ...options
+        };
+        
+        // Cached Intl.PluralRules per locale
+        this.pluralRules = new Map();
+        
+        // index.html is written in the source language; the router picks the real locale
+        this.locale = this.options.fallbackLocale;
+    }
+
+    /**
+     * Translate a key
+     * Plain strings are returned unchanged when no catalog has the key, so
+     * callers can pass either a key or a ready-made message
+     * @param {string} key - Dotted catalog key (`contact.errors.name.required`)
+     * @param {Object} params - `{name}` placeholder values; `count` also picks the plural form
+     * @param {string} locale - Locale to translate to (default: active locale)
+     * @returns {string} - Translated message
+     */
+    t(key, params = {}, locale = this.locale) {
+        let message = this.lookup(key, locale);
+        
+        if (message === undefined || Array.isArray(message)) {
+            return this.interpolate(String(key), params);
+        }
+        
+        if (typeof message === 'object') {
+            message = this.selectPlural(message, params.count, locale);
+        }
+        
+        return this.interpolate(message, params);
+    }
+
+    /**
+     * Translate a list of messages (typed phrases)
+     * @param {string} key - Dotted catalog key of an array
+     * @param {string} locale - Locale to translate to (default: active locale)
+     * @returns {string[]}
+     */
+    list(key, locale = this.locale) {
+        const value = this.lookup(key, locale);
+        return Array.isArray(value) ? [...value] : [];
+    }
+
+    /**
+     * Check whether a key exists for a locale or its fallback
+     */
+    has(key, locale = this.locale) {
+        return this.lookup(key, locale) !== undefined;
+    }
+
+    /**
+     * Find a catalog value, falling back to the source language
+     */
+    lookup(key, locale) {
+        const find = (catalog) => String(key).split('.').reduce(
+            (value, part) => (value && typeof value === 'object' ? value[part] : undefined),
+            catalog
+        );
+        
+        const value = find(this.options.catalogs[locale]);
+        return value !== undefined ? value : find(this.options.catalogs[this.options.fallbackLocale]);
+    }
+
+    /**
+     * Replace `{name}` placeholders; unknown placeholders are left as-is
+     */
+    interpolate(message, params = {}) {
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Pick the plural form for a count (`one`, `few`, `other`...)
+     */
+    selectPlural(forms, count = 0, locale = this.locale) {
+        if (!this.pluralRules.has(locale)) {
+            this.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        
+        const category = this.pluralRules.get(locale).select(Number(count));
+        return forms[category] ?? forms.other ?? '';
+    }
+
+    /**
+     * Get the active locale
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * List the locales with a catalog
+     */
+    getLocales() {
+        return Object.keys(this.options.catalogs);
+    }
+
+    /**
+     * Check whether a catalog exists for a locale
+     */
+    hasLocale(locale) {
+        return Boolean(locale) && Object.prototype.hasOwnProperty.call(this.options.catalogs, locale);
+    }
+
+    /**
+     * Switch the active locale and re-render translated elements
+     * @param {string} locale - Locale with a catalog
+     * @returns {boolean} - Whether the locale changed
+     */
+    setLocale(locale) {
+        if (!this.hasLocale(locale)) {
+            console.warn(`No messages for locale: ${locale}`);
+            return false;
+        }
+        
+        if (locale === this.locale) return false;
+        
+        const previous = this.locale;
+        this.locale = locale;
+        
+        this.translateDOM();
+        
+        console.log(`🗣️ Messages: ${locale}`);
+        this.dispatchEvent('i18n:change', { locale, previous });
+        
+        return true;
+    }
+
+    /**
+     * Translate marked elements
+     * - `data-i18n="key"` sets the text content
+     * - `data-i18n-attr="placeholder:key, aria-label:key"` sets attributes
+     * @param {ParentNode} root - Subtree to translate (default: document)
+     */
+    translateDOM(root = typeof document !== 'undefined' ? document : null) {
+        if (!root) return;
+        
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            this.parseAttributeKeys(element.getAttribute('data-i18n-attr')).forEach(([attribute, key]) => {
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+
+    /**
+     * Parse a `data-i18n-attr` value into `[attribute, key]` pairs
+     */
+    parseAttributeKeys(value = '') {
+        return value
+            .split(',')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attribute, key]) => attribute && key);
+    }
+
+    /**
+     * Dispatch custom events
+     */
+    dispatchEvent(eventName, detail = {}) {
+        if (typeof document === 'undefined') return;
+        
+        const event = new CustomEvent(eventName, {
+            detail,
+            bubbles: true,
+            cancelable: true
+        });
+        
+        document.dispatchEvent(event);
+    }
+}
+
+// Shared instance, driven by the router's locale
+const i18n = new I18n();
+
+/**
+ * Translate with the shared instance
+ */
+const t = (key, params, locale) => i18n.t(key, params, locale);
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, i18n, t };
+}
+
+// Export for ES6 modules
+export { I18n, i18n, t };
+
+/*
+===============================================
+END I18N.JS
+Translation layer with:
+- Dotted catalog keys with source-language fallback
+- {placeholder} interpolation
+- Intl.PluralRules plural forms
+- Typed phrase lists
+- data-i18n / data-i18n-attr DOM translation
+- i18n:change events on language switch
+===============================================
+*/
@@ -0,0 +1,478 @@
+/*
+===============================================
+OUTBOX.JS - Offline Outbox
+Persists submissions that could not be sent and retries them with backoff
+===============================================
+*/
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {number} id - Auto-incremented key
+ * @property {Object} payload - Data handed to `send`, sealed while stored when there is a cipher
+ * @property {boolean} [sealed] - Whether `payload` is encrypted
+ * @property {number} createdAt - Queue time (ms)
+ * @property {number} attempts - Failed delivery attempts so far
+ * @property {number} nextAttemptAt - Earliest time for the next attempt (ms)
+ * @property {?string} lastError - Message of the last failure
+ */
+
+/**
+ * @typedef {Object} OutboxCipher
+ * @property {Function} encrypt - `(bytes, context) => Promise<{iv, ciphertext}>`
+ * @property {Function} decrypt - `(sealed, context) => Promise<ArrayBuffer>`, rejects when it can't
+ */
+
+// Authenticated context of the sealed fields and files
+const FIELDS_CONTEXT = 'outbox-fields';
+const FILE_CONTEXT = 'outbox-file';
+
+function isFile(value) {
+    return typeof File !== 'undefined' && value instanceof File;
+}
+
+/**
+ * Outbox Class
+ * IndexedDB-backed queue; falls back to memory when IndexedDB is unavailable
+ * (private browsing), so retries still work for the current visit
+ */
+class Outbox {
+    constructor(options = {}) {
+        this.options = {
+            dbName: 'portfolio-outbox',
+            storeName: 'submissions',
+            send: null, // async (payload, entry) => result, throws to retry later
+            isRetryable: null, // (error) => boolean, entries failing otherwise are dropped at once
+            baseDelay: 5000, // First retry after 5 seconds...
+            maxDelay: 15 * 60 * 1000, // ...doubling up to 15 minutes
+            maxAttempts: 10, // Dropped after this many failed attempts...
+            maxAge: 3 * 24 * 60 * 60 * 1000, // ...or once queued this long (3 days)
+            cipher: null, // OutboxCipher (e.g. a DraftStore); without one payloads are stored as given
+            onSent: null, // (entry, result) => void
+            onRetry: null, // (entry, error) => void
+            onFailed: null, // (entry, error, reason) => void, reason `rejected`, `max-attempts`, `expired` or `unreadable`
+            ...options
+        };
+        
+        // Storage
+        this.db = null;
+        this.dbPromise = null;
+        this.memory = new Map();
+        this.memoryId = 0;
+        this.encoder = new TextEncoder();
+        this.decoder = new TextDecoder();
+        
+        // Retry state
+        this.retryTimer = null;
+        this.isFlushing = false;
+        
+        // Event handlers
+        this.handleOnline = this.handleOnline.bind(this);
+    }
+
+    /**
+     * Open the database and start watching connectivity
+     */
+    async init() {
+        await this.open();
+        window.addEventListener('online', this.handleOnline);
+        
+        // Entries left over from a previous visit
+        await this.scheduleRetry();
+    }
+
+    /**
+     * Open (or create) the IndexedDB store
+     * @returns {Promise<?IDBDatabase>} - null when falling back to memory
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(this.options.dbName, 1);
+            
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            
+            request.onerror = () => {
+                console.warn('📮 IndexedDB unavailable, outbox kept in memory:', request.error);
+                resolve(null);
+            };
+        });
+        
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.options.storeName, mode);
+            const request = callback(transaction.objectStore(this.options.storeName));
+            
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Queue a payload for delivery
+     * @param {Object} payload - Data to send later
+     * @param {?Error} error - Failure that caused the queueing
+     * @returns {Promise<OutboxEntry>}
+     */
+    async add(payload, error = null) {
+        const entry = {
+            payload: await this.seal(payload),
+            sealed: Boolean(this.options.cipher),
+            createdAt: Date.now(),
+            attempts: error ? 1 : 0,
+            nextAttemptAt: Date.now() + (error ? this.getDelay(1) : 0),
+            lastError: error?.message || null
+        };
+        
+        if (await this.open()) {
+            entry.id = await this.withStore('readwrite', store => store.add(entry));
+        } else {
+            entry.id = ++this.memoryId;
+            this.memory.set(entry.id, entry);
+        }
+        
+        console.log(`📮 Queued submission #${entry.id}`);
+        await this.scheduleRetry();
+        
+        return { ...entry, payload };
+    }
+
+    /**
+     * Encrypt a payload for storage
+     * Fields go in one sealed JSON block, each file is sealed on its own
+     * @param {Object} payload - Field values keyed by name, files as File or File[]
+     * @returns {Promise<Object>} - `{ fields, files }`, or the payload itself without a cipher
+     */
+    async seal(payload) {
+        const { cipher } = this.options;
+        if (!cipher) return payload;
+        
+        const fields = {};
+        const files = {};
+        
+        for (const [name, value] of Object.entries(payload)) {
+            const list = [].concat(value);
+            
+            if (list.length > 0 && list.every(isFile)) {
+                files[name] = {
+                    multiple: Array.isArray(value),
+                    items: await Promise.all(list.map(async file => ({
+                        name: file.name,
+                        type: file.type,
+                        lastModified: file.lastModified,
+                        data: await cipher.encrypt(await file.arrayBuffer(), FILE_CONTEXT)
+                    })))
+                };
+            } else {
+                fields[name] = value;
+            }
+        }
+        
+        return {
+            fields: await cipher.encrypt(this.encoder.encode(JSON.stringify(fields)), FIELDS_CONTEXT),
+            files
+        };
+    }
+
+    /**
+     * Decrypt a stored entry's payload
+     * @param {OutboxEntry} entry - Stored entry
+     * @returns {Promise<Object>} - The payload given to `add`
+     */
+    async unseal(entry) {
+        if (!entry.sealed) return entry.payload;
+        
+        const { cipher } = this.options;
+        if (!cipher) throw new Error('No cipher to decrypt the queued submission');
+        
+        const { fields, files } = entry.payload;
+        const payload = JSON.parse(this.decoder.decode(await cipher.decrypt(fields, FIELDS_CONTEXT)));
+        
+        for (const [name, { multiple, items }] of Object.entries(files)) {
+            const list = await Promise.all(items.map(async item => new File(
+                [await cipher.decrypt(item.data, FILE_CONTEXT)],
+                item.name,
+                { type: item.type, lastModified: item.lastModified }
+            )));
+            
+            payload[name] = multiple ? list : list[0];
+        }
+        
+        return payload;
+    }
+
+    /**
+     * List queued entries, oldest first
+     * @returns {Promise<OutboxEntry[]>}
+     */
+    async getAll() {
+        if (await this.open()) {
+            return this.withStore('readonly', store => store.getAll());
+        }
+        
+        return Array.from(this.memory.values());
+    }
+
+    /**
+     * Number of queued entries
+     */
+    async count() {
+        return (await this.getAll()).length;
+    }
+
+    /**
+     * Save an updated entry
+     */
+    async put(entry) {
+        if (await this.open()) {
+            await this.withStore('readwrite', store => store.put(entry));
+        } else {
+            this.memory.set(entry.id, entry);
+        }
+    }
+
+    /**
+     * Remove an entry
+     */
+    async remove(id) {
+        if (await this.open()) {
+            await this.withStore('readwrite', store => store.delete(id));
+        } else {
+            this.memory.delete(id);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter for the nth failed attempt
+     * @param {number} attempts - Failed attempts so far (1 = first retry)
+     * @returns {number} - Delay in ms
+     */
+    getDelay(attempts) {
+        const { baseDelay, maxDelay } = this.options;
+        const delay = Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempts - 1));
+        
+        // ±20% so several tabs don't retry in lockstep
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Try to deliver entries
+     * Only one tab flushes the shared store at a time (Web Locks); the others try again later
+     * @param {Object} options - `{ force }` ignores each entry's backoff time
+     * @returns {Promise<{sent: number, pending: number}>}
+     */
+    async flush({ force = false } = {}) {
+        if (this.isFlushing || typeof this.options.send !== 'function') {
+            return { sent: 0, pending: await this.count() };
+        }
+        
+        // Offline: wait for the `online` event instead of burning attempts
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return { sent: 0, pending: await this.count() };
+        }
+        
+        this.isFlushing = true;
+        let sent = null;
+        
+        try {
+            sent = await this.withFlushLock(() => this.deliverDue(force));
+        } finally {
+            this.isFlushing = false;
+        }
+        
+        // Another tab holds the lock: look again once it has had time to finish
+        if (sent === null) {
+            return { sent: 0, pending: await this.scheduleRetry(this.options.baseDelay) };
+        }
+        
+        const pending = await this.scheduleRetry();
+        return { sent, pending };
+    }
+
+    /**
+     * Run a flush under the cross-tab lock
+     * The in-memory fallback belongs to this tab alone and needs none
+     * @param {Function} callback - Flush to run
+     * @returns {Promise<?*>} - The callback's result, null when another tab holds the lock
+     */
+    async withFlushLock(callback) {
+        const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+        
+        if (!locks || !(await this.open())) {
+            return callback();
+        }
+        
+        return locks.request(`${this.options.dbName}-flush`, { ifAvailable: true }, lock => (
+            lock ? callback() : null
+        ));
+    }
+
+    /**
+     * Send the entries that are due, dropping the ones that can't succeed
+     * Entries are read inside the lock, so ones another tab just sent are gone
+     * @param {boolean} force - Ignore each entry's backoff time
+     * @returns {Promise<number>} - Entries sent
+     */
+    async deliverDue(force) {
+        const entries = await this.getAll();
+        let sent = 0;
+        
+        for (const entry of entries) {
+            const isExpired = Date.now() - entry.createdAt >= this.options.maxAge;
+            if (!isExpired && !force && entry.nextAttemptAt > Date.now()) continue;
+            
+            let payload;
+            try {
+                payload = await this.unseal(entry);
+            } catch (error) {
+                // Key cleared or data tampered with: it can never be sent
+                await this.fail(entry, error, 'unreadable');
+                continue;
+            }
+            
+            // Not kept beyond `maxAge`; the payload goes back to the caller instead
+            if (isExpired) {
+                await this.fail({ ...entry, payload }, null, 'expired');
+                continue;
+            }
+            
+            try {
+                const result = await this.options.send(payload, entry);
+                await this.remove(entry.id);
+                sent++;
+                
+                console.log(`📮 Sent queued submission #${entry.id}`);
+                this.options.onSent?.({ ...entry, payload }, result);
+            } catch (error) {
+                entry.attempts++;
+                entry.lastError = error?.message || String(error);
+                
+                const reason = this.getFailureReason(entry, error);
+                if (reason) {
+                    await this.fail({ ...entry, payload }, error, reason);
+                    continue;
+                }
+                
+                entry.nextAttemptAt = Date.now() + this.getDelay(entry.attempts);
+                await this.put(entry);
+                
+                this.options.onRetry?.(entry, error);
+            }
+        }
+        
+        return sent;
+    }
+
+    /**
+     * Why a failed entry should not be retried
+     * @returns {?string} - `rejected` or `max-attempts`, null to retry
+     */
+    getFailureReason(entry, error) {
+        const { isRetryable, maxAttempts } = this.options;
+        
+        if (isRetryable && !isRetryable(error)) return 'rejected';
+        if (entry.attempts >= maxAttempts) return 'max-attempts';
+        
+        return null;
+    }
+
+    /**
+     * Drop an entry for good and report it
+     * @param {OutboxEntry} entry - Entry, with its payload decrypted when it could be
+     * @param {?Error} error - Last failure, null when it expired unsent
+     * @param {string} reason - See `onFailed`
+     */
+    async fail(entry, error, reason) {
+        await this.remove(entry.id);
+        
+        console.warn(`📮 Dropped queued submission #${entry.id} (${reason})`);
+        this.options.onFailed?.(entry, error, reason);
+    }
+
+    /**
+     * Arm a timer for the next due entry
+     * @param {number} minDelay - Wait at least this long (ms)
+     * @returns {Promise<number>} - Entries still queued
+     */
+    async scheduleRetry(minDelay = 0) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        
+        const entries = await this.getAll();
+        if (entries.length === 0) return 0;
+        
+        const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        const delay = Math.max(minDelay, nextAttemptAt - Date.now());
+        
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+        
+        return entries.length;
+    }
+
+    /**
+     * Back online: retry everything now, backoff resumes on failure
+     */
+    handleOnline() {
+        console.log('📮 Back online, flushing outbox');
+        this.flush({ force: true });
+    }
+
+    /**
+     * Stop retrying and close the database
+     */
+    destroy() {
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.dbPromise = null;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Outbox };
+}
+
+// Export for ES6 modules
+export { Outbox };
+
+/*
+===============================================
+END OUTBOX.JS
+Offline outbox with:
+- IndexedDB persistence across visits
+- In-memory fallback without IndexedDB
+- Exponential backoff with jitter
+- Immediate retry on the online event
+- Permanent failures, attempt limit and expiry dropped and reported
+- Payloads and files encrypted at rest with a given cipher
+- One flushing tab at a time (Web Locks)
+- Sent / retry / failure callbacks
+===============================================
+*/
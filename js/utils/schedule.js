@@ -0,0 +1,222 @@
+/*
+===============================================
+SCHEDULE.JS - Availability Slots & Calendar Invites
+Turns a weekly schedule in one timezone into bookable instants and .ics files
+===============================================
+*/
+
+/**
+ * @typedef {Object} WeeklySchedule
+ * @property {string} timeZone - IANA zone the hours are written in (e.g. `Europe/Madrid`)
+ * @property {Object<number, Array<[string, string]>>} weekly - `HH:MM` ranges per ISO weekday (1 = Monday)
+ * @property {number} [duration] - Call length in minutes
+ * @property {number} [slotMinutes] - Minutes between slot starts
+ * @property {number} [minNoticeHours] - Earliest bookable slot, from now
+ * @property {number} [daysAhead] - Days shown, today included
+ * @property {string[]} [blockedDates] - `YYYY-MM-DD` days off, in the schedule's zone
+ */
+
+/**
+ * @typedef {Object} Slot
+ * @property {Date} start - Start instant
+ * @property {Date} end - End instant
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Read a date's calendar fields in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date);
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+
+    return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute') };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes (Madrid in summer: 120)
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const { year, month, day, hour, minute } = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute);
+
+    return Math.round((asUTC - Math.floor(date.getTime() / MINUTE) * MINUTE) / MINUTE);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * The offset is read twice so times next to a DST change land right
+ * @returns {Date}
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = new Date(wallClock - getTimeZoneOffset(new Date(wallClock), timeZone) * MINUTE);
+
+    return new Date(wallClock - getTimeZoneOffset(guess, timeZone) * MINUTE);
+}
+
+/**
+ * The visitor's timezone
+ */
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * List the bookable slots of a weekly schedule
+ * @param {WeeklySchedule} schedule - Content-configured availability
+ * @param {Date} from - Now
+ * @returns {Slot[]} - Chronological
+ */
+function getAvailableSlots(schedule, from = new Date()) {
+    const {
+        timeZone,
+        weekly = {},
+        duration = 30,
+        slotMinutes = duration,
+        minNoticeHours = 24,
+        daysAhead = 14,
+        blockedDates = []
+    } = schedule;
+
+    const earliest = from.getTime() + minNoticeHours * 60 * MINUTE;
+    const today = getZonedParts(from, timeZone);
+    const slots = [];
+
+    for (let offset = 0; offset < daysAhead; offset++) {
+        // Calendar arithmetic on a UTC date, so no local DST gets in the way
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const date = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+        const isoDate = day.toISOString().slice(0, 10);
+        const weekday = day.getUTCDay() || 7;
+
+        if (blockedDates.includes(isoDate)) continue;
+
+        (weekly[weekday] || []).forEach(([rangeStart, rangeEnd]) => {
+            const [startHour, startMinute] = rangeStart.split(':').map(Number);
+            const [endHour, endMinute] = rangeEnd.split(':').map(Number);
+            const last = endHour * 60 + endMinute - duration;
+
+            for (let minutes = startHour * 60 + startMinute; minutes <= last; minutes += slotMinutes) {
+                const start = zonedTimeToDate({ ...date, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+
+                if (start.getTime() >= earliest) {
+                    slots.push({ start, end: new Date(start.getTime() + duration * MINUTE) });
+                }
+            }
+        });
+    }
+
+    return slots.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Format an instant as an iCalendar UTC date-time (20260314T093000Z)
+ */
+function formatICSDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape iCalendar TEXT values
+ */
+function escapeICSText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never inside a character
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+
+        // Continuation lines start with a space, which counts too
+        if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+
+        chunk += char;
+        size += charSize;
+    }
+
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Build an .ics calendar file with one event
+ * @param {Object} event - `{ uid, start, end, summary, description, location, organizer: {name, email}, attendee: {name, email} }`
+ * @returns {string} - iCalendar text (CRLF line endings)
+ */
+function createICS({ uid, start, end, summary, description = '', location = '', organizer = null, attendee = null }) {
+    // Parameter values are quoted (they can't contain quotes themselves)
+    const person = ({ name, email }) => `${name ? `;CN="${name.replace(/"/g, '')}"` : ''}:mailto:${email}`;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Portfolio//Call scheduler//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatICSDate(new Date())}`,
+        `DTSTART:${formatICSDate(start)}`,
+        `DTEND:${formatICSDate(end)}`,
+        `SUMMARY:${escapeICSText(summary)}`,
+        description && `DESCRIPTION:${escapeICSText(description)}`,
+        location && `LOCATION:${escapeICSText(location)}`,
+        organizer?.email && `ORGANIZER${person(organizer)}`,
+        attendee?.email && `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION${person(attendee)}`,
+        // Proposed until the owner confirms it
+        'STATUS:TENTATIVE',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+
+    return lines.filter(Boolean).map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { getZonedParts, zonedTimeToDate, getLocalTimeZone, getAvailableSlots, formatICSDate, createICS };
+}
+
+// Export for ES6 modules
+export { getZonedParts, zonedTimeToDate, getLocalTimeZone, getAvailableSlots, formatICSDate, createICS };
+
+/*
+===============================================
+END SCHEDULE.JS
+Scheduling helpers with:
+- Weekly availability in the owner's timezone
+- DST-safe wall-clock to instant conversion
+- Minimum notice, look-ahead window and days off
+- RFC 5545 .ics export (escaped, folded, UTC times)
+===============================================
+*/
@@ -0,0 +1,143 @@
+/*
+===============================================
+SEO.JS - Structured Data & Social Meta
+Builders for Open Graph / Twitter meta and Schema.org JSON-LD
+===============================================
+*/
+
+/**
+ * Build Open Graph and Twitter card meta for a page
+ * Image URLs may be relative, the router and prerender script resolve them
+ * @param {Object} page - Page information
+ * @param {string} page.title - Page title
+ * @param {string} page.description - Page description
+ * @param {string} [page.image] - Preview image path
+ * @param {string} [page.type='website'] - Open Graph type
+ * @param {string} [page.siteName] - Site name shown in previews
+ * @returns {Object<string, string>} - Meta map keyed by `name`/`property`
+ */
+function buildSocialMeta({ title, description, image, type = 'website', siteName }) {
+    const meta = {
+        description,
+        'og:type': type,
+        'og:title': title,
+        'og:description': description,
+        'twitter:card': image ? 'summary_large_image' : 'summary',
+        'twitter:title': title,
+        'twitter:description': description
+    };
+
+    if (siteName) {
+        meta['og:site_name'] = siteName;
+    }
+
+    if (image) {
+        meta['og:image'] = image;
+        meta['twitter:image'] = image;
+    }
+
+    return meta;
+}
+
+/**
+ * @typedef {Object} PageURLs
+ * @property {string} [url] - Absolute URL of the page, locale prefix and base path included
+ * @property {string} [siteUrl] - Absolute site root with the base path and a trailing slash
+ */
+
+/**
+ * Fill in the page URLs a route was rendered without, from the profile URL
+ * @param {import('../data/content.js').Profile} profile - Site profile
+ * @param {PageURLs} urls - Known URLs
+ * @returns {{url: string, siteUrl: string}}
+ */
+function resolvePageURLs(profile, { url, siteUrl } = {}) {
+    const root = siteUrl || `${profile.url.replace(/\/+$/, '')}/`;
+
+    return { url: url || root, siteUrl: root };
+}
+
+/**
+ * Schema.org `Person` for the site owner
+ * @param {import('../data/content.js').Profile} profile - Site profile, translated (see localizeProfile)
+ * @param {string[]} [knowsAbout=[]] - Skill names
+ * @param {PageURLs} [urls] - URLs of the page the schema is embedded in (the home page)
+ * @returns {Object}
+ */
+function buildPersonSchema(profile, knowsAbout = [], urls = {}) {
+    const { url, siteUrl } = resolvePageURLs(profile, urls);
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: profile.name,
+        jobTitle: profile.role,
+        description: profile.description,
+        url,
+        image: new URL(profile.avatar, siteUrl).href,
+        email: `mailto:${profile.email}`,
+        address: {
+            '@type': 'PostalAddress',
+            addressCountry: profile.location
+        },
+        sameAs: profile.sameAs,
+        knowsAbout
+    };
+}
+
+/**
+ * Schema.org `CreativeWork` for a portfolio project
+ * @param {import('../data/content.js').Project} project - Project from the content layer
+ * @param {import('../data/content.js').Profile} profile - Project author
+ * @param {PageURLs} [urls] - URLs of the project's page
+ * @returns {Object}
+ */
+function buildCreativeWorkSchema(project, profile, urls = {}) {
+    const { url, siteUrl } = resolvePageURLs(profile, urls);
+
+    const schema = {
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        name: project.title,
+        description: project.description,
+        url,
+        image: new URL(project.image, siteUrl).href,
+        dateCreated: project.year,
+        keywords: project.technologies.join(', '),
+        genre: project.category,
+        author: {
+            '@type': 'Person',
+            name: profile.name,
+            url: siteUrl
+        }
+    };
+
+    if (project.client) {
+        schema.sourceOrganization = {
+            '@type': 'Organization',
+            name: project.client
+        };
+    }
+
+    return schema;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { buildSocialMeta, buildPersonSchema, buildCreativeWorkSchema };
+}
+
+// Export for ES6 modules
+export { buildSocialMeta, buildPersonSchema, buildCreativeWorkSchema };
+
+/*
+===============================================
+END SEO.JS
+SEO builders with:
+- Open Graph meta
+- Twitter card meta
+- Person JSON-LD
+- CreativeWork JSON-LD
+- Absolute URLs from the rendered page (locale prefix, base path, site URL)
+===============================================
+*/
@@ -0,0 +1,169 @@
+/*
+===============================================
+SPAM-GUARD.JS - Form Spam Protection
+Honeypot, time-to-submit, per-browser rate limit and proof-of-work tokens
+===============================================
+*/
+
+import { domUtils } from './dom.js';
+
+/**
+ * SpamGuard Class
+ * Cheap client-side checks that stop most form bots before they reach the endpoint.
+ * Rejections are reported as a reason string; callers decide how to stay quiet about them
+ */
+class SpamGuard {
+    constructor(options = {}) {
+        this.options = {
+            honeypotField: 'website', // Hidden field humans never fill
+            minSubmitTime: 3000, // ms between the first field focus and submit
+            maxSubmissions: 3, // Submissions allowed per browser...
+            rateLimitWindow: 60 * 60 * 1000, // ...within this window (1 hour)
+            storageKey: 'contact-submissions',
+            proofOfWorkBits: 0, // Leading zero bits of the SHA-256 token, 0 disables it
+            proofOfWorkField: '_pow', // Payload field that carries the token
+            ...options
+        };
+        
+        // Time of the first field focus, null until the visitor interacts
+        this.startedAt = null;
+    }
+
+    /**
+     * Start the time-to-submit clock (first focus only)
+     */
+    markStart() {
+        if (this.startedAt === null) {
+            this.startedAt = Date.now();
+        }
+    }
+
+    /**
+     * Forget the interaction time, so the next submission needs a new focus
+     */
+    reset() {
+        this.startedAt = null;
+    }
+
+    /**
+     * Run the checks against a submission
+     * @param {Object} data - Field values keyed by name
+     * @returns {?string} - `honeypot`, `too-fast` or `rate-limited`; null when it looks human
+     */
+    check(data) {
+        const { honeypotField, minSubmitTime, maxSubmissions } = this.options;
+        
+        if (String(data[honeypotField] ?? '').trim() !== '') {
+            return 'honeypot';
+        }
+        
+        // Scripts that post without ever focusing a field never start the clock
+        if (this.startedAt === null || Date.now() - this.startedAt < minSubmitTime) {
+            return 'too-fast';
+        }
+        
+        if (this.getRecentSubmissions().length >= maxSubmissions) {
+            return 'rate-limited';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Submission times inside the rate limit window
+     * @returns {number[]}
+     */
+    getRecentSubmissions() {
+        const since = Date.now() - this.options.rateLimitWindow;
+        const timestamps = domUtils.storage(this.options.storageKey) || [];
+        
+        return timestamps.filter(timestamp => timestamp > since);
+    }
+
+    /**
+     * Count a submission against the rate limit
+     */
+    recordSubmission() {
+        const timestamps = [...this.getRecentSubmissions(), Date.now()];
+        
+        // The list expires with its newest entry's window
+        domUtils.storage(this.options.storageKey, timestamps, this.options.rateLimitWindow);
+    }
+
+    /**
+     * Build the payload that goes to the endpoint
+     * Drops the honeypot and adds the proof-of-work token when enabled
+     * @param {Object} data - Field values keyed by name
+     * @returns {Promise<Object>}
+     */
+    async prepare(data) {
+        const { [this.options.honeypotField]: honeypot, ...payload } = data;
+        
+        if (this.options.proofOfWorkBits > 0) {
+            payload[this.options.proofOfWorkField] = await this.createProofOfWork(payload.email || '');
+        }
+        
+        return payload;
+    }
+
+    /**
+     * Find a hashcash-style token `bits:timestamp:resource:nonce` whose SHA-256
+     * starts with `proofOfWorkBits` zero bits. The endpoint verifies it with a
+     * single hash and checks the timestamp and resource (the sender's email)
+     * @param {string} resource - Value the token is bound to
+     * @returns {Promise<string>}
+     */
+    async createProofOfWork(resource) {
+        const bits = this.options.proofOfWorkBits;
+        const prefix = `${bits}:${Date.now()}:${resource}:`;
+        const encoder = new TextEncoder();
+        
+        for (let nonce = 0; ; nonce++) {
+            const token = `${prefix}${nonce}`;
+            const digest = await crypto.subtle.digest('SHA-256', encoder.encode(token));
+            
+            if (this.hasLeadingZeroBits(new Uint8Array(digest), bits)) {
+                console.log(`🛡️ Proof of work found after ${nonce + 1} hashes`);
+                return token;
+            }
+            
+            // Let the page breathe between batches
+            if (nonce % 1000 === 999) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+
+    /**
+     * Check that a hash starts with the given number of zero bits
+     */
+    hasLeadingZeroBits(bytes, bits) {
+        const fullBytes = Math.floor(bits / 8);
+        
+        for (let i = 0; i < fullBytes; i++) {
+            if (bytes[i] !== 0) return false;
+        }
+        
+        const remainder = bits % 8;
+        return remainder === 0 || (bytes[fullBytes] >> (8 - remainder)) === 0;
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpamGuard };
+}
+
+// Export for ES6 modules
+export { SpamGuard };
+
+/*
+===============================================
+END SPAM-GUARD.JS
+Spam protection with:
+- Honeypot field check
+- Minimum time-to-submit from the first focus
+- Per-browser rate limit in localStorage
+- Optional SHA-256 proof-of-work token
+===============================================
+*/
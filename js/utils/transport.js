@@ -0,0 +1,407 @@
+/*
+===============================================
+TRANSPORT.JS - Form Transports
+Adapters that deliver form submissions: JSON POST, form-encoded or multipart POST and mailto:
+===============================================
+*/
+
+/**
+ * @typedef {Object} TransportConfig
+ * @property {string} type - Registered adapter type (`json`, `form`, `multipart`, `mailto`)
+ * @property {string} [endpoint] - URL posted to by the `json`, `form` and `multipart` adapters
+ * @property {string} [method] - HTTP method (default: POST)
+ * @property {Object<string, string>} [headers] - Extra request headers
+ * @property {string} [email] - Recipient for the `mailto` adapter
+ * @property {string|Function} [subject] - Default mail subject for the `mailto` adapter,
+ *                                          or `() => subject` to build it for each message
+ */
+
+/**
+ * @typedef {Object} TransportResult
+ * @property {string} transport - Adapter type that delivered the submission
+ * @property {?number} status - HTTP status, null for mailto
+ * @property {*} data - Parsed response body (JSON or text)
+ */
+
+/**
+ * @callback ProgressCallback
+ * @param {number} loaded - Bytes uploaded so far
+ * @param {number} total - Bytes in the request body
+ */
+
+/**
+ * Error raised by transports
+ * `code` is `timeout`, `network`, `http`, `aborted` or `config`
+ */
+class TransportError extends Error {
+    constructor(message, { code = 'network', status = null, data = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'TransportError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * Check whether a payload carries files (File/Blob values, alone or in arrays)
+ */
+function hasFiles(data) {
+    return Object.values(data).some(value => (
+        [].concat(value).some(item => typeof Blob !== 'undefined' && item instanceof Blob)
+    ));
+}
+
+/**
+ * Base Transport Class
+ * Subclasses implement `deliver`; `send` adds the timeout and cancellation
+ */
+class Transport {
+    constructor(config = {}) {
+        this.config = {
+            timeout: 10000, // Used when `send` gets no timeout of its own
+            ...config
+        };
+    }
+
+    /**
+     * Whether the adapter can deliver File values
+     */
+    get supportsFiles() {
+        return false;
+    }
+
+    /**
+     * Send a submission
+     * @param {Object} data - Field values keyed by name (arrays for repeated fields, File for uploads)
+     * @param {Object} options - `{ timeout, signal, onProgress }`; timeout in ms, 0 disables it
+     * @returns {Promise<TransportResult>}
+     */
+    async send(data, { timeout = this.config.timeout, signal, onProgress } = {}) {
+        const controller = new AbortController();
+        let timedOut = false;
+        
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        
+        const abort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort, { once: true });
+        }
+        
+        try {
+            return await this.deliver(data, { signal: controller.signal, onProgress });
+        } catch (error) {
+            if (error instanceof TransportError) throw error;
+            
+            if (controller.signal.aborted) {
+                throw timedOut
+                    ? new TransportError(`Request timed out after ${timeout}ms`, { code: 'timeout', cause: error })
+                    : new TransportError('Request aborted', { code: 'aborted', cause: error });
+            }
+            
+            throw new TransportError(error.message || 'Network error', { code: 'network', cause: error });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Deliver a submission (implemented by adapters)
+     * @param {Object} data - Field values keyed by name
+     * @param {Object} options - `{ signal, onProgress }`; signal is aborted on timeout or cancellation
+     * @returns {Promise<TransportResult>}
+     */
+    async deliver(data, options) {
+        throw new Error(`${this.constructor.name} does not implement deliver()`);
+    }
+
+    /**
+     * POST a body to the configured endpoint and parse the response
+     */
+    async request(body, headers, signal) {
+        const { endpoint, method = 'POST', headers: extraHeaders = {} } = this.config;
+        
+        if (!endpoint) {
+            throw new TransportError(`${this.constructor.name} needs an endpoint`, { code: 'config' });
+        }
+        
+        const response = await fetch(endpoint, {
+            method,
+            headers: { Accept: 'application/json', ...headers, ...extraHeaders },
+            body,
+            signal
+        });
+        
+        const data = await this.parseResponse(response);
+        
+        return this.createResult(response.status, data);
+    }
+
+    /**
+     * POST a multipart body with upload progress
+     * fetch() can't report upload progress, so this goes through XMLHttpRequest
+     * @param {FormData} body - Multipart body
+     * @param {AbortSignal} signal - Aborts the upload
+     * @param {ProgressCallback} [onProgress] - Called as bytes are uploaded
+     */
+    upload(body, signal, onProgress) {
+        const { endpoint, method = 'POST', headers = {} } = this.config;
+        
+        if (!endpoint) {
+            return Promise.reject(new TransportError(`${this.constructor.name} needs an endpoint`, { code: 'config' }));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const abort = () => xhr.abort();
+            
+            xhr.open(method, endpoint);
+            xhr.setRequestHeader('Accept', 'application/json');
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (event) => {
+                    if (event.lengthComputable) onProgress(event.loaded, event.total);
+                });
+            }
+            
+            xhr.onload = () => {
+                signal?.removeEventListener('abort', abort);
+                
+                const contentType = xhr.getResponseHeader('content-type') || '';
+                let data = xhr.responseText;
+                try {
+                    if (contentType.includes('application/json')) data = JSON.parse(data);
+                } catch {
+                    data = null;
+                }
+                
+                try {
+                    resolve(this.createResult(xhr.status, data));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            
+            // Plain errors: `send` maps them to `network`, `timeout` or `aborted`
+            xhr.onerror = () => reject(new Error('Network error'));
+            xhr.onabort = () => reject(new Error('Request aborted'));
+            
+            signal?.addEventListener('abort', abort, { once: true });
+            xhr.send(body);
+        });
+    }
+
+    /**
+     * Turn an HTTP status and body into a result, throwing for error statuses
+     * @returns {TransportResult}
+     */
+    createResult(status, data) {
+        if (status < 200 || status >= 300) {
+            throw new TransportError(`Endpoint responded ${status}`, {
+                code: 'http',
+                status,
+                data
+            });
+        }
+        
+        return { transport: this.config.type, status, data };
+    }
+
+    /**
+     * Build a multipart body; arrays become repeated fields
+     */
+    createMultipartBody(data) {
+        const body = new FormData();
+        
+        Object.entries(data).forEach(([name, value]) => {
+            [].concat(value).forEach(item => {
+                if (item instanceof Blob) {
+                    body.append(name, item, item.name);
+                } else {
+                    body.append(name, item ?? '');
+                }
+            });
+        });
+        
+        return body;
+    }
+
+    /**
+     * Parse JSON responses, fall back to text
+     */
+    async parseResponse(response) {
+        const contentType = response.headers.get('content-type') || '';
+        
+        try {
+            return contentType.includes('application/json') ? await response.json() : await response.text();
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * JSON Transport
+ * POSTs `application/json` to a generic endpoint
+ * JSON can't carry files: use the `form` or `multipart` adapter for attachments
+ */
+class JSONTransport extends Transport {
+    async deliver(data, { signal }) {
+        if (hasFiles(data)) {
+            throw new TransportError('JSONTransport cannot send files', { code: 'config' });
+        }
+        
+        return this.request(JSON.stringify(data), { 'Content-Type': 'application/json' }, signal);
+    }
+}
+
+/**
+ * Form-encoded Transport
+ * POSTs `application/x-www-form-urlencoded`, as form services (Formspree, Netlify...) expect.
+ * Like an HTML form, it switches to `multipart/form-data` when the payload has files
+ */
+class FormEncodedTransport extends Transport {
+    get supportsFiles() {
+        return true;
+    }
+
+    async deliver(data, { signal, onProgress }) {
+        if (hasFiles(data)) {
+            return this.upload(this.createMultipartBody(data), signal, onProgress);
+        }
+        
+        const body = new URLSearchParams();
+        
+        Object.entries(data).forEach(([name, value]) => {
+            [].concat(value).forEach(item => body.append(name, item ?? ''));
+        });
+        
+        return this.request(body, { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' }, signal);
+    }
+}
+
+/**
+ * Multipart Transport
+ * Always POSTs `multipart/form-data`, with upload progress
+ */
+class MultipartTransport extends Transport {
+    get supportsFiles() {
+        return true;
+    }
+
+    async deliver(data, { signal, onProgress }) {
+        return this.upload(this.createMultipartBody(data), signal, onProgress);
+    }
+}
+
+/**
+ * Mailto Transport
+ * Opens the visitor's mail client with the message prefilled
+ * Nothing is confirmed: the visitor still has to press send
+ */
+class MailtoTransport extends Transport {
+    async deliver(data) {
+        if (!this.config.email) {
+            throw new TransportError('MailtoTransport needs an email', { code: 'config' });
+        }
+        
+        const url = this.buildURL(data);
+        
+        // A link click rather than assigning window.location, which some
+        // browsers treat as leaving the page
+        const link = document.createElement('a');
+        link.href = url;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        return { transport: this.config.type, status: null, data: { url } };
+    }
+
+    /**
+     * Build the mailto: URL for a submission
+     * `message` becomes the body; other fields are listed above it
+     */
+    buildURL(data) {
+        const { email, subject: defaultSubject = '' } = this.config;
+        const { message = '', subject, ...fields } = data;
+        const fallbackSubject = typeof defaultSubject === 'function' ? defaultSubject() : defaultSubject;
+        
+        const details = Object.entries(fields)
+            .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+            .map(([name, value]) => `${name}: ${value}`);
+        
+        const body = [...details, '', message].join('\n').trim();
+        const query = new URLSearchParams({ subject: subject || fallbackSubject, body });
+        
+        // mailto: bodies need %20, not URLSearchParams' "+"
+        return `mailto:${email}?${query.toString().replace(/\+/g, '%20')}`;
+    }
+}
+
+// Adapter registry, keyed by `TransportConfig.type`
+const transports = new Map([
+    ['json', JSONTransport],
+    ['form', FormEncodedTransport],
+    ['multipart', MultipartTransport],
+    ['mailto', MailtoTransport]
+]);
+
+/**
+ * Register a custom adapter
+ * @param {string} type - Config `type` that selects it
+ * @param {typeof Transport} TransportClass - Transport subclass
+ */
+function registerTransport(type, TransportClass) {
+    transports.set(type, TransportClass);
+}
+
+/**
+ * Create a transport from config
+ * @param {TransportConfig|Transport} config - Config, or a ready-made transport
+ * @returns {Transport}
+ */
+function createTransport(config) {
+    if (config instanceof Transport) return config;
+
+    const TransportClass = transports.get(config?.type);
+    if (!TransportClass) {
+        throw new Error(`Unknown transport: ${config?.type}`);
+    }
+
+    return new TransportClass(config);
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Transport, TransportError, JSONTransport, FormEncodedTransport, MultipartTransport, MailtoTransport,
+        registerTransport, createTransport, hasFiles
+    };
+}
+
+// Export for ES6 modules
+export {
+    Transport, TransportError, JSONTransport, FormEncodedTransport, MultipartTransport, MailtoTransport,
+    registerTransport, createTransport, hasFiles
+};
+
+/*
+===============================================
+END TRANSPORT.JS
+Form transports with:
+- JSON, form-encoded and multipart POST adapters
+- Upload progress for file attachments
+- mailto: adapter for sites without a backend
+- Timeouts and AbortSignal cancellation
+- Typed TransportError codes
+- Adapter registry and config factory
+===============================================
+*/
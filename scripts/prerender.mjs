@@ -0,0 +1,378 @@
+/*
+===============================================
+PRERENDER.MJS - Static Export
+Writes one HTML file per route and per project, unprefixed and under
+each locale prefix, so crawlers and link previews get the right title,
+description, Open Graph tags and hreflang alternates without running
+JavaScript.
+
+Usage: node scripts/prerender.mjs [--out dist] [--site-url https://mariofca.dev] [--base /]
+       [--allow-outside] (let --out point outside the repository)
+===============================================
+*/
+
+import { cpSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, isAbsolute, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { profile, projects, experience, skills, getProjectBySlug, localizeProject } from '../js/data/content.js';
+import { getForm } from '../js/data/forms.js';
+import { getStaticRoutes, locales } from '../js/routes.js';
+import { i18n } from '../js/utils/i18n.js';
+import { renderFormFields } from '../js/utils/form-schema.js';
+import { renderContentBlock } from '../js/utils/content-render.js';
+import { escapeHTML } from '../js/utils/html.js';
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Files and folders served as-is next to the prerendered pages
+const staticEntries = ['css', 'js', 'assets', '404.html'];
+
+// Source folders the output folder (wiped on every run) may never be or sit in
+const sourceEntries = ['.git', 'css', 'js', 'assets', 'scripts', 'tests', 'node_modules'];
+
+// Left in the output folder, so a later run knows it may wipe it
+const outputMarker = '.prerender-output';
+
+/**
+ * Parse `--key value` command line options
+ */
+function parseArgs(argv) {
+    const options = {
+        out: 'dist',
+        siteUrl: profile.url,
+        base: '/',
+        allowOutside: false // Boolean options are flags without a value
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (!match) {
+            throw new Error(`Invalid argument: ${argv[i]}`);
+        }
+
+        const key = match[1].replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+        if (!(key in options)) {
+            throw new Error(`Unknown option: --${match[1]}`);
+        }
+
+        if (typeof options[key] === 'boolean') {
+            options[key] = true;
+            continue;
+        }
+
+        if (argv[i + 1] === undefined) {
+            throw new Error(`Missing value for --${match[1]}`);
+        }
+        options[key] = argv[++i];
+    }
+
+    const base = options.base.replace(/^\/+|\/+$/g, '');
+    options.base = base ? `/${base}/` : '/';
+    options.siteUrl = options.siteUrl.replace(/\/+$/, '');
+
+    return options;
+}
+
+/**
+ * Same URL shape as Router.buildURL in history mode
+ */
+function getRouteURL(path, options, locale = null) {
+    const prefix = locale ? `${locale}/` : '';
+    const routePath = path === 'home' ? '' : path;
+    return `${options.siteUrl}${options.base}${prefix}${routePath}`;
+}
+
+/**
+ * Output file for a route: GitHub Pages serves `/portfolio` from `portfolio.html`
+ * and `/en/portfolio` from `en/portfolio.html`
+ */
+function getRouteFile(path, options, locale = null) {
+    return join(options.out, locale || '', path === 'home' ? 'index.html' : `${path}.html`);
+}
+
+/**
+ * Same hreflang alternates as Router.updateAlternateLinks
+ */
+function renderAlternateLinks(path, options) {
+    const alternates = locales.map(locale => [locale, getRouteURL(path, options, locale)]);
+    alternates.push(['x-default', getRouteURL(path, options)]);
+
+    return alternates
+        .map(([hreflang, href]) => `    <link rel="alternate" hreflang="${hreflang}" href="${escapeHTML(href)}" data-router-meta>\n`)
+        .join('');
+}
+
+/**
+ * Update a `<meta>` tag in place or add it before `</head>`
+ * Same `name`/`property` split as Router.updateMetaTags
+ */
+function setMetaTag(html, key, content) {
+    const attribute = key.startsWith('og:') ? 'property' : 'name';
+    const tag = `<meta ${attribute}="${key}" content="${escapeHTML(content)}"`;
+    const pattern = new RegExp(`<meta\\s+${attribute}="${key}"[^>]*>`);
+
+    // New tags are marked so the router can remove them on the next route
+    return pattern.test(html)
+        ? html.replace(pattern, () => `${tag}>`)
+        : html.replace('</head>', () => `    ${tag} data-router-meta>\n</head>`);
+}
+
+/**
+ * Replace the route's JSON-LD script, or remove it when the route has none
+ */
+function setJsonLd(html, data) {
+    const pattern = /[ \t]*<script type="application\/ld\+json" data-router-meta>[\s\S]*?<\/script>\n?/;
+    if (!data) {
+        return html.replace(pattern, '');
+    }
+
+    // `<` is escaped so content can never close the script tag
+    const json = JSON.stringify(data, null, 4).replace(/</g, '\\u003c').replace(/^/gm, '    ');
+    const script = `    <script type="application/ld+json" data-router-meta>\n${json}\n    </script>\n`;
+
+    return pattern.test(html)
+        ? html.replace(pattern, () => script)
+        : html.replace('</head>', () => `${script}</head>`);
+}
+
+/**
+ * Replace the text content of the element with the given id
+ */
+function setElementText(html, id, text) {
+    const pattern = new RegExp(`(<([a-z0-9]+)[^>]*\\sid="${id}"[^>]*>)[\\s\\S]*?(</\\2>)`);
+    return html.replace(pattern, (_, open, tagName, close) => `${open}${escapeHTML(text)}${close}`);
+}
+
+/**
+ * Same translation as I18n.translateDOM: `data-i18n` text and `data-i18n-attr` attributes
+ */
+function translateHTML(html, locale) {
+    const translate = key => escapeHTML(i18n.t(key, {}, locale));
+
+    return html
+        .replace(
+            /(<([a-z0-9]+)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)[\s\S]*?(<\/\2>)/g,
+            (_, open, tagName, key, close) => `${open}${translate(key)}${close}`
+        )
+        .replace(/<[a-z0-9]+\b[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (tag, value) => (
+            i18n.parseAttributeKeys(value).reduce(
+                (output, [attribute, key]) => output.replace(
+                    new RegExp(`(\\s${attribute}=")[^"]*(")`),
+                    (_, before, after) => `${before}${translate(key)}${after}`
+                ),
+                tag
+            )
+        ));
+}
+
+/**
+ * Render schema-driven form fields into their `data-form-schema` containers,
+ * in the source language; locale pages are translated afterwards
+ */
+function renderForms(html) {
+    return html.replace(
+        /(<div class="form-fields" data-form-schema="([\w-]+)">)(<\/div>)/g,
+        (match, open, id, close) => {
+            const schema = getForm(id);
+            return schema ? `${open}${renderFormFields(schema, key => i18n.t(key))}${close}` : match;
+        }
+    );
+}
+
+/**
+ * Render the portfolio cards, timeline and tools into their `data-content`
+ * containers, as PortfolioApp.renderContent does
+ */
+function renderContent(html) {
+    return html.replace(
+        /(<div class="[^"]*" data-content="([\w-]+)">)(<\/div>)/g,
+        (match, open, name, close) => {
+            const content = renderContentBlock(name, { projects, experience, skills }, key => i18n.t(key));
+            return content === null ? match : `${open}${content}${close}`;
+        }
+    );
+}
+
+/**
+ * Fill the project modal so the case study is readable without JavaScript
+ * @param {string} locale - Language of the project text
+ */
+function renderProject(html, project, locale) {
+    const localized = localizeProject(project, key => i18n.t(key, {}, locale));
+    let output = html;
+
+    output = setElementText(output, 'modal-title', localized.title);
+    output = setElementText(output, 'modal-description', localized.description);
+    output = setElementText(output, 'modal-client', localized.client);
+    output = setElementText(output, 'modal-duration', localized.duration);
+    output = setElementText(output, 'modal-year', localized.year);
+    output = output.replace(
+        /<img id="modal-image" src="" alt=""/,
+        `<img id="modal-image" src="${escapeHTML(project.image)}" alt="${escapeHTML(project.title)}"`
+    );
+
+    return output;
+}
+
+/**
+ * Render the HTML document for a single route
+ * @param {?string} locale - Locale prefix, null for the unprefixed (x-default) page
+ */
+function renderRoute(template, route, options, locale = null) {
+    const url = getRouteURL(route.path, options, locale);
+    const { jsonLd = null, ...meta } = route.meta;
+
+    if (Object.keys(meta).some(key => key.startsWith('og:'))) {
+        meta['og:url'] = url;
+    }
+
+    let html = template;
+
+    html = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHTML(route.title)}</title>`);
+    html = html.replace(/<link rel="canonical" href="[^"]*">/, `<link rel="canonical" href="${escapeHTML(url)}">`);
+    html = html.replace(/<base href="[^"]*">/, `<base href="${options.base}">`);
+    html = html.replace('</head>', () => `${renderAlternateLinks(route.path, options)}</head>`);
+
+    if (locale) {
+        html = html.replace(/<html lang="[^"]*">/, `<html lang="${locale}">`);
+        html = translateHTML(html, locale);
+    }
+
+    Object.entries(meta).forEach(([key, value]) => {
+        // Previews need absolute URLs (og:image, twitter:image...)
+        const content = /:(image|url)$/.test(key)
+            ? new URL(value, `${options.siteUrl}${options.base}`).href
+            : value;
+
+        html = setMetaTag(html, key, content);
+    });
+
+    html = setJsonLd(html, jsonLd);
+
+    const [section, slug] = route.path.split('/');
+    const project = section === 'portfolio' && slug ? getProjectBySlug(slug) : null;
+    if (project) {
+        html = renderProject(html, project, locale || i18n.getLocale());
+    }
+
+    return html;
+}
+
+function renderSitemap(staticRoutes, options) {
+    const urls = staticRoutes
+        .flatMap(route => [null, ...locales].map(locale => getRouteURL(route.path, options, locale)))
+        .map(url => `    <url><loc>${escapeHTML(url)}</loc></url>`)
+        .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls}\n</urlset>\n`;
+}
+
+function copyStaticFiles(options) {
+    staticEntries.forEach(entry => {
+        const source = join(rootDir, entry);
+        if (!existsSync(source)) return;
+
+        const target = join(options.out, entry);
+        cpSync(source, target, { recursive: true });
+
+        // Keep the 404.html shim pointing at the deployed base path
+        if (entry === '404.html') {
+            const shim = readFileSync(target, 'utf8').replace(/var BASE = '[^']*';/, `var BASE = '${options.base}';`);
+            writeFileSync(target, shim);
+        }
+    });
+}
+
+/**
+ * Whether a path is a folder or inside it
+ */
+function isInside(path, folder) {
+    const rel = relative(folder, path);
+    return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+}
+
+/**
+ * Make sure the output folder is safe to wipe: not the repository or a source
+ * folder, not outside the repository unless allowed, and either new, empty or
+ * written by a previous run
+ */
+function checkOutputDir(options) {
+    const { out } = options;
+
+    if (isInside(rootDir, out)) {
+        throw new Error(`Refusing to write into ${out}: it contains the repository`);
+    }
+
+    const source = sourceEntries.find(entry => isInside(out, join(rootDir, entry)));
+    if (source) {
+        throw new Error(`Refusing to write into ${out}: it is inside ${source}/`);
+    }
+
+    if (!isInside(out, rootDir) && !options.allowOutside) {
+        throw new Error(`Refusing to write into ${out}: it is outside the repository (pass --allow-outside)`);
+    }
+
+    if (existsSync(out) && readdirSync(out).length > 0 && !existsSync(join(out, outputMarker))) {
+        throw new Error(`Refusing to wipe ${out}: it was not written by this script (no ${outputMarker}), empty or remove it first`);
+    }
+}
+
+function prerender(options) {
+    const template = renderContent(renderForms(readFileSync(join(rootDir, 'index.html'), 'utf8')));
+    const staticRoutes = getStaticRoutes();
+
+    rmSync(options.out, { recursive: true, force: true });
+    mkdirSync(options.out, { recursive: true });
+    writeFileSync(join(options.out, outputMarker), 'Written by scripts/prerender.mjs, wiped on every run\n');
+
+    [null, ...locales].forEach(locale => {
+        // Unprefixed pages keep the source language index.html is written in
+        const urls = {
+            url: path => getRouteURL(path, options, locale),
+            siteUrl: `${options.siteUrl}${options.base}`
+        };
+
+        getStaticRoutes(locale || i18n.getLocale(), urls).forEach(route => {
+            const file = getRouteFile(route.path, options, locale);
+            mkdirSync(dirname(file), { recursive: true });
+            writeFileSync(file, renderRoute(template, route, options, locale));
+            console.log(`📄 ${locale ? `${locale}/` : ''}${route.path} → ${file}`);
+        });
+    });
+
+    writeFileSync(join(options.out, 'sitemap.xml'), renderSitemap(staticRoutes, options));
+    copyStaticFiles(options);
+
+    console.log(`✅ Prerendered ${staticRoutes.length} routes to ${options.out}`);
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    options.out = resolve(rootDir, options.out);
+
+    // The output folder is wiped on every run
+    checkOutputDir(options);
+
+    prerender(options);
+} catch (error) {
+    console.error('❌ Prerender failed:', error.message);
+    process.exitCode = 1;
+}
+
+/*
+===============================================
+END PRERENDER.MJS
+Static export with:
+- One HTML file per route and per project, per locale
+- <html lang>, translated interface text and hreflang alternates
+- Title, description, canonical, Open Graph and Twitter tags in the page's language
+- Person / CreativeWork JSON-LD
+- Schema-driven form fields
+- Portfolio cards, experience timeline and tools from content.js
+- Prefilled project modal content
+- sitemap.xml
+- Static assets and 404.html shim
+- Output folder guard (repository, source folders, outside paths, foreign folders)
+===============================================
+*/
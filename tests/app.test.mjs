@@ -0,0 +1,144 @@
+/*
+===============================================
+APP.TEST.MJS - App Lifecycle Tests
+Opening the mail client must not tear the SPA down (node --test tests/)
+===============================================
+*/
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Just enough of a browser for PortfolioApp's window/document listeners.
+ * Following a mailto: link fires beforeunload, as Chromium does, while the
+ * page stays open
+ */
+class FakeElement extends EventTarget {
+    constructor(tagName) {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.hidden = false;
+        this.isConnected = false;
+    }
+
+    click() {
+        if (this.tagName === 'A' && this.href?.startsWith('mailto:')) {
+            openedLinks.push(this.href);
+            window.dispatchEvent(new Event('beforeunload', { cancelable: true }));
+        }
+    }
+
+    remove() {
+        this.isConnected = false;
+    }
+}
+
+const openedLinks = [];
+const window = Object.assign(new EventTarget(), { innerWidth: 1280, location: { href: 'https://example.com/#contact' } });
+const document = Object.assign(new EventTarget(), {
+    body: {
+        appendChild(element) {
+            element.isConnected = true;
+            return element;
+        }
+    },
+    createElement: tagName => new FakeElement(tagName),
+    querySelectorAll: () => []
+});
+
+let PortfolioApp;
+let createTransport;
+let contactTransport;
+let profile;
+let i18n;
+
+before(async () => {
+    globalThis.window = window;
+    globalThis.document = document;
+
+    ({ PortfolioApp } = await import('../js/app.js'));
+    ({ createTransport } = await import('../js/utils/transport.js'));
+    ({ contactTransport, profile } = await import('../js/data/content.js'));
+    ({ i18n } = await import('../js/utils/i18n.js'));
+});
+
+after(() => {
+    delete globalThis.window;
+    delete globalThis.document;
+});
+
+/**
+ * App with its listeners attached and stand-ins for what cleanup() tears down
+ */
+function createApp() {
+    const app = new PortfolioApp();
+    app.router = { cleanup: mock.fn() };
+    app.formManager = { cleanup: mock.fn() };
+    app.components = { contact: { destroy: mock.fn() } };
+    app.setupEventListeners();
+
+    return app;
+}
+
+describe('mailto submissions', () => {
+    test('open the mail client through a temporary link', async () => {
+        const transport = createTransport(contactTransport);
+        const result = await transport.send({ name: 'Ada', email: 'ada@example.com', message: 'Hello' });
+
+        assert.equal(result.transport, 'mailto');
+        assert.equal(openedLinks.at(-1), result.data.url);
+        assert.ok(result.data.url.startsWith(`mailto:${contactTransport.email}?`));
+        assert.equal(window.location.href, 'https://example.com/#contact');
+    });
+
+    test('word the default subject in the language shown when sending', async () => {
+        const transport = createTransport({
+            ...contactTransport,
+            subject: () => i18n.t(contactTransport.subject, { site: profile.url })
+        });
+        const subjectOf = result => new URL(result.data.url).searchParams.get('subject');
+        
+        const spanish = await transport.send({ message: 'Hola' });
+        i18n.setLocale('en');
+        const english = await transport.send({ message: 'Hello' });
+        i18n.setLocale('es');
+        
+        assert.equal(subjectOf(spanish), `Contacto desde ${profile.url}`);
+        assert.equal(subjectOf(english), `Contact from ${profile.url}`);
+    });
+
+    test('leave the app running', async () => {
+        const app = createApp();
+        const { router, formManager, components } = app;
+
+        await createTransport(contactTransport).send({ name: 'Ada', email: 'ada@example.com', message: 'Hello' });
+
+        assert.equal(router.cleanup.mock.callCount(), 0);
+        assert.equal(formManager.cleanup.mock.callCount(), 0);
+        assert.equal(components.contact.destroy.mock.callCount(), 0);
+        assert.equal(app.components, components);
+
+        app.cleanup();
+    });
+});
+
+describe('page hide', () => {
+    test('a page kept in the back/forward cache stays set up', () => {
+        const app = createApp();
+
+        window.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: true }));
+
+        assert.equal(app.router.cleanup.mock.callCount(), 0);
+        app.cleanup();
+    });
+
+    test('an unloading page is cleaned up', () => {
+        const app = createApp();
+        const { router, components } = app;
+
+        window.dispatchEvent(Object.assign(new Event('pagehide'), { persisted: false }));
+
+        assert.equal(router.cleanup.mock.callCount(), 1);
+        assert.equal(components.contact.destroy.mock.callCount(), 1);
+    });
+});
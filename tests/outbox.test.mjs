@@ -0,0 +1,121 @@
+/*
+===============================================
+OUTBOX.TEST.MJS - Offline Outbox Tests
+Runs on the in-memory store (no IndexedDB in Node) (node --test tests/)
+===============================================
+*/
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Outbox } from '../js/utils/outbox.js';
+
+/**
+ * AES-GCM cipher with the DraftStore `encrypt`/`decrypt` interface
+ */
+async function createCipher() {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    const encoder = new TextEncoder();
+
+    return {
+        async encrypt(data, context) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: encoder.encode(context) }, key, data);
+            return { iv, ciphertext };
+        },
+        decrypt({ iv, ciphertext }, context) {
+            return crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: encoder.encode(context) }, key, ciphertext);
+        }
+    };
+}
+
+function httpError(status) {
+    return Object.assign(new Error(`HTTP ${status}`), { code: 'http', status });
+}
+
+// Queued after a failure, so no retry timer fires before the test flushes
+const queueFailure = new Error('Network error');
+
+let outbox;
+
+afterEach(() => {
+    clearTimeout(outbox?.retryTimer);
+    outbox = null;
+});
+
+describe('outbox', () => {
+    test('drops entries the endpoint rejects and hands them back', async () => {
+        const failed = [];
+        outbox = new Outbox({
+            send: async () => { throw httpError(422); },
+            isRetryable: error => error.status >= 500,
+            onFailed: (entry, error, reason) => failed.push({ entry, error, reason })
+        });
+
+        await outbox.add({ name: 'Ada' }, queueFailure);
+        const { sent, pending } = await outbox.flush({ force: true });
+
+        assert.equal(sent, 0);
+        assert.equal(pending, 0);
+        assert.equal(failed.length, 1);
+        assert.equal(failed[0].reason, 'rejected');
+        assert.equal(failed[0].error.status, 422);
+        assert.deepEqual(failed[0].entry.payload, { name: 'Ada' });
+    });
+
+    test('keeps retrying retryable failures until the attempt limit', async () => {
+        const reasons = [];
+        outbox = new Outbox({
+            send: async () => { throw httpError(503); },
+            isRetryable: error => error.status >= 500,
+            maxAttempts: 3,
+            onFailed: (entry, error, reason) => reasons.push(reason)
+        });
+
+        await outbox.add({ name: 'Ada' }, queueFailure);
+
+        assert.equal((await outbox.flush({ force: true })).pending, 1);
+        assert.equal((await outbox.flush({ force: true })).pending, 0);
+        assert.deepEqual(reasons, ['max-attempts']);
+    });
+
+    test('drops entries queued longer than maxAge without sending them', async () => {
+        const reasons = [];
+        let sends = 0;
+        outbox = new Outbox({
+            send: async () => { sends++; },
+            maxAge: 1000,
+            onFailed: (entry, error, reason) => reasons.push(reason)
+        });
+
+        const entry = await outbox.add({ name: 'Ada' }, queueFailure);
+        outbox.memory.get(entry.id).createdAt -= 2000;
+        await outbox.flush();
+
+        assert.equal(sends, 0);
+        assert.deepEqual(reasons, ['expired']);
+        assert.equal(await outbox.count(), 0);
+    });
+
+    test('stores payloads and files encrypted and sends them decrypted', async () => {
+        const received = [];
+        outbox = new Outbox({
+            send: async payload => { received.push(payload); },
+            cipher: await createCipher()
+        });
+
+        const file = new File(['secret notes'], 'notes.txt', { type: 'text/plain' });
+        await outbox.add({ name: 'Ada', message: 'Hello there', attachments: [file] }, queueFailure);
+
+        const [stored] = await outbox.getAll();
+        assert.equal(stored.sealed, true);
+        assert.equal(stored.payload.name, undefined);
+        assert.equal(stored.payload.files.attachments.items[0].name, 'notes.txt');
+        assert.equal(new TextDecoder().decode(stored.payload.fields.ciphertext).includes('Hello there'), false);
+
+        assert.equal((await outbox.flush({ force: true })).sent, 1);
+        assert.equal(received[0].message, 'Hello there');
+        assert.equal(received[0].attachments.length, 1);
+        assert.equal(await received[0].attachments[0].text(), 'secret notes');
+    });
+});
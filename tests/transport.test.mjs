@@ -0,0 +1,282 @@
+/*
+===============================================
+TRANSPORT.TEST.MJS - Form Transport Tests
+Runs the adapters against a throwaway local HTTP server (node --test tests/)
+===============================================
+*/
+
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import { createTransport, TransportError } from '../js/utils/transport.js';
+
+/**
+ * Local endpoint that records every request and answers with `respond`
+ * (a no-op `respond` leaves the request hanging, for timeouts)
+ */
+function startServer() {
+    const server = {
+        requests: [],
+        respond: (request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ ok: true }));
+        }
+    };
+
+    server.http = createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            server.requests.push({
+                method: request.method,
+                contentType: request.headers['content-type'] || '',
+                body: Buffer.concat(chunks).toString('utf8')
+            });
+            server.respond(request, response);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.http.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${server.http.address().port}/submit`;
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Minimal XMLHttpRequest on top of fetch, for the multipart upload path
+ * Reports one progress event with the whole body
+ */
+class FetchXMLHttpRequest {
+    constructor() {
+        this.headers = {};
+        this.upload = new EventTarget();
+        this.controller = new AbortController();
+        this.status = 0;
+        this.responseText = '';
+        this.responseHeaders = null;
+    }
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    getResponseHeader(name) {
+        return this.responseHeaders?.get(name) ?? null;
+    }
+
+    abort() {
+        this.controller.abort();
+    }
+
+    async send(body) {
+        // Let fetch serialise the FormData, so the boundary matches the header
+        const encoded = new Response(body);
+        const buffer = await encoded.arrayBuffer();
+
+        const progress = new Event('progress');
+        Object.assign(progress, { lengthComputable: true, loaded: buffer.byteLength, total: buffer.byteLength });
+        this.upload.dispatchEvent(progress);
+
+        try {
+            const response = await fetch(this.url, {
+                method: this.method,
+                headers: { ...this.headers, 'Content-Type': encoded.headers.get('content-type') },
+                body: buffer,
+                signal: this.controller.signal
+            });
+
+            this.status = response.status;
+            this.responseHeaders = response.headers;
+            this.responseText = await response.text();
+            this.onload?.();
+        } catch {
+            if (this.controller.signal.aborted) {
+                this.onabort?.();
+            } else {
+                this.onerror?.();
+            }
+        }
+    }
+}
+
+let server;
+
+before(async () => {
+    globalThis.XMLHttpRequest = FetchXMLHttpRequest;
+    server = await startServer();
+});
+
+afterEach(() => {
+    server.requests = [];
+    server.respond = (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ ok: true }));
+    };
+});
+
+after(() => {
+    server.http.closeAllConnections();
+    server.http.close();
+    delete globalThis.XMLHttpRequest;
+});
+
+describe('json transport', () => {
+    test('posts the payload as application/json', async () => {
+        const transport = createTransport({ type: 'json', endpoint: server.url });
+        const result = await transport.send({ name: 'Ada', email: 'ada@example.com', tags: ['a', 'b'] });
+
+        const [request] = server.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.contentType, 'application/json');
+        assert.deepEqual(JSON.parse(request.body), { name: 'Ada', email: 'ada@example.com', tags: ['a', 'b'] });
+        assert.deepEqual(result, { transport: 'json', status: 200, data: { ok: true } });
+    });
+
+    test('refuses payloads with files without sending them', async () => {
+        const transport = createTransport({ type: 'json', endpoint: server.url });
+        const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+
+        await assert.rejects(
+            transport.send({ name: 'Ada', attachments: [file] }),
+            error => error instanceof TransportError && error.code === 'config'
+        );
+        assert.equal(server.requests.length, 0);
+    });
+});
+
+describe('form transport', () => {
+    test('posts url-encoded fields, arrays as repeated keys', async () => {
+        const transport = createTransport({ type: 'form', endpoint: server.url });
+        await transport.send({ name: 'Ada Lovelace', tags: ['a', 'b'] });
+
+        const [request] = server.requests;
+        assert.equal(request.contentType, 'application/x-www-form-urlencoded;charset=UTF-8');
+        assert.equal(request.body, 'name=Ada+Lovelace&tags=a&tags=b');
+    });
+
+    test('switches to multipart when the payload has files', async () => {
+        const transport = createTransport({ type: 'form', endpoint: server.url });
+        const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+        await transport.send({ name: 'Ada', attachments: [file] });
+
+        const [request] = server.requests;
+        assert.match(request.contentType, /^multipart\/form-data; boundary=/);
+        assert.match(request.body, /name="attachments"; filename="notes.txt"/);
+        assert.match(request.body, /hello/);
+    });
+});
+
+describe('multipart transport', () => {
+    test('posts multipart/form-data and reports upload progress', async () => {
+        const transport = createTransport({ type: 'multipart', endpoint: server.url });
+        const file = new File(['%PDF-1.4'], 'brief.pdf', { type: 'application/pdf' });
+        const progress = [];
+
+        const result = await transport.send(
+            { name: 'Ada', attachments: [file] },
+            { onProgress: (loaded, total) => progress.push([loaded, total]) }
+        );
+
+        const [request] = server.requests;
+        assert.match(request.contentType, /^multipart\/form-data; boundary=/);
+        assert.match(request.body, /name="name"\r\n\r\nAda\r\n/);
+        assert.match(request.body, /name="attachments"; filename="brief.pdf"/);
+        assert.equal(progress.length, 1);
+        assert.equal(progress[0][0], progress[0][1]);
+        assert.deepEqual(result, { transport: 'multipart', status: 200, data: { ok: true } });
+    });
+
+    test('maps error statuses to http errors', async () => {
+        server.respond = (request, response) => {
+            response.writeHead(500, { 'Content-Type': 'text/plain' });
+            response.end('boom');
+        };
+
+        const transport = createTransport({ type: 'multipart', endpoint: server.url });
+
+        await assert.rejects(
+            transport.send({ name: 'Ada' }),
+            error => error instanceof TransportError && error.code === 'http' && error.status === 500 && error.data === 'boom'
+        );
+    });
+});
+
+describe('errors', () => {
+    test('error statuses become http errors carrying the parsed body', async () => {
+        server.respond = (request, response) => {
+            response.writeHead(422, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ errors: { email: 'Taken' } }));
+        };
+
+        const transport = createTransport({ type: 'json', endpoint: server.url });
+
+        await assert.rejects(transport.send({ email: 'ada@example.com' }), error => {
+            assert.ok(error instanceof TransportError);
+            assert.equal(error.code, 'http');
+            assert.equal(error.status, 422);
+            assert.deepEqual(error.data, { errors: { email: 'Taken' } });
+            return true;
+        });
+    });
+
+    test('a slow endpoint times out', async () => {
+        server.respond = () => {};
+
+        const transport = createTransport({ type: 'json', endpoint: server.url });
+
+        await assert.rejects(
+            transport.send({ name: 'Ada' }, { timeout: 50 }),
+            error => error instanceof TransportError && error.code === 'timeout'
+        );
+    });
+
+    test('the config timeout applies when send gets none', async () => {
+        server.respond = () => {};
+
+        const transport = createTransport({ type: 'form', endpoint: server.url, timeout: 50 });
+
+        await assert.rejects(
+            transport.send({ name: 'Ada' }),
+            error => error instanceof TransportError && error.code === 'timeout'
+        );
+    });
+
+    test('an aborted signal cancels the request', async () => {
+        server.respond = () => {};
+
+        const transport = createTransport({ type: 'json', endpoint: server.url });
+        const controller = new AbortController();
+        const sending = transport.send({ name: 'Ada' }, { signal: controller.signal, timeout: 0 });
+
+        setTimeout(() => controller.abort(), 20);
+
+        await assert.rejects(sending, error => error instanceof TransportError && error.code === 'aborted');
+    });
+
+    test('an aborted multipart upload is reported as aborted', async () => {
+        server.respond = () => {};
+
+        const transport = createTransport({ type: 'multipart', endpoint: server.url });
+        const controller = new AbortController();
+        const sending = transport.send({ name: 'Ada' }, { signal: controller.signal, timeout: 0 });
+
+        setTimeout(() => controller.abort(), 20);
+
+        await assert.rejects(sending, error => error instanceof TransportError && error.code === 'aborted');
+    });
+
+    test('missing endpoints are config errors', async () => {
+        await assert.rejects(
+            createTransport({ type: 'json' }).send({ name: 'Ada' }),
+            error => error instanceof TransportError && error.code === 'config'
+        );
+    });
+});